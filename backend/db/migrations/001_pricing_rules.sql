@@ -0,0 +1,32 @@
+-- Pricing rule set (used when PRICING_SOURCE=db). Mirrors config/pricing.json.
+-- Rules are evaluated in ascending priority; the first match wins.
+
+create table if not exists pricing_seasons (
+  name        text primary key,
+  from_mmdd   text not null check (from_mmdd ~ '^\d{2}-\d{2}$'),
+  until_mmdd  text not null check (until_mmdd ~ '^\d{2}-\d{2}$')
+);
+
+create table if not exists pricing_rules (
+  id               text primary key,
+  label            text not null,
+  days             int[] not null default '{0,1,2,3,4,5,6}',
+  start_time       text not null check (start_time ~ '^\d{1,2}:\d{2}$'),
+  end_time         text not null check (end_time ~ '^\d{1,2}:\d{2}$'),
+  rate_cents       integer not null check (rate_cents >= 0),
+  effective_from   date,
+  effective_until  date,
+  season           text references pricing_seasons(name),
+  priority         integer not null default 100,
+  active           boolean not null default true
+);
+
+insert into pricing_rules (id, label, days, start_time, end_time, rate_cents, priority) values
+  ('weekday-early', 'Early Ice',      '{1,2,3,4,5}', '05:35', '06:35', 25000, 10),
+  ('weekday-day',   'Daytime Ice',    '{1,2,3,4,5}', '06:35', '15:45', 49500, 20),
+  ('weekday-prime', 'Prime Time Ice', '{1,2,3,4,5}', '15:45', '21:45', 94500, 30),
+  ('weekday-late',  'Late Ice',       '{1,2,3,4,5}', '21:45', '22:45', 49500, 40),
+  ('weekend-early', 'Early Ice',      '{0,6}',       '05:50', '06:50', 25000, 50),
+  ('weekend-prime', 'Prime Time Ice', '{0,6}',       '06:50', '21:45', 94500, 60),
+  ('weekend-late',  'Late Ice',       '{0,6}',       '21:45', '22:45', 49500, 70)
+on conflict (id) do nothing;
@@ -0,0 +1,15 @@
+-- One checkout can cover several segments (a cart).
+-- bookings.slot_id stays the first segment's id; slot_ids/segments list all of them.
+
+alter table bookings add column if not exists slot_ids text[];
+alter table bookings add column if not exists segments jsonb;
+create index if not exists bookings_slot_ids_idx on bookings using gin (slot_ids);
+
+-- Expired holds are dead rows; drop them so the unique index below can build.
+delete from slot_holds where expires_at <= now();
+
+-- Holds for one checkout share a hold_group and are inserted in a single
+-- statement; the unique index makes that insert all-or-nothing.
+alter table slot_holds add column if not exists hold_group uuid;
+create index if not exists slot_holds_hold_group_idx on slot_holds (hold_group);
+create unique index if not exists slot_holds_slot_id_key on slot_holds (slot_id);
@@ -0,0 +1,11 @@
+-- Several ice sheets (rinks), each with its own availability feed and pricing.
+-- Holds and bookings record which sheet they are for; rows from before
+-- multi-rink support are the main sheet.
+
+alter table bookings add column if not exists rink_id text not null default 'main';
+alter table slot_holds add column if not exists rink_id text not null default 'main';
+create index if not exists bookings_rink_id_start_idx on bookings (rink_id, start_ts);
+
+-- A pricing rule may target one sheet; null applies to every sheet.
+alter table pricing_rules add column if not exists rink_id text;
+create index if not exists pricing_rules_rink_id_idx on pricing_rules (rink_id);
@@ -0,0 +1,9 @@
+-- Half-ice rentals. A segment is two halves; holds are one row per half
+-- (slot_id '<segment id>:a' / ':b'), so full ice holds both and the unique
+-- slot_id index keeps full and half checkouts from overlapping.
+
+alter table slot_holds add column if not exists ice_half text check (ice_half in ('a', 'b'));
+
+-- Which part of the sheet a booking covers; existing rows are full ice.
+alter table bookings add column if not exists ice_portion text not null default 'full'
+  check (ice_portion in ('full', 'half_a', 'half_b'));
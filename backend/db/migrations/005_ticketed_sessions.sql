@@ -0,0 +1,90 @@
+-- Per-person ticketed sessions (stick & puck, public skate).
+-- session_seats has one row per session occurrence (created on first sale);
+-- `sold` counts paid seats. session_holds are seats reserved during checkout.
+
+create table if not exists session_seats (
+  id text primary key,
+  rink_id text not null,
+  session_type text not null,
+  start_ts timestamptz not null,
+  end_ts timestamptz not null,
+  capacity integer not null check (capacity >= 0),
+  sold integer not null default 0 check (sold >= 0),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists session_holds (
+  id uuid primary key default gen_random_uuid(),
+  session_id text not null references session_seats (id),
+  quantity integer not null check (quantity > 0),
+  customer_name text,
+  customer_email text,
+  checkout_session_id text,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+create index if not exists session_holds_session_id_idx on session_holds (session_id, expires_at);
+
+alter table bookings add column if not exists kind text not null default 'rental'
+  check (kind in ('rental', 'session'));
+alter table bookings add column if not exists session_id text;
+alter table bookings add column if not exists quantity integer not null default 1;
+create index if not exists bookings_session_id_idx on bookings (session_id);
+
+-- Reserve seats under a row lock so concurrent checkouts can't oversell.
+-- Returns the hold id, or null when there aren't enough seats left.
+create or replace function hold_session_seats(
+  p_session_id text,
+  p_rink_id text,
+  p_session_type text,
+  p_start timestamptz,
+  p_end timestamptz,
+  p_capacity integer,
+  p_quantity integer,
+  p_customer_name text,
+  p_customer_email text,
+  p_expires_at timestamptz
+) returns uuid language plpgsql as $$
+declare
+  v_sold integer;
+  v_held integer;
+  v_hold uuid;
+begin
+  insert into session_seats (id, rink_id, session_type, start_ts, end_ts, capacity)
+  values (p_session_id, p_rink_id, p_session_type, p_start, p_end, p_capacity)
+  on conflict (id) do update set capacity = excluded.capacity, updated_at = now();
+
+  select sold into v_sold from session_seats where id = p_session_id for update;
+  select coalesce(sum(quantity), 0) into v_held
+    from session_holds
+   where session_id = p_session_id and expires_at > now();
+
+  if v_sold + v_held + p_quantity > p_capacity then
+    return null;
+  end if;
+
+  insert into session_holds (session_id, quantity, customer_name, customer_email, expires_at)
+  values (p_session_id, p_quantity, p_customer_name, p_customer_email, p_expires_at)
+  returning id into v_hold;
+  return v_hold;
+end;
+$$;
+
+-- Turn a paid hold into sold seats. Returns the seat count, or null if the
+-- hold was already confirmed (webhook retries).
+create or replace function confirm_session_seats(p_hold_id uuid)
+returns integer language plpgsql as $$
+declare
+  v_session text;
+  v_quantity integer;
+begin
+  delete from session_holds where id = p_hold_id
+  returning session_id, quantity into v_session, v_quantity;
+  if not found then
+    return null;
+  end if;
+
+  update session_seats set sold = sold + v_quantity, updated_at = now() where id = v_session;
+  return v_quantity;
+end;
+$$;
@@ -0,0 +1,31 @@
+-- Holiday and closure calendar (see lib/blackouts.js for the rule kinds).
+-- Managed through /api/admin/blackouts; seeded with the standing holidays.
+
+create table if not exists blackouts (
+  id uuid primary key default gen_random_uuid(),
+  label text not null,
+  kind text not null check (kind in ('fixed', 'nth_weekday', 'range')),
+  month integer check (month between 1 and 12),
+  day integer check (day between 1 and 31),
+  weekday integer check (weekday between 0 and 6),
+  nth integer check (nth between -1 and 5 and nth <> 0),
+  from_date date,
+  until_date date,
+  start_time time,
+  end_time time,
+  rink_id text,            -- null = every sheet
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+insert into blackouts (label, kind, month, day, weekday, nth)
+select v.label, v.kind, v.month, v.day, v.weekday, v.nth
+from (values
+  ('New Year''s Day', 'fixed', 1, 1, null::integer, null::integer),
+  ('Thanksgiving', 'nth_weekday', 11, null, 4, 4),
+  ('Christmas Eve', 'fixed', 12, 24, null, null),
+  ('Christmas Day', 'fixed', 12, 25, null, null),
+  ('New Year''s Eve', 'fixed', 12, 31, null, null)
+) as v(label, kind, month, day, weekday, nth)
+where not exists (select 1 from blackouts);
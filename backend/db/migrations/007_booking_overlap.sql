@@ -0,0 +1,68 @@
+-- Bookings on the same sheet and half may not overlap in time.
+-- Each rental's segments are mirrored into booking_spans (one row per half)
+-- by a trigger; the exclusion constraint makes the bookings insert fail
+-- (SQLSTATE 23P01) when any span overlaps one already sold.
+
+create extension if not exists btree_gist;
+
+create table if not exists booking_spans (
+  id bigserial primary key,
+  booking_id text not null,
+  rink_id text not null,
+  ice_half text not null check (ice_half in ('a', 'b')),
+  span tstzrange not null,
+  constraint booking_spans_no_overlap exclude using gist (rink_id with =, ice_half with =, span with &&)
+);
+create index if not exists booking_spans_booking_id_idx on booking_spans (booking_id);
+
+-- Halves a booking covers ('full' → both)
+create or replace function booking_halves(p_portion text)
+returns text[] language sql immutable as $$
+  select case p_portion when 'half_a' then array['a'] when 'half_b' then array['b'] else array['a', 'b'] end;
+$$;
+
+create or replace function booking_spans_sync()
+returns trigger language plpgsql as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') then
+    delete from booking_spans where booking_id = old.id::text;
+  end if;
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+  if new.kind = 'session' then
+    return new;
+  end if;
+
+  insert into booking_spans (booking_id, rink_id, ice_half, span)
+  select new.id::text, new.rink_id, h, tstzrange((seg ->> 'start')::timestamptz, (seg ->> 'end')::timestamptz, '[)')
+    from jsonb_array_elements(coalesce(
+           nullif(new.segments, '[]'::jsonb),
+           jsonb_build_array(jsonb_build_object('start', new.start_ts, 'end', new.end_ts))
+         )) as seg
+   cross join unnest(booking_halves(new.ice_portion)) as h;
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_spans_sync on bookings;
+create trigger bookings_spans_sync
+  after insert or delete or update of rink_id, ice_portion, segments, start_ts, end_ts on bookings
+  for each row execute function booking_spans_sync();
+
+-- Backfill existing rentals. Rows that already overlap an earlier booking are
+-- skipped here (check `bookings` without spans to find them).
+insert into booking_spans (booking_id, rink_id, ice_half, span)
+select b.id::text, b.rink_id, h, tstzrange((seg ->> 'start')::timestamptz, (seg ->> 'end')::timestamptz, '[)')
+  from bookings b
+ cross join jsonb_array_elements(coalesce(
+         nullif(b.segments, '[]'::jsonb),
+         jsonb_build_array(jsonb_build_object('start', b.start_ts, 'end', b.end_ts))
+       )) as seg
+ cross join unnest(booking_halves(b.ice_portion)) as h
+ where b.kind = 'rental'
+   and not exists (select 1 from booking_spans s where s.booking_id = b.id::text)
+    on conflict do nothing;
+
+-- Overlap lookups for checkout (bookings already have (rink_id, start_ts))
+create index if not exists slot_holds_rink_start_idx on slot_holds (rink_id, start_ts);
@@ -0,0 +1,64 @@
+-- Race-free hold acquisition for ice checkouts. acquire_slot_hold() locks the
+-- sheet, checks the requested halves against live holds and sold spans
+-- (booking_spans, 007) and inserts every hold row, all in one transaction.
+
+-- Does [p_start, p_end) on one half clash with a live hold or a booking?
+-- Within p_buffer_minutes of another reservation the whole sheet is taken
+-- (resurfacing), matching padBusy() in lib/availability.js.
+create or replace function ice_conflicts(
+  p_rink_id text,
+  p_half text,
+  p_start timestamptz,
+  p_end timestamptz,
+  p_buffer_minutes integer
+) returns boolean language sql stable as $$
+  with taken as (
+    select coalesce(h.ice_half, p_half) as ice_half, h.start_ts as s, h.end_ts as e
+      from slot_holds h
+     where h.rink_id = p_rink_id and h.expires_at > now()
+    union all
+    select b.ice_half, lower(b.span), upper(b.span)
+      from booking_spans b
+     where b.rink_id = p_rink_id
+  ), buffer as (
+    select make_interval(mins => p_buffer_minutes) as pad
+  )
+  select exists (
+    select 1 from taken, buffer
+     where (taken.ice_half = p_half and taken.s < p_end and p_start < taken.e)
+        or (p_buffer_minutes > 0 and p_start < taken.s and p_end > taken.s - buffer.pad)
+        or (p_buffer_minutes > 0 and p_end > taken.e and p_start < taken.e + buffer.pad)
+  );
+$$;
+
+-- p_rows: [{ slot_id, ice_half, start_ts, end_ts }]. Returns false (and
+-- inserts nothing) when any row clashes.
+create or replace function acquire_slot_hold(
+  p_rink_id text,
+  p_hold_group uuid,
+  p_rows jsonb,
+  p_buffer_minutes integer,
+  p_customer_name text,
+  p_customer_email text,
+  p_expires_at timestamptz
+) returns boolean language plpgsql as $$
+begin
+  -- one acquisition per sheet at a time, so two checkouts can't both pass the check
+  perform pg_advisory_xact_lock(hashtext('slot_holds:' || p_rink_id));
+
+  delete from slot_holds where rink_id = p_rink_id and expires_at <= now();
+
+  if exists (
+    select 1
+      from jsonb_to_recordset(p_rows) as r(slot_id text, ice_half text, start_ts timestamptz, end_ts timestamptz)
+     where ice_conflicts(p_rink_id, r.ice_half, r.start_ts, r.end_ts, p_buffer_minutes)
+  ) then
+    return false;
+  end if;
+
+  insert into slot_holds (slot_id, rink_id, ice_half, hold_group, start_ts, end_ts, customer_name, customer_email, expires_at)
+  select r.slot_id, p_rink_id, r.ice_half, p_hold_group, r.start_ts, r.end_ts, p_customer_name, p_customer_email, p_expires_at
+    from jsonb_to_recordset(p_rows) as r(slot_id text, ice_half text, start_ts timestamptz, end_ts timestamptz);
+  return true;
+end;
+$$;
@@ -0,0 +1,53 @@
+-- Booking lifecycle driven by Stripe webhooks:
+--   pending_payment  checkout completed with a delayed payment method
+--   confirmed        paid
+--   payment_failed   the delayed payment failed (time/seats released)
+--   refunded         fully refunded (time/seats released)
+--   disputed         the customer opened a chargeback
+-- Existing rows were paid when inserted, so they are confirmed.
+
+alter table bookings add column if not exists status text not null default 'confirmed'
+  check (status in ('pending_payment', 'confirmed', 'payment_failed', 'refunded', 'disputed'));
+alter table bookings add column if not exists refunded_cents integer not null default 0;
+alter table bookings add column if not exists status_changed_at timestamptz;
+alter table bookings add column if not exists session_type text;
+create index if not exists bookings_payment_intent_idx on bookings (stripe_payment_intent);
+
+-- Released bookings give their time back: no spans, so the exclusion
+-- constraint (007) no longer blocks that ice.
+create or replace function booking_spans_sync()
+returns trigger language plpgsql as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') then
+    delete from booking_spans where booking_id = old.id::text;
+  end if;
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+  if new.kind = 'session' or new.status in ('payment_failed', 'refunded') then
+    return new;
+  end if;
+
+  insert into booking_spans (booking_id, rink_id, ice_half, span)
+  select new.id::text, new.rink_id, h, tstzrange((seg ->> 'start')::timestamptz, (seg ->> 'end')::timestamptz, '[)')
+    from jsonb_array_elements(coalesce(
+           nullif(new.segments, '[]'::jsonb),
+           jsonb_build_array(jsonb_build_object('start', new.start_ts, 'end', new.end_ts))
+         )) as seg
+   cross join unnest(booking_halves(new.ice_portion)) as h;
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_spans_sync on bookings;
+create trigger bookings_spans_sync
+  after insert or delete or update of rink_id, ice_portion, segments, start_ts, end_ts, status on bookings
+  for each row execute function booking_spans_sync();
+
+-- Give sold seats back to a session (failed payment / refund).
+create or replace function release_session_seats(p_session_id text, p_quantity integer)
+returns void language sql as $$
+  update session_seats
+     set sold = greatest(0, sold - p_quantity), updated_at = now()
+   where id = p_session_id;
+$$;
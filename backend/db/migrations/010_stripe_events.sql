@@ -0,0 +1,17 @@
+-- Every verified Stripe webhook event, with its processing outcome.
+-- The event id makes processing idempotent; failed rows can be replayed
+-- through POST /api/admin/stripe-events/:id/replay.
+
+create table if not exists stripe_events (
+  id text primary key,                 -- Stripe event id (evt_...)
+  type text not null,
+  payload jsonb not null,
+  status text not null default 'received'
+    check (status in ('received', 'processing', 'processed', 'ignored', 'failed')),
+  attempts integer not null default 0,
+  last_error text,
+  received_at timestamptz not null default now(),
+  claimed_at timestamptz,
+  processed_at timestamptz
+);
+create index if not exists stripe_events_status_idx on stripe_events (status, received_at);
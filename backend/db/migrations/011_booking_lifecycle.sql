@@ -0,0 +1,49 @@
+-- Booking state machine (lib/bookingLifecycle.js) and its audit log.
+-- Replaces the webhook-only statuses from 009:
+--   pending_payment → pending, payment_failed → cancelled
+
+alter table bookings drop constraint if exists bookings_status_check;
+update bookings set status = 'pending' where status = 'pending_payment';
+update bookings set status = 'cancelled' where status = 'payment_failed';
+alter table bookings add constraint bookings_status_check check (status in (
+  'pending', 'confirmed', 'disputed', 'cancelled', 'refunded', 'rescheduled', 'no_show', 'completed'
+));
+
+create table if not exists booking_events (
+  id bigserial primary key,
+  booking_id text not null,
+  from_status text,                 -- null for the booking being created
+  to_status text not null,
+  actor text not null,              -- stripe | admin | customer | system
+  reason text,
+  stripe_event_id text,
+  stripe_payment_intent text,
+  stripe_refund_id text,
+  created_at timestamptz not null default now()
+);
+create index if not exists booking_events_booking_id_idx on booking_events (booking_id, created_at);
+
+-- Released states give their ice back (see 007/009)
+create or replace function booking_spans_sync()
+returns trigger language plpgsql as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') then
+    delete from booking_spans where booking_id = old.id::text;
+  end if;
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+  if new.kind = 'session' or new.status in ('cancelled', 'refunded', 'rescheduled') then
+    return new;
+  end if;
+
+  insert into booking_spans (booking_id, rink_id, ice_half, span)
+  select new.id::text, new.rink_id, h, tstzrange((seg ->> 'start')::timestamptz, (seg ->> 'end')::timestamptz, '[)')
+    from jsonb_array_elements(coalesce(
+           nullif(new.segments, '[]'::jsonb),
+           jsonb_build_array(jsonb_build_object('start', new.start_ts, 'end', new.end_ts))
+         )) as seg
+   cross join unnest(booking_halves(new.ice_portion)) as h;
+  return new;
+end;
+$$;
@@ -0,0 +1,103 @@
+-- Customer self-service rescheduling (POST /api/manage/:token/reschedule).
+-- The replacement is a new booking row; the old one becomes 'rescheduled'
+-- (lib/bookingLifecycle.js), both in one transaction.
+
+alter table bookings add column if not exists rescheduled_from text;         -- id of the booking this one replaced
+-- reschedule top-ups [{ payment_intent, amount_cents }]; amount_cents includes them
+alter table bookings add column if not exists extra_payments jsonb not null default '[]';
+create index if not exists bookings_rescheduled_from_idx on bookings (rescheduled_from);
+
+-- Same as 008, but the booking being moved (p_ignore_booking_id) doesn't block
+-- its own new time, so a booking can shift into overlapping ice.
+drop function if exists acquire_slot_hold(text, uuid, jsonb, integer, text, text, timestamptz);
+drop function if exists ice_conflicts(text, text, timestamptz, timestamptz, integer);
+
+create or replace function ice_conflicts(
+  p_rink_id text,
+  p_half text,
+  p_start timestamptz,
+  p_end timestamptz,
+  p_buffer_minutes integer,
+  p_ignore_booking_id text default null
+) returns boolean language sql stable as $$
+  with taken as (
+    select coalesce(h.ice_half, p_half) as ice_half, h.start_ts as s, h.end_ts as e
+      from slot_holds h
+     where h.rink_id = p_rink_id and h.expires_at > now()
+    union all
+    select b.ice_half, lower(b.span), upper(b.span)
+      from booking_spans b
+     where b.rink_id = p_rink_id and b.booking_id is distinct from p_ignore_booking_id
+  ), buffer as (
+    select make_interval(mins => p_buffer_minutes) as pad
+  )
+  select exists (
+    select 1 from taken, buffer
+     where (taken.ice_half = p_half and taken.s < p_end and p_start < taken.e)
+        or (p_buffer_minutes > 0 and p_start < taken.s and p_end > taken.s - buffer.pad)
+        or (p_buffer_minutes > 0 and p_end > taken.e and p_start < taken.e + buffer.pad)
+  );
+$$;
+
+create or replace function acquire_slot_hold(
+  p_rink_id text,
+  p_hold_group uuid,
+  p_rows jsonb,
+  p_buffer_minutes integer,
+  p_customer_name text,
+  p_customer_email text,
+  p_expires_at timestamptz,
+  p_ignore_booking_id text default null
+) returns boolean language plpgsql as $$
+begin
+  perform pg_advisory_xact_lock(hashtext('slot_holds:' || p_rink_id));
+
+  delete from slot_holds where rink_id = p_rink_id and expires_at <= now();
+
+  if exists (
+    select 1
+      from jsonb_to_recordset(p_rows) as r(slot_id text, ice_half text, start_ts timestamptz, end_ts timestamptz)
+     where ice_conflicts(p_rink_id, r.ice_half, r.start_ts, r.end_ts, p_buffer_minutes, p_ignore_booking_id)
+  ) then
+    return false;
+  end if;
+
+  insert into slot_holds (slot_id, rink_id, ice_half, hold_group, start_ts, end_ts, customer_name, customer_email, expires_at)
+  select r.slot_id, p_rink_id, r.ice_half, p_hold_group, r.start_ts, r.end_ts, p_customer_name, p_customer_email, p_expires_at
+    from jsonb_to_recordset(p_rows) as r(slot_id text, ice_half text, start_ts timestamptz, end_ts timestamptz);
+  return true;
+end;
+$$;
+
+-- Move a confirmed booking: mark it rescheduled (its spans go), insert the
+-- replacement (p_booking: bookings columns as JSON) and drop the new time's
+-- hold. Returns the replacement row, or no row when the booking is no longer
+-- confirmed. An overlap (booking_spans exclusion) rolls all of it back.
+create or replace function reschedule_booking(p_booking_id text, p_hold_group uuid, p_booking jsonb)
+returns setof bookings language plpgsql as $$
+declare
+  v_old bookings;
+begin
+  select * into v_old from bookings where id::text = p_booking_id for update;
+  if not found or v_old.status <> 'confirmed' then
+    return;
+  end if;
+  perform pg_advisory_xact_lock(hashtext('slot_holds:' || v_old.rink_id));
+
+  update bookings set status = 'rescheduled', status_changed_at = now() where id = v_old.id;
+
+  return query
+  insert into bookings (
+    kind, status, status_changed_at, rink_id, ice_portion, slot_id, slot_ids, segments, start_ts, end_ts,
+    customer_name, customer_email, amount_cents, refunded_cents, currency,
+    stripe_payment_intent, extra_payments, rescheduled_from
+  )
+  select r.kind, r.status, now(), r.rink_id, r.ice_portion, r.slot_id, r.slot_ids, r.segments, r.start_ts, r.end_ts,
+         r.customer_name, r.customer_email, r.amount_cents, r.refunded_cents, r.currency,
+         r.stripe_payment_intent, coalesce(r.extra_payments, '[]'), p_booking_id
+    from jsonb_populate_record(null::bookings, p_booking) as r
+  returning *;
+
+  delete from slot_holds where hold_group = p_hold_group;
+end;
+$$;
@@ -0,0 +1,44 @@
+-- Validated booking form fields (lib/bookingForm.js), carried from the hold
+-- through Stripe metadata to the booking row. phone is E.164.
+
+alter table bookings add column if not exists customer_phone text;
+alter table bookings add column if not exists purpose text;
+alter table bookings add column if not exists purpose_details text;
+alter table bookings add column if not exists group_size integer;
+
+alter table slot_holds add column if not exists customer_phone text;
+alter table slot_holds add column if not exists purpose text;
+alter table slot_holds add column if not exists purpose_details text;
+alter table slot_holds add column if not exists group_size integer;
+
+alter table session_holds add column if not exists customer_phone text;
+
+-- reschedule_booking (012) now carries the form fields over to the replacement.
+create or replace function reschedule_booking(p_booking_id text, p_hold_group uuid, p_booking jsonb)
+returns setof bookings language plpgsql as $$
+declare
+  v_old bookings;
+begin
+  select * into v_old from bookings where id::text = p_booking_id for update;
+  if not found or v_old.status <> 'confirmed' then
+    return;
+  end if;
+  perform pg_advisory_xact_lock(hashtext('slot_holds:' || v_old.rink_id));
+
+  update bookings set status = 'rescheduled', status_changed_at = now() where id = v_old.id;
+
+  return query
+  insert into bookings (
+    kind, status, status_changed_at, rink_id, ice_portion, slot_id, slot_ids, segments, start_ts, end_ts,
+    customer_name, customer_email, customer_phone, purpose, purpose_details, group_size,
+    amount_cents, refunded_cents, currency, stripe_payment_intent, extra_payments, rescheduled_from
+  )
+  select r.kind, r.status, now(), r.rink_id, r.ice_portion, r.slot_id, r.slot_ids, r.segments, r.start_ts, r.end_ts,
+         r.customer_name, r.customer_email, r.customer_phone, r.purpose, r.purpose_details, r.group_size,
+         r.amount_cents, r.refunded_cents, r.currency, r.stripe_payment_intent, coalesce(r.extra_payments, '[]'), p_booking_id
+    from jsonb_populate_record(null::bookings, p_booking) as r
+  returning *;
+
+  delete from slot_holds where hold_group = p_hold_group;
+end;
+$$;
@@ -0,0 +1,120 @@
+-- Add-ons sold with ice rentals (lib/addons.js, config/addons.json).
+-- The priced selection travels hold → booking:
+--   [{ id, label, quantity, free_quantity, unit_price_cents, amount_cents }]
+
+alter table bookings add column if not exists addons jsonb not null default '[]';
+alter table slot_holds add column if not exists addons jsonb not null default '[]';
+create index if not exists bookings_addons_start_idx on bookings (start_ts, end_ts) where addons <> '[]'::jsonb;
+
+-- Units of one add-on out during [p_start, p_end): live holds (counted once
+-- per hold group) plus bookings still holding ice (booking_spans, 007/011).
+create or replace function addon_in_use(
+  p_addon_id text,
+  p_start timestamptz,
+  p_end timestamptz,
+  p_ignore_booking_id text default null
+) returns integer language sql stable as $$
+  select coalesce(sum(used.quantity), 0)::integer from (
+    select held.quantity from (
+      select distinct on (h.hold_group) (a ->> 'quantity')::integer as quantity
+        from slot_holds h
+       cross join jsonb_array_elements(h.addons) as a
+       where h.expires_at > now() and h.start_ts < p_end and p_start < h.end_ts
+         and a ->> 'id' = p_addon_id
+    ) held
+    union all
+    select (a ->> 'quantity')::integer
+      from bookings b
+     cross join jsonb_array_elements(b.addons) as a
+     where b.addons <> '[]'::jsonb and b.start_ts < p_end and p_start < b.end_ts
+       and a ->> 'id' = p_addon_id
+       and b.id::text is distinct from p_ignore_booking_id
+       and exists (
+         select 1 from booking_spans s
+          where s.booking_id = b.id::text and s.span && tstzrange(p_start, p_end, '[)')
+       )
+  ) used;
+$$;
+
+-- Same as 012, plus add-ons: p_addons is stored on the hold rows and
+-- p_addon_limits ([{ id, quantity, limit }]) is checked against addon_in_use()
+-- for every requested range. Over a limit it raises 'addon_unavailable:<id>'
+-- and nothing is held.
+drop function if exists acquire_slot_hold(text, uuid, jsonb, integer, text, text, timestamptz, text);
+
+create or replace function acquire_slot_hold(
+  p_rink_id text,
+  p_hold_group uuid,
+  p_rows jsonb,
+  p_buffer_minutes integer,
+  p_customer_name text,
+  p_customer_email text,
+  p_expires_at timestamptz,
+  p_ignore_booking_id text default null,
+  p_addons jsonb default '[]',
+  p_addon_limits jsonb default '[]'
+) returns boolean language plpgsql as $$
+declare
+  v_full text;
+begin
+  perform pg_advisory_xact_lock(hashtext('slot_holds:' || p_rink_id));
+
+  delete from slot_holds where rink_id = p_rink_id and expires_at <= now();
+
+  if exists (
+    select 1
+      from jsonb_to_recordset(p_rows) as r(slot_id text, ice_half text, start_ts timestamptz, end_ts timestamptz)
+     where ice_conflicts(p_rink_id, r.ice_half, r.start_ts, r.end_ts, p_buffer_minutes, p_ignore_booking_id)
+  ) then
+    return false;
+  end if;
+
+  if jsonb_array_length(p_addon_limits) > 0 then
+    -- add-on stock is shared by every sheet
+    perform pg_advisory_xact_lock(hashtext('slot_holds:addons'));
+    select l.id into v_full
+      from jsonb_to_recordset(p_addon_limits) as l(id text, quantity integer, "limit" integer)
+     cross join jsonb_to_recordset(p_rows) as r(slot_id text, ice_half text, start_ts timestamptz, end_ts timestamptz)
+     where addon_in_use(l.id, r.start_ts, r.end_ts, p_ignore_booking_id) + l.quantity > l."limit"
+     limit 1;
+    if v_full is not null then
+      raise exception 'addon_unavailable:%', v_full;
+    end if;
+  end if;
+
+  insert into slot_holds (slot_id, rink_id, ice_half, hold_group, start_ts, end_ts, customer_name, customer_email, expires_at, addons)
+  select r.slot_id, p_rink_id, r.ice_half, p_hold_group, r.start_ts, r.end_ts, p_customer_name, p_customer_email, p_expires_at, p_addons
+    from jsonb_to_recordset(p_rows) as r(slot_id text, ice_half text, start_ts timestamptz, end_ts timestamptz);
+  return true;
+end;
+$$;
+
+-- reschedule_booking (013) now carries the add-ons over to the replacement.
+create or replace function reschedule_booking(p_booking_id text, p_hold_group uuid, p_booking jsonb)
+returns setof bookings language plpgsql as $$
+declare
+  v_old bookings;
+begin
+  select * into v_old from bookings where id::text = p_booking_id for update;
+  if not found or v_old.status <> 'confirmed' then
+    return;
+  end if;
+  perform pg_advisory_xact_lock(hashtext('slot_holds:' || v_old.rink_id));
+
+  update bookings set status = 'rescheduled', status_changed_at = now() where id = v_old.id;
+
+  return query
+  insert into bookings (
+    kind, status, status_changed_at, rink_id, ice_portion, slot_id, slot_ids, segments, start_ts, end_ts,
+    customer_name, customer_email, customer_phone, purpose, purpose_details, group_size, addons,
+    amount_cents, refunded_cents, currency, stripe_payment_intent, extra_payments, rescheduled_from
+  )
+  select r.kind, r.status, now(), r.rink_id, r.ice_portion, r.slot_id, r.slot_ids, r.segments, r.start_ts, r.end_ts,
+         r.customer_name, r.customer_email, r.customer_phone, r.purpose, r.purpose_details, r.group_size, coalesce(r.addons, '[]'),
+         r.amount_cents, r.refunded_cents, r.currency, r.stripe_payment_intent, coalesce(r.extra_payments, '[]'), p_booking_id
+    from jsonb_populate_record(null::bookings, p_booking) as r
+  returning *;
+
+  delete from slot_holds where hold_group = p_hold_group;
+end;
+$$;
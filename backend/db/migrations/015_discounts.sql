@@ -0,0 +1,92 @@
+-- Promo codes and member rates (lib/discounts.js, config/discounts.json).
+
+-- The discount a booking was priced with:
+--   { source: code|member, code, label, percent, amount_cents, tiers, days, discount_cents }
+alter table bookings add column if not exists discount jsonb;
+
+-- Tags that give a customer member pricing (e.g. 'member_club', 'school'),
+-- set by staff through PUT /api/admin/customers/:email/tags
+create table if not exists customer_tags (
+  email text not null,              -- lower-case
+  tag text not null,
+  created_at timestamptz not null default now(),
+  primary key (email, tag)
+);
+
+-- One row per checkout that used a promo code. A row is a reservation until
+-- the webhook records the booking (booking_id set, expires_at cleared);
+-- abandoned checkouts lapse at expires_at or are deleted when Stripe expires them.
+create table if not exists discount_redemptions (
+  id bigserial primary key,
+  code text not null,
+  customer_email text not null,     -- lower-case
+  hold_group uuid not null unique,
+  booking_id text,
+  amount_cents integer not null,
+  expires_at timestamptz,
+  created_at timestamptz not null default now()
+);
+create index if not exists discount_redemptions_code_idx on discount_redemptions (code, customer_email);
+
+-- Uses of a code that count against its limits: redeemed or still reserved
+create or replace function discount_uses(p_code text, p_email text default null)
+returns integer language sql stable as $$
+  select count(*)::integer
+    from discount_redemptions
+   where code = p_code
+     and (booking_id is not null or expires_at > now())
+     and (p_email is null or customer_email = p_email);
+$$;
+
+-- Reserve one use of p_code for a checkout. Returns false (nothing reserved)
+-- when max_uses or max_uses_per_customer (null = unlimited) is reached.
+create or replace function reserve_discount_code(
+  p_code text,
+  p_email text,
+  p_hold_group uuid,
+  p_amount_cents integer,
+  p_expires_at timestamptz,
+  p_max_uses integer,
+  p_max_uses_per_customer integer
+) returns boolean language plpgsql as $$
+begin
+  perform pg_advisory_xact_lock(hashtext('discount:' || p_code));
+  if (p_max_uses is not null and discount_uses(p_code) >= p_max_uses)
+     or (p_max_uses_per_customer is not null and discount_uses(p_code, p_email) >= p_max_uses_per_customer) then
+    return false;
+  end if;
+  insert into discount_redemptions (code, customer_email, hold_group, amount_cents, expires_at)
+  values (p_code, p_email, p_hold_group, p_amount_cents, p_expires_at);
+  return true;
+end;
+$$;
+
+-- reschedule_booking (014) now carries the discount over to the replacement.
+create or replace function reschedule_booking(p_booking_id text, p_hold_group uuid, p_booking jsonb)
+returns setof bookings language plpgsql as $$
+declare
+  v_old bookings;
+begin
+  select * into v_old from bookings where id::text = p_booking_id for update;
+  if not found or v_old.status <> 'confirmed' then
+    return;
+  end if;
+  perform pg_advisory_xact_lock(hashtext('slot_holds:' || v_old.rink_id));
+
+  update bookings set status = 'rescheduled', status_changed_at = now() where id = v_old.id;
+
+  return query
+  insert into bookings (
+    kind, status, status_changed_at, rink_id, ice_portion, slot_id, slot_ids, segments, start_ts, end_ts,
+    customer_name, customer_email, customer_phone, purpose, purpose_details, group_size, addons, discount,
+    amount_cents, refunded_cents, currency, stripe_payment_intent, extra_payments, rescheduled_from
+  )
+  select r.kind, r.status, now(), r.rink_id, r.ice_portion, r.slot_id, r.slot_ids, r.segments, r.start_ts, r.end_ts,
+         r.customer_name, r.customer_email, r.customer_phone, r.purpose, r.purpose_details, r.group_size, coalesce(r.addons, '[]'), r.discount,
+         r.amount_cents, r.refunded_cents, r.currency, r.stripe_payment_intent, coalesce(r.extra_payments, '[]'), p_booking_id
+    from jsonb_populate_record(null::bookings, p_booking) as r
+  returning *;
+
+  delete from slot_holds where hold_group = p_hold_group;
+end;
+$$;
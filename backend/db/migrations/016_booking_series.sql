@@ -0,0 +1,68 @@
+-- Recurring series bookings (lib/series.js, POST /api/series/*).
+-- A series is the parent record staff cancel or change as a whole; every
+-- occurrence is an ordinary rental booking pointing at it (series_id).
+
+create table if not exists booking_series (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'pending' check (status in ('pending', 'active', 'cancelled', 'expired')),
+  rink_id text not null,
+  ice_portion text not null default 'full',
+  repeat jsonb not null,                -- { frequency, count? | until? }
+  occurrences jsonb not null,           -- booked ones: [{ slot_id, start, end, amount_cents }]
+  skipped jsonb not null default '[]',  -- conflicts at checkout: [{ start, end, code, reason }]
+  customer_name text,
+  customer_email text,
+  customer_phone text,
+  purpose text,
+  purpose_details text,
+  group_size integer,
+  addons jsonb not null default '[]',   -- per occurrence, see 014
+  discount jsonb,                       -- whole series, see 015
+  plan text not null check (plan in ('full', 'installments', 'subscription')),
+  payments integer not null default 1,
+  total_cents integer not null,
+  paid_cents integer not null default 0,
+  currency text not null default 'usd',
+  hold_group uuid,
+  checkout_session_id text,
+  stripe_payment_intent text,           -- plan 'full'
+  stripe_subscription_id text,          -- split plans
+  payment_status text,                  -- split plans: Stripe subscription status (active, past_due, …)
+  cancel_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists booking_series_subscription_idx on booking_series (stripe_subscription_id);
+
+alter table bookings add column if not exists series_id uuid references booking_series (id);
+create index if not exists bookings_series_id_idx on bookings (series_id);
+
+-- reschedule_booking (015) now keeps a moved occurrence in its series.
+create or replace function reschedule_booking(p_booking_id text, p_hold_group uuid, p_booking jsonb)
+returns setof bookings language plpgsql as $$
+declare
+  v_old bookings;
+begin
+  select * into v_old from bookings where id::text = p_booking_id for update;
+  if not found or v_old.status <> 'confirmed' then
+    return;
+  end if;
+  perform pg_advisory_xact_lock(hashtext('slot_holds:' || v_old.rink_id));
+
+  update bookings set status = 'rescheduled', status_changed_at = now() where id = v_old.id;
+
+  return query
+  insert into bookings (
+    kind, status, status_changed_at, rink_id, ice_portion, slot_id, slot_ids, segments, start_ts, end_ts,
+    customer_name, customer_email, customer_phone, purpose, purpose_details, group_size, addons, discount,
+    amount_cents, refunded_cents, currency, stripe_payment_intent, extra_payments, rescheduled_from, series_id
+  )
+  select r.kind, r.status, now(), r.rink_id, r.ice_portion, r.slot_id, r.slot_ids, r.segments, r.start_ts, r.end_ts,
+         r.customer_name, r.customer_email, r.customer_phone, r.purpose, r.purpose_details, r.group_size, coalesce(r.addons, '[]'), r.discount,
+         r.amount_cents, r.refunded_cents, r.currency, r.stripe_payment_intent, coalesce(r.extra_payments, '[]'), p_booking_id, r.series_id
+    from jsonb_populate_record(null::bookings, p_booking) as r
+  returning *;
+
+  delete from slot_holds where hold_group = p_hold_group;
+end;
+$$;
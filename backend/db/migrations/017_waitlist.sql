@@ -0,0 +1,63 @@
+-- Waitlist for taken slots and sold-out windows (lib/waitlist.js, /api/waitlist).
+-- An offer is an ordinary slot_holds group held for the entries notified;
+-- claim_waitlist_offer() hands it to the checkout of whoever claims first.
+
+create table if not exists waitlist_entries (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'waiting' check (status in ('waiting', 'offered', 'claimed', 'expired', 'removed')),
+  rink_id text not null,
+  ice_portion text not null default 'full',
+  slot_id text,                         -- one segment, or null for any segment in the window
+  window_start timestamptz not null,
+  window_end timestamptz not null,
+  customer_name text,
+  customer_email text not null,
+  customer_phone text,
+  offer_hold_group uuid,                -- slot_holds group kept for the current offer
+  offer_slot_id text,
+  offer_start timestamptz,
+  offer_end timestamptz,
+  offer_expires_at timestamptz,
+  offers_made integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists waitlist_entries_waiting_idx on waitlist_entries (rink_id, created_at) where status = 'waiting';
+create index if not exists waitlist_entries_offer_idx on waitlist_entries (offer_hold_group);
+
+-- Replace a live offer hold with a checkout's hold (same arguments as
+-- acquire_slot_hold, 014). Returns false when the offer has lapsed or the
+-- new hold clashes; then the offer hold is left as it was.
+create or replace function claim_waitlist_offer(
+  p_offer_hold_group uuid,
+  p_rink_id text,
+  p_hold_group uuid,
+  p_rows jsonb,
+  p_buffer_minutes integer,
+  p_customer_name text,
+  p_customer_email text,
+  p_expires_at timestamptz,
+  p_addons jsonb default '[]',
+  p_addon_limits jsonb default '[]'
+) returns boolean language plpgsql as $$
+begin
+  perform pg_advisory_xact_lock(hashtext('slot_holds:' || p_rink_id));
+  begin
+    delete from slot_holds where hold_group = p_offer_hold_group and expires_at > now();
+    if not found then
+      return false;
+    end if;
+    if not acquire_slot_hold(p_rink_id, p_hold_group, p_rows, p_buffer_minutes, p_customer_name,
+                             p_customer_email, p_expires_at, null, p_addons, p_addon_limits) then
+      raise exception 'waitlist_claim_refused';
+    end if;
+    return true;
+  exception when raise_exception then
+    -- the offer hold is restored; add-on stock errors still reach the caller
+    if sqlerrm like 'addon_unavailable:%' then
+      raise;
+    end if;
+    return false;
+  end;
+end;
+$$;
@@ -0,0 +1,52 @@
+-- Refunds recorded per Stripe payment. A booking can be paid by its original
+-- PaymentIntent plus reschedule top-ups (extra_payments, 012), and each
+-- charge.refunded webhook reports one of them:
+--   { "<payment_intent>": cents refunded on it, ... }
+alter table bookings add column if not exists refunds_by_payment jsonb not null default '{}';
+
+-- Record one payment's refunded total (Stripe's amount_refunded, cumulative
+-- per charge, so a replayed event changes nothing) on a booking. refunded_cents
+-- becomes the sum over its payments but never goes down: refunds the server
+-- issues itself are counted before their webhooks arrive.
+create or replace function record_payment_refund(p_booking_id text, p_payment_intent text, p_refunded_cents integer)
+returns setof bookings language sql as $$
+  update bookings b
+     set refunds_by_payment = b.refunds_by_payment || jsonb_build_object(p_payment_intent, p_refunded_cents),
+         refunded_cents = greatest(b.refunded_cents, (
+           select coalesce(sum(e.value::integer), 0)
+             from jsonb_each_text(b.refunds_by_payment || jsonb_build_object(p_payment_intent, p_refunded_cents)) as e
+         ))
+   where b.id::text = p_booking_id
+  returning b.*;
+$$;
+
+-- reschedule_booking (016) now carries the per-payment refunds over to the replacement.
+create or replace function reschedule_booking(p_booking_id text, p_hold_group uuid, p_booking jsonb)
+returns setof bookings language plpgsql as $$
+declare
+  v_old bookings;
+begin
+  select * into v_old from bookings where id::text = p_booking_id for update;
+  if not found or v_old.status <> 'confirmed' then
+    return;
+  end if;
+  perform pg_advisory_xact_lock(hashtext('slot_holds:' || v_old.rink_id));
+
+  update bookings set status = 'rescheduled', status_changed_at = now() where id = v_old.id;
+
+  return query
+  insert into bookings (
+    kind, status, status_changed_at, rink_id, ice_portion, slot_id, slot_ids, segments, start_ts, end_ts,
+    customer_name, customer_email, customer_phone, purpose, purpose_details, group_size, addons, discount,
+    amount_cents, refunded_cents, refunds_by_payment, currency, stripe_payment_intent, extra_payments, rescheduled_from, series_id
+  )
+  select r.kind, r.status, now(), r.rink_id, r.ice_portion, r.slot_id, r.slot_ids, r.segments, r.start_ts, r.end_ts,
+         r.customer_name, r.customer_email, r.customer_phone, r.purpose, r.purpose_details, r.group_size, coalesce(r.addons, '[]'), r.discount,
+         r.amount_cents, r.refunded_cents, coalesce(v_old.refunds_by_payment, '{}'), r.currency, r.stripe_payment_intent,
+         coalesce(r.extra_payments, '[]'), p_booking_id, r.series_id
+    from jsonb_populate_record(null::bookings, p_booking) as r
+  returning *;
+
+  delete from slot_holds where hold_group = p_hold_group;
+end;
+$$;
@@ -0,0 +1,133 @@
+/* =========================
+   ADD-ONS (extras sold with an ice rental)
+   =========================
+   config/addons.json:
+     { addons: [{ id, label, description?, unit, unit_price_cents,
+                  free_quantity?, max_per_booking?, per_slot_limit? }] }
+   - unit_price_cents: price of each unit beyond the free allowance
+   - free_quantity: units included at no charge per booking (e.g. 15 pairs of skates)
+   - max_per_booking: most units one booking may take (default: no limit)
+   - per_slot_limit: most units out at once across every booking and live
+     hold overlapping a time, arena-wide (e.g. 1 party room); checked under
+     the hold lock by acquire_slot_hold() (db/migrations/014)
+   A priced selection — stored on the hold and the booking as `addons` — is
+     [{ id, label, quantity, free_quantity, unit_price_cents, amount_cents }]
+*/
+import fs from 'fs';
+
+function optionalCount(value, what, id) {
+  if (value == null) return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error('Add-on ' + id + ' has invalid ' + what);
+  return n;
+}
+
+export function loadAddons(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return { addons: [] };
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8')).addons || [];
+  const seen = new Set();
+  return {
+    addons: raw.map(function (a, i) {
+      if (!a.id || !a.label) throw new Error('Add-on ' + (i + 1) + ' needs an id and a label');
+      if (seen.has(a.id)) throw new Error('Add-on ' + a.id + ' is listed twice');
+      seen.add(a.id);
+      const price = Number(a.unit_price_cents);
+      if (!Number.isInteger(price) || price < 0) throw new Error('Add-on ' + a.id + ' has invalid unit_price_cents');
+      return {
+        id: String(a.id),
+        label: String(a.label),
+        description: a.description ? String(a.description) : null,
+        unit: a.unit ? String(a.unit) : 'item',
+        unit_price_cents: price,
+        free_quantity: optionalCount(a.free_quantity, 'free_quantity', a.id) || 0,
+        max_per_booking: optionalCount(a.max_per_booking, 'max_per_booking', a.id),
+        per_slot_limit: optionalCount(a.per_slot_limit, 'per_slot_limit', a.id)
+      };
+    })
+  };
+}
+
+function findAddon(catalog, id) {
+  return catalog.addons.find(function (a) { return a.id === id; }) || null;
+}
+
+function priceLine(addon, quantity) {
+  const free = Math.min(quantity, addon.free_quantity);
+  return {
+    id: addon.id,
+    label: addon.label,
+    quantity: quantity,
+    free_quantity: free,
+    unit_price_cents: addon.unit_price_cents,
+    amount_cents: (quantity - free) * addon.unit_price_cents
+  };
+}
+
+/**
+ * Price a checkout body's `addons` ([{ id, quantity }]) against the catalog.
+ * Zero quantities are dropped. → { addons: [priced line] } or { error, code: 'invalid_addons' }
+ */
+export function priceAddons(catalog, raw) {
+  if (raw == null) return { addons: [] };
+  if (!Array.isArray(raw)) return { error: 'addons must be a list of { id, quantity }', code: 'invalid_addons' };
+  const lines = [];
+  for (const pick of raw) {
+    const addon = findAddon(catalog, pick && pick.id);
+    if (!addon) return { error: 'Unknown add-on ' + (pick && pick.id), code: 'invalid_addons' };
+    if (lines.some(function (l) { return l.id === addon.id; })) {
+      return { error: addon.label + ' is listed twice', code: 'invalid_addons' };
+    }
+    const qty = Number(pick.quantity);
+    if (!Number.isInteger(qty) || qty < 0) return { error: 'Enter a whole number of ' + addon.label, code: 'invalid_addons' };
+    if (addon.max_per_booking !== null && qty > addon.max_per_booking) {
+      return { error: addon.label + ': at most ' + addon.max_per_booking + ' per booking', code: 'invalid_addons' };
+    }
+    if (qty > 0) lines.push(priceLine(addon, qty));
+  }
+  return { addons: lines };
+}
+
+// Quote line items (pricing engine `extras`) for priced add-ons
+export function addonQuoteItems(lines) {
+  return (lines || []).map(function (l) {
+    return {
+      kind: 'addon',
+      code: l.id,
+      label: l.label,
+      unit_cents: l.unit_price_cents,
+      quantity: l.quantity,
+      free_quantity: l.free_quantity,
+      amount_cents: l.amount_cents
+    };
+  });
+}
+
+// acquire_slot_hold() p_addons: [{ id, quantity, limit }] for add-ons with a per-slot limit
+export function addonHoldLimits(catalog, lines) {
+  return (lines || []).reduce(function (acc, l) {
+    const addon = findAddon(catalog, l.id);
+    if (addon && addon.per_slot_limit !== null) acc.push({ id: l.id, quantity: l.quantity, limit: addon.per_slot_limit });
+    return acc;
+  }, []);
+}
+
+// Compact 'id:qty,id:qty' (Stripe metadata) ⇄ priced lines
+export function addonsToMetadata(lines) {
+  return (lines || []).map(function (l) { return l.id + ':' + l.quantity; }).join(',');
+}
+
+export function addonsFromMetadata(catalog, value) {
+  if (!value) return [];
+  return String(value).split(',').reduce(function (acc, part) {
+    const bits = part.split(':');
+    const addon = findAddon(catalog, bits[0]);
+    const qty = Number(bits[1]);
+    if (addon && Number.isInteger(qty) && qty > 0) acc.push(priceLine(addon, qty));
+    return acc;
+  }, []);
+}
+
+// 'Skate Rentals × 20, Referee × 1' for emails and Stripe descriptions
+export function describeAddons(lines) {
+  return (lines || []).map(function (l) { return l.label + ' × ' + l.quantity; }).join(', ');
+}
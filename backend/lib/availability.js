@@ -0,0 +1,164 @@
+/* =========================
+   AVAILABILITY (interval helpers, half-ice units, custom-length booking rules)
+   =========================
+   Intervals are { start: Date, end: Date }, end exclusive.
+*/
+import { DateTime } from 'luxon';
+
+const MINUTE_MS = 60 * 1000;
+
+export function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/*
+   Half ice: every segment is two bookable halves, 'a' and 'b'. Holds and
+   bookings store one row/id per half ('<slotId>:a'), so full ice takes both
+   ids and the unique slot_holds.slot_id index blocks any overlap between a
+   full-ice and a half-ice checkout. A bare '<slotId>' (older rows) is full ice.
+*/
+export const HALVES = ['a', 'b'];
+export const ICE_PORTIONS = ['full', 'half_a', 'half_b'];
+
+// Halves covered by a portion ('full' → both)
+export function portionHalves(portion) {
+  if (portion === 'half_a') return ['a'];
+  if (portion === 'half_b') return ['b'];
+  return HALVES.slice();
+}
+
+// Per-half hold/booking ids for a segment
+export function unitSlotIds(slotId, portion) {
+  return portionHalves(portion).map(function (h) { return slotId + ':' + h; });
+}
+
+export function baseSlotId(unitId) {
+  return String(unitId).split(':')[0];
+}
+
+// Remove every busy interval from each window; returns the free pieces.
+export function subtractIntervals(windows, busy) {
+  let free = windows.map(function (w) { return { start: new Date(w.start), end: new Date(w.end) }; });
+  busy.forEach(function (b) {
+    const next = [];
+    free.forEach(function (w) {
+      if (!overlaps(w, b)) { next.push(w); return; }
+      if (b.start > w.start) next.push({ start: w.start, end: new Date(b.start) });
+      if (b.end < w.end) next.push({ start: new Date(b.end), end: w.end });
+    });
+    free = next;
+  });
+  return free;
+}
+
+/*
+   Segmentation (per rink, see lib/rinks.js):
+     slot_minutes            — length of a bookable segment
+     min_remainder_minutes   — a shorter tail at the end of a window is still offered if at least this long
+     align_minutes           — segment starts snap to this local clock grid (0 = the window's own start)
+     buffer_minutes          — resurfacing time kept free before/after every booking and hold
+*/
+export const DEFAULT_SEGMENTATION = {
+  slot_minutes: 60,
+  min_remainder_minutes: 40,
+  align_minutes: 0,
+  buffer_minutes: 0
+};
+
+// First instant at or after `date` that sits on the local `alignMinutes` grid
+function alignUp(date, alignMinutes, timezone) {
+  if (!alignMinutes) return new Date(date);
+  const local = DateTime.fromJSDate(date, { zone: timezone || 'local' }).set({ second: 0, millisecond: 0 });
+  const bumped = local.toMillis() < date.getTime() ? local.plus({ minutes: 1 }) : local;
+  const rem = (bumped.hour * 60 + bumped.minute) % alignMinutes;
+  return (rem ? bumped.plus({ minutes: alignMinutes - rem }) : bumped).toJSDate();
+}
+
+// Split an open window into bookable segments; consecutive segments leave
+// buffer_minutes between them so back-to-back bookings get resurfacing time.
+export function expandIntoSegments(window, settings, timezone) {
+  const cfg = settings || DEFAULT_SEGMENTATION;
+  const end = new Date(window.end);
+  const slotMs = cfg.slot_minutes * MINUTE_MS;
+  const out = [];
+
+  let cur = alignUp(new Date(window.start), cfg.align_minutes, timezone);
+  while (cur < end) {
+    const next = new Date(cur.getTime() + slotMs);
+    if (next <= end) {
+      out.push({ start: cur, end: next });
+    } else {
+      if (end - cur >= cfg.min_remainder_minutes * MINUTE_MS) out.push({ start: cur, end: end });
+      break;
+    }
+    cur = alignUp(new Date(next.getTime() + cfg.buffer_minutes * MINUTE_MS), cfg.align_minutes, timezone);
+  }
+  return out;
+}
+
+// Busy intervals plus their resurfacing buffers; a buffer blocks the whole
+// sheet ({ halves: HALVES }) even when the booking itself is half ice.
+export function padBusy(intervals, bufferMinutes) {
+  if (!bufferMinutes) return intervals;
+  const pad = bufferMinutes * MINUTE_MS;
+  return intervals.reduce(function (acc, iv) {
+    acc.push(iv);
+    acc.push({ halves: HALVES, start: new Date(iv.start.getTime() - pad), end: iv.start });
+    acc.push({ halves: HALVES, start: iv.end, end: new Date(iv.end.getTime() + pad) });
+    return acc;
+  }, []);
+}
+
+// Halves of the sheet that some busy interval overlapping `range` occupies
+export function takenHalves(range, busyIntervals) {
+  const taken = new Set();
+  busyIntervals.forEach(function (iv) {
+    if (overlaps(range, iv)) (iv.halves || HALVES).forEach(function (h) { taken.add(h); });
+  });
+  return HALVES.filter(function (h) { return taken.has(h); });
+}
+
+/**
+ * Rules for custom-length bookings inside an availability window:
+ *   min_minutes / max_minutes     — allowed duration range
+ *   start_granularity_minutes     — starts must fall on this clock grid (e.g. :00/:30)
+ *   duration_step_minutes         — durations move in these steps (e.g. 15)
+ */
+export function customRulesFromEnv(env) {
+  return {
+    min_minutes: Number(env.CUSTOM_MIN_MINUTES || 60),
+    max_minutes: Number(env.CUSTOM_MAX_MINUTES || 180),
+    start_granularity_minutes: Number(env.CUSTOM_START_GRANULARITY || 30),
+    duration_step_minutes: Number(env.CUSTOM_DURATION_STEP || 15)
+  };
+}
+
+/**
+ * Check a requested [start, end) against the custom-length rules and the
+ * free windows. Returns null when bookable, else { code, error }.
+ */
+export function validateCustomRange(range, freeWindows, rules, timezone) {
+  const minutes = (range.end - range.start) / MINUTE_MS;
+  if (!Number.isInteger(minutes)) {
+    return { code: 'bad_duration', error: 'Start and end must be on whole minutes' };
+  }
+  if (minutes < rules.min_minutes || minutes > rules.max_minutes) {
+    return {
+      code: 'bad_duration',
+      error: 'Bookings must be ' + rules.min_minutes + '–' + rules.max_minutes + ' minutes long'
+    };
+  }
+  if (minutes % rules.duration_step_minutes !== 0) {
+    return { code: 'bad_duration', error: 'Duration must be a multiple of ' + rules.duration_step_minutes + ' minutes' };
+  }
+
+  const local = DateTime.fromJSDate(range.start, { zone: timezone || 'local' });
+  if (local.second !== 0 || local.millisecond !== 0 ||
+      (local.hour * 60 + local.minute) % rules.start_granularity_minutes !== 0) {
+    return { code: 'bad_start', error: 'Start time must be on a ' + rules.start_granularity_minutes + '-minute boundary' };
+  }
+
+  const inside = freeWindows.some(function (w) { return w.start <= range.start && range.end <= w.end; });
+  if (!inside) return { code: 'not_available', error: 'Requested time is not inside an open availability window' };
+  return null;
+}
@@ -0,0 +1,157 @@
+/* =========================
+   BLACKOUTS (holidays + closures)
+   =========================
+   A rule closes the rink on matching local dates:
+     { id, label, kind, rink_id?, start_time?, end_time?, …kind fields }
+   kind:
+     fixed        month (1-12) + day                     e.g. Christmas: 12/25
+     nth_weekday  month + weekday (0=Sun) + nth (1-5, or -1 for the last one)
+                                                          e.g. Thanksgiving: 11, 4, 4
+     range        from_date..until_date ('YYYY-MM-DD', inclusive) — one-off closures
+   start_time/end_time ('HH:MM', local) make it a partial-day closure; leave
+   both out to close the whole day. rink_id limits a rule to one sheet.
+*/
+import fs from 'fs';
+import { DateTime } from 'luxon';
+
+const KINDS = ['fixed', 'nth_weekday', 'range'];
+
+function parseHHMM(value) {
+  const m = /^(\d{1,2}):(\d{2})(?::00)?$/.exec(String(value || ''));
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function intIn(value, min, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+/**
+ * Validate a rule (from the config file, the DB or the admin API).
+ * Throws an Error with a user-facing message when it's malformed.
+ */
+export function normalizeBlackout(raw) {
+  const r = raw || {};
+  const label = String(r.label || '').trim();
+  if (!label) throw new Error('label is required');
+  if (KINDS.indexOf(r.kind) === -1) throw new Error('kind must be one of ' + KINDS.join(', '));
+
+  const out = {
+    id: r.id == null ? null : String(r.id),
+    label: label,
+    kind: r.kind,
+    month: null,
+    day: null,
+    weekday: null,
+    nth: null,
+    from_date: null,
+    until_date: null,
+    start_time: null,
+    end_time: null,
+    rink_id: r.rink_id || null
+  };
+
+  if (r.kind === 'fixed') {
+    out.month = intIn(r.month, 1, 12);
+    out.day = intIn(r.day, 1, 31);
+    if (out.month === null || out.day === null) throw new Error('fixed rules need month (1-12) and day (1-31)');
+  } else if (r.kind === 'nth_weekday') {
+    out.month = intIn(r.month, 1, 12);
+    out.weekday = intIn(r.weekday, 0, 6);
+    out.nth = intIn(r.nth, -1, 5);
+    if (out.month === null || out.weekday === null || !out.nth) {
+      throw new Error('nth_weekday rules need month (1-12), weekday (0-6) and nth (1-5 or -1)');
+    }
+  } else {
+    const from = DateTime.fromISO(String(r.from_date || ''));
+    const until = DateTime.fromISO(String(r.until_date || r.from_date || ''));
+    if (!from.isValid || !until.isValid) throw new Error('range rules need from_date and until_date (YYYY-MM-DD)');
+    if (until < from) throw new Error('until_date must not be before from_date');
+    out.from_date = from.toISODate();
+    out.until_date = until.toISODate();
+  }
+
+  if (r.start_time || r.end_time) {
+    const startMin = parseHHMM(r.start_time || '00:00');
+    const endMin = parseHHMM(r.end_time || '24:00');
+    if (startMin === null || endMin === null) throw new Error('start_time/end_time must be HH:MM');
+    if (endMin <= startMin) throw new Error('end_time must be after start_time');
+    out.start_time = String(r.start_time || '00:00').slice(0, 5);
+    out.end_time = String(r.end_time || '24:00').slice(0, 5);
+  }
+  return out;
+}
+
+// Read rules from a JSON file ({ blackouts: [...] }); missing file = none.
+export function loadBlackoutFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return [];
+  return (JSON.parse(fs.readFileSync(filePath, 'utf8')).blackouts || []).map(normalizeBlackout);
+}
+
+// Read active rules from the blackouts table.
+export async function loadBlackoutsFromDb(supabase) {
+  const resp = await supabase
+    .from('blackouts')
+    .select('*')
+    .eq('active', true)
+    .order('created_at', { ascending: true });
+  if (resp.error) throw new Error('blackouts: ' + resp.error.message);
+  return (resp.data || []).map(normalizeBlackout);
+}
+
+function matchesDay(rule, day) {
+  if (rule.kind === 'fixed') return day.month === rule.month && day.day === rule.day;
+  if (rule.kind === 'range') {
+    const ymd = day.toISODate();
+    return ymd >= rule.from_date && ymd <= rule.until_date;
+  }
+  if (day.month !== rule.month || day.weekday % 7 !== rule.weekday) return false;
+  if (rule.nth === -1) return day.plus({ days: 7 }).month !== day.month;
+  return Math.ceil(day.day / 7) === rule.nth;
+}
+
+/**
+ * Build a calendar around a rule list. `timezone` is the IANA zone the
+ * dates/times are written in; defaults to the server's local zone.
+ */
+export function createBlackoutCalendar(rules, options) {
+  const zone = (options && options.timezone) || 'local';
+
+  // Closed intervals [{ start, end, rule }] that touch [from, until) for a sheet
+  function closures(from, until, rinkId) {
+    const out = [];
+    const applicable = rules.filter(function (r) { return !r.rink_id || r.rink_id === rinkId; });
+    if (!applicable.length) return out;
+
+    let day = DateTime.fromJSDate(new Date(from), { zone: zone }).startOf('day');
+    const stop = new Date(until).getTime();
+    while (day.toMillis() < stop) {
+      applicable.forEach(function (rule) {
+        if (!matchesDay(rule, day)) return;
+        const start = rule.start_time ? day.plus({ minutes: parseHHMM(rule.start_time) }) : day;
+        const end = rule.end_time ? day.plus({ minutes: parseHHMM(rule.end_time) }) : day.plus({ days: 1 });
+        if (start.toMillis() < stop && end.toMillis() > new Date(from).getTime()) {
+          out.push({ start: start.toJSDate(), end: end.toJSDate(), rule: rule });
+        }
+      });
+      day = day.plus({ days: 1 });
+    }
+    out.sort(function (a, b) { return a.start - b.start; });
+    return out;
+  }
+
+  return {
+    rules: rules,
+    closures: closures,
+
+    // First closure overlapping any of the ranges ({ start, end }), or null
+    firstOverlap: function (ranges, rinkId) {
+      for (let i = 0; i < ranges.length; i++) {
+        const hit = closures(ranges[i].start, ranges[i].end, rinkId)[0];
+        if (hit) return hit;
+      }
+      return null;
+    }
+  };
+}
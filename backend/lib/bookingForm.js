@@ -0,0 +1,87 @@
+/* =========================
+   BOOKING FORM (checkout contact + event details)
+   =========================
+   config/booking_form.json:
+     { purposes: [{ name, min_group_size, max_group_size, describe }] }
+   - min_group_size / max_group_size: allowed party size for that purpose
+   - describe: the customer must say what the event is (purposeDetails)
+   Rentals need name, email, phone, purpose and groupSize; ticketed sessions
+   only the contact fields. Problems come back per field, keyed like the
+   request body: { error, code: 'invalid_fields', fields: { email: '…' } }.
+*/
+import fs from 'fs';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export function loadBookingForm(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return { purposes: [] };
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8')).purposes || [];
+  return {
+    purposes: raw.map(function (p, i) {
+      if (!p.name) throw new Error('Booking purpose ' + (i + 1) + ' needs a name');
+      const min = p.min_group_size == null ? 1 : Number(p.min_group_size);
+      const max = p.max_group_size == null ? null : Number(p.max_group_size);
+      if (!Number.isInteger(min) || min < 1) throw new Error('Booking purpose ' + p.name + ' has invalid min_group_size');
+      if (max !== null && (!Number.isInteger(max) || max < min)) throw new Error('Booking purpose ' + p.name + ' has invalid max_group_size');
+      return { name: String(p.name), min_group_size: min, max_group_size: max, describe: Boolean(p.describe) };
+    })
+  };
+}
+
+// Phone number → E.164 ('+12035551234'); bare 10-digit numbers are taken as US/Canada.
+// Returns null when it can't be a real number.
+export function normalizePhone(value) {
+  const text = String(value || '').trim();
+  const digits = text.replace(/\D/g, '');
+  if (text.charAt(0) === '+') return digits.length >= 8 && digits.length <= 15 ? '+' + digits : null;
+  if (digits.length === 10) return '+1' + digits;
+  if (digits.length === 11 && digits.charAt(0) === '1') return '+' + digits;
+  return null;
+}
+
+/**
+ * Check a checkout body against the form. kind: 'rental' | 'session'.
+ * → { values: { name, email, phone, purpose, purpose_details, group_size } } or { error, code, fields }
+ */
+export function validateBookingForm(form, body, kind) {
+  const fields = {};
+  const values = { purpose: null, purpose_details: null, group_size: null };
+
+  values.name = String(body.name || '').trim();
+  if (!values.name) fields.name = 'Enter your name';
+  else if (values.name.length > 100) fields.name = 'Name is too long';
+
+  values.email = String(body.email || '').trim().toLowerCase();
+  if (!EMAIL_RE.test(values.email) || values.email.length > 254) fields.email = 'Enter a valid email address';
+
+  values.phone = normalizePhone(body.phone);
+  if (!values.phone) fields.phone = 'Enter a valid phone number';
+
+  if (kind === 'rental') {
+    const purpose = form.purposes.find(function (p) { return p.name === body.purpose; });
+    if (!purpose) {
+      fields.purpose = 'Choose one of: ' + form.purposes.map(function (p) { return p.name; }).join(', ');
+    } else {
+      values.purpose = purpose.name;
+      const details = String(body.purposeDetails || '').trim();
+      if (purpose.describe && !details) fields.purposeDetails = 'Please describe your event';
+      else if (details.length > 200) fields.purposeDetails = 'Keep the description under 200 characters';
+      values.purpose_details = details || null;
+
+      const size = Number(body.groupSize);
+      if (!Number.isInteger(size) || size < purpose.min_group_size) {
+        fields.groupSize = purpose.min_group_size > 1
+          ? purpose.name + ' needs at least ' + purpose.min_group_size + ' people'
+          : 'Enter the number of people';
+      } else if (purpose.max_group_size !== null && size > purpose.max_group_size) {
+        fields.groupSize = purpose.name + ' allows up to ' + purpose.max_group_size + ' people';
+      }
+      values.group_size = size;
+    }
+  }
+
+  if (Object.keys(fields).length) {
+    return { error: 'Please fix the highlighted fields', code: 'invalid_fields', fields: fields };
+  }
+  return { values: values };
+}
@@ -0,0 +1,177 @@
+/* =========================
+   BOOKING LIFECYCLE (states, transitions, audit log)
+   =========================
+   Every status change — Stripe webhooks, admin actions, customer
+   self-service — goes through transition(), which only allows the moves
+   in TRANSITIONS and writes a booking_events row (db/migrations/011):
+     { booking_id, from_status, to_status, actor, reason,
+       stripe_event_id, stripe_payment_intent, stripe_refund_id, created_at }
+   Allowed moves are listed per state in TRANSITIONS below.
+*/
+
+export const BOOKING_STATES = [
+  'pending',      // checkout completed, delayed payment not settled yet
+  'confirmed',    // paid
+  'disputed',     // customer opened a chargeback; ice stays booked
+  'cancelled',    // called off (payment failed, customer or admin); ice released
+  'refunded',     // money returned in full; ice released
+  'rescheduled',  // replaced by a booking at another time; ice released
+  'no_show',
+  'completed'
+];
+
+// States whose ice/seats are free again
+export const RELEASED_STATES = ['cancelled', 'refunded', 'rescheduled'];
+
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['cancelled', 'refunded', 'rescheduled', 'disputed', 'no_show', 'completed'],
+  disputed: ['confirmed', 'refunded'],
+  cancelled: ['refunded'],
+  no_show: ['refunded'],
+  completed: ['refunded'],
+  refunded: [],
+  rescheduled: []
+};
+
+export function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from]) && TRANSITIONS[from].indexOf(to) !== -1;
+}
+
+function auditRow(booking, from, to, context) {
+  const ctx = context || {};
+  return {
+    booking_id: String(booking.id),
+    from_status: from,
+    to_status: to,
+    actor: ctx.actor || 'system',
+    reason: ctx.reason || null,
+    stripe_event_id: ctx.stripe_event_id || null,
+    stripe_payment_intent: ctx.stripe_payment_intent || booking.stripe_payment_intent || null,
+    stripe_refund_id: ctx.stripe_refund_id || null
+  };
+}
+
+/**
+ * Lifecycle bound to a Supabase client.
+ * context (every call): { actor: 'stripe' | 'admin' | 'customer' | 'system',
+ *   reason?, stripe_event_id?, stripe_payment_intent?, stripe_refund_id? }
+ * options (optional): { beforeIceRelease(booking) } runs before a booking is
+ *   released (cancelled, refunded, rescheduled) and may return
+ *   finish(released), called once the status change did or didn't happen
+ *   (the server holds the freed ice for its waitlist this way).
+ */
+export function createBookingLifecycle(supabase, options) {
+  const beforeIceRelease = (options && options.beforeIceRelease) || async function () { return null; };
+
+  async function audit(booking, from, to, context) {
+    const resp = await supabase.from('booking_events').insert(auditRow(booking, from, to, context));
+    if (resp.error) throw new Error('booking_events: ' + resp.error.message);
+  }
+
+  // Seats of a released session booking go back on sale
+  async function releaseSeats(booking) {
+    if (booking.kind !== 'session') return;
+    const resp = await supabase.rpc('release_session_seats', { p_session_id: booking.session_id, p_quantity: booking.quantity });
+    if (resp.error) throw new Error('release_session_seats: ' + resp.error.message);
+  }
+
+  /**
+   * Move one booking to `to`. patch: extra columns written with the status.
+   * Returns { booking } or { error, code } (not_found | invalid_transition | conflict).
+   */
+  async function transition(bookingId, to, context, patch) {
+    const found = await supabase.from('bookings').select('*').eq('id', bookingId).maybeSingle();
+    if (found.error) throw new Error('bookings: ' + found.error.message);
+    if (!found.data) return { error: 'Booking not found', code: 'not_found' };
+    return transitionRow(found.data, to, context, patch);
+  }
+
+  async function transitionRow(booking, to, context, patch) {
+    const from = booking.status;
+    if (!canTransition(from, to)) {
+      return { error: 'A ' + from + ' booking cannot become ' + to, code: 'invalid_transition' };
+    }
+    const releasing = RELEASED_STATES.indexOf(to) !== -1 && RELEASED_STATES.indexOf(from) === -1;
+    const finish = releasing ? await beforeIceRelease(booking) : null;
+    // Only applies if nobody changed the status since it was read
+    const upd = await supabase
+      .from('bookings')
+      .update(Object.assign({}, patch || {}, { status: to, status_changed_at: new Date().toISOString() }))
+      .eq('id', booking.id)
+      .eq('status', from)
+      .select('*');
+    const moved = !upd.error && upd.data && upd.data.length ? upd.data[0] : null;
+    if (finish) await finish(Boolean(moved));
+    if (upd.error) throw new Error('bookings: ' + upd.error.message);
+    if (!moved) return { error: 'Booking changed meanwhile; try again', code: 'conflict' };
+
+    await audit(moved, from, to, context);
+    if (releasing) await releaseSeats(moved);
+    console.log('[BOOKING] ' + moved.id + ' ' + from + ' → ' + to + ' by ' + ((context && context.actor) || 'system'));
+    return { booking: moved };
+  }
+
+  return {
+    transition: transition,
+
+    // Audit entry for a freshly inserted booking (from_status null)
+    recordCreated: function (booking, context) {
+      return audit(booking, null, booking.status, context);
+    },
+
+    // Move every booking paid by a PaymentIntent that may go to `to`; returns the moved rows
+    transitionByPaymentIntent: async function (paymentIntent, to, context, patch) {
+      if (!paymentIntent) return [];
+      const list = await supabase.from('bookings').select('*').eq('stripe_payment_intent', paymentIntent);
+      if (list.error) throw new Error('bookings: ' + list.error.message);
+      const moved = [];
+      for (const booking of list.data || []) {
+        if (!canTransition(booking.status, to)) continue;
+        const result = await transitionRow(booking, to, Object.assign({ stripe_payment_intent: paymentIntent }, context), patch);
+        if (result.booking) moved.push(result.booking);
+      }
+      return moved;
+    },
+
+    /**
+     * Replace a confirmed booking with `replacement` (bookings columns for the
+     * new time) in one transaction via reschedule_booking() (db/migrations/012):
+     * the old row becomes rescheduled only if the new one is inserted.
+     * Returns { booking } (the new row) or { error, code } (invalid_transition | conflict).
+     */
+    reschedule: async function (booking, replacement, holdGroup, context) {
+      if (!canTransition(booking.status, 'rescheduled')) {
+        return { error: 'A ' + booking.status + ' booking cannot be rescheduled', code: 'invalid_transition' };
+      }
+      const finish = await beforeIceRelease(booking);
+      const resp = await supabase.rpc('reschedule_booking', {
+        p_booking_id: String(booking.id),
+        p_hold_group: holdGroup,
+        p_booking: Object.assign({}, replacement, { status: 'confirmed' })
+      });
+      const moved = resp.error ? null : (resp.data || [])[0];
+      if (finish) await finish(Boolean(moved));
+      if (resp.error && resp.error.code === '23P01') return { error: 'The new time overlaps another booking', code: 'conflict' };
+      if (resp.error) throw new Error('reschedule_booking: ' + resp.error.message);
+      if (!moved) return { error: 'Booking changed meanwhile; try again', code: 'conflict' };
+
+      const ctx = context || {};
+      await audit(booking, booking.status, 'rescheduled', Object.assign({}, ctx, { reason: ctx.reason || ('moved to booking ' + moved.id) }));
+      await audit(moved, null, moved.status, Object.assign({}, ctx, { reason: 'rescheduled from booking ' + booking.id }));
+      console.log('[BOOKING] ' + booking.id + ' ' + booking.status + ' → rescheduled as ' + moved.id + ' by ' + (ctx.actor || 'system'));
+      return { booking: moved };
+    },
+
+    // Audit trail for one booking, oldest first
+    history: async function (bookingId) {
+      const resp = await supabase
+        .from('booking_events')
+        .select('*')
+        .eq('booking_id', String(bookingId))
+        .order('created_at', { ascending: true });
+      if (resp.error) throw new Error('booking_events: ' + resp.error.message);
+      return resp.data || [];
+    }
+  };
+}
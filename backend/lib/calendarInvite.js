@@ -0,0 +1,44 @@
+/* =========================
+   CALENDAR INVITE (.ics attached to booking emails)
+   =========================
+   One VEVENT per continuous range of a booking, UID'd by booking id and range.
+*/
+
+function icsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escape TEXT values (RFC 5545 §3.3.11)
+function icsText(value) {
+  return String(value || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * options: { uid, ranges: [{ start, end }], summary, description, location }
+ * Returns the calendar text (CRLF line endings).
+ */
+export function bookingCalendar(options) {
+  const stamp = icsDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Wings Arena//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  options.ranges.forEach(function (r, i) {
+    lines.push(
+      'BEGIN:VEVENT',
+      'UID:' + options.uid + '-' + i + '@wingsarena',
+      'DTSTAMP:' + stamp,
+      'DTSTART:' + icsDate(r.start),
+      'DTEND:' + icsDate(r.end),
+      'SUMMARY:' + icsText(options.summary),
+      'DESCRIPTION:' + icsText(options.description),
+      'LOCATION:' + icsText(options.location),
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n') + '\r\n';
+}
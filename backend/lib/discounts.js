@@ -0,0 +1,148 @@
+/* =========================
+   DISCOUNTS (promo codes + member rates)
+   =========================
+   config/discounts.json:
+     {
+       codes:   [{ code, label, percent? | amount_cents?, starts?, expires?,
+                   max_uses?, max_uses_per_customer?, tiers?, days? }],
+       members: [{ id, label, percent? | amount_cents?, email_domains?, tags?,
+                   tiers?, days? }]
+     }
+   - percent / amount_cents: exactly one; taken off the eligible ice rental
+     (add-ons, fees and taxes are not discounted; fees/taxes follow the
+     lower subtotal). At least MIN_CHARGE_CENTS of that ice is always left
+     to pay, so even 100% off still goes through Stripe as a real payment.
+   - starts / expires: inclusive 'YYYY-MM-DD' days the code can be redeemed
+   - max_uses / max_uses_per_customer: redemptions, counted in
+     discount_redemptions (db/migrations/015)
+   - tiers: pricing rule ids (config/pricing.json) covered; default all
+   - days: 0=Sun..6=Sat; only segments starting on these days are covered
+   - members apply automatically when the customer's email domain is listed
+     or the customer carries one of the tags (customer_tags table)
+   A booking gets one discount: the largest it qualifies for. The rule is
+   snapshotted onto the booking (`discount`) so a reschedule re-applies it.
+*/
+import fs from 'fs';
+import { DateTime } from 'luxon';
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+// Stripe's smallest USD charge; a discounted booking still has a payment
+// intent to confirm, match and refund
+const MIN_CHARGE_CENTS = 50;
+
+function normalizeRule(raw, what, id) {
+  const percent = raw.percent == null ? null : Number(raw.percent);
+  const amount = raw.amount_cents == null ? null : Number(raw.amount_cents);
+  if ((percent == null) === (amount == null)) throw new Error(what + ' ' + id + ' needs exactly one of percent or amount_cents');
+  if (percent != null && !(percent > 0 && percent <= 100)) throw new Error(what + ' ' + id + ' has invalid percent');
+  if (amount != null && !(Number.isInteger(amount) && amount > 0)) throw new Error(what + ' ' + id + ' has invalid amount_cents');
+  const days = Array.isArray(raw.days) ? raw.days.map(Number) : null;
+  if (days && days.some(function (d) { return !(d >= 0 && d <= 6); })) throw new Error(what + ' ' + id + ' has invalid days');
+  return {
+    label: raw.label || id,
+    percent: percent,
+    amount_cents: amount,
+    tiers: Array.isArray(raw.tiers) && raw.tiers.length ? raw.tiers.map(String) : null,
+    days: days
+  };
+}
+
+function optionalLimit(value, what, code) {
+  if (value == null) return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error('Promo code ' + code + ' has invalid ' + what);
+  return n;
+}
+
+export function loadDiscounts(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return { codes: [], members: [] };
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const codes = (raw.codes || []).map(function (c, i) {
+    if (!c.code) throw new Error('Promo code ' + (i + 1) + ' needs a code');
+    const code = String(c.code).trim().toUpperCase();
+    ['starts', 'expires'].forEach(function (key) {
+      if (c[key] != null && !YMD_RE.test(c[key])) throw new Error('Promo code ' + code + ' has invalid ' + key);
+    });
+    return Object.assign({ source: 'code', code: code }, normalizeRule(c, 'Promo code', code), {
+      starts: c.starts || null,
+      expires: c.expires || null,
+      max_uses: optionalLimit(c.max_uses, 'max_uses', code),
+      max_uses_per_customer: optionalLimit(c.max_uses_per_customer, 'max_uses_per_customer', code)
+    });
+  });
+  const members = (raw.members || []).map(function (m, i) {
+    const id = m.id || ('member-' + i);
+    return Object.assign({ source: 'member', code: id }, normalizeRule(m, 'Member rate', id), {
+      email_domains: (m.email_domains || []).map(function (d) { return String(d).toLowerCase().replace(/^@/, ''); }),
+      tags: (m.tags || []).map(String)
+    });
+  });
+  return { codes: codes, members: members };
+}
+
+/**
+ * Discount lookups and pricing over a loaded config. `timezone` is the IANA
+ * zone for code dates and weekdays; defaults to the server's local zone.
+ */
+export function createDiscounts(config, options) {
+  const zone = (options && options.timezone) || 'local';
+
+  return {
+    // Promo code usable today → { rule } or { error }
+    findCode: function (value, now) {
+      const code = String(value || '').trim().toUpperCase();
+      const rule = config.codes.find(function (c) { return c.code === code; });
+      if (!rule) return { error: 'That promo code isn\'t valid' };
+      const today = DateTime.fromJSDate(now || new Date(), { zone: zone }).toISODate();
+      if (rule.starts && today < rule.starts) return { error: 'That promo code isn\'t active yet' };
+      if (rule.expires && today > rule.expires) return { error: 'That promo code has expired' };
+      return { rule: rule };
+    },
+
+    // Member rates for an email address and its customer tags
+    membersFor: function (email, tags) {
+      const domain = String(email || '').toLowerCase().split('@')[1] || '';
+      return config.members.filter(function (m) {
+        return (domain && m.email_domains.indexOf(domain) !== -1) ||
+          (tags || []).some(function (t) { return m.tags.indexOf(t) !== -1; });
+      });
+    },
+
+    /**
+     * Quote line item for `rule` on a rental of `segments` ([{ start, end }]),
+     * priced by `pricing` (lib/pricing.js engine) → { kind: 'discount', code,
+     * label, amount_cents (negative) } or null when nothing is covered.
+     */
+    lineFor: function (rule, pricing, segments, portion) {
+      const covered = rule.days
+        ? segments.filter(function (seg) { return rule.days.indexOf(DateTime.fromJSDate(new Date(seg.start), { zone: zone }).weekday % 7) !== -1; })
+        : segments;
+      if (!covered.length) return null;
+      const quote = pricing.quoteRanges(covered, [], { portion: portion });
+      if (!quote) return null;
+      const base = quote.line_items.reduce(function (sum, li) {
+        return li.kind === 'ice' && (!rule.tiers || rule.tiers.indexOf(li.code) !== -1) ? sum + li.amount_cents : sum;
+      }, 0);
+      const cents = Math.min(
+        rule.percent != null ? Math.round(base * rule.percent / 100) : rule.amount_cents,
+        base - MIN_CHARGE_CENTS
+      );
+      if (cents <= 0) return null;
+      return { kind: 'discount', code: rule.code, label: rule.label, amount_cents: -cents };
+    }
+  };
+}
+
+// What a booking keeps of the rule it was priced with
+export function discountSnapshot(rule, line) {
+  return {
+    source: rule.source,
+    code: rule.code,
+    label: rule.label,
+    percent: rule.percent,
+    amount_cents: rule.amount_cents,
+    tiers: rule.tiers,
+    days: rule.days,
+    discount_cents: -line.amount_cents
+  };
+}
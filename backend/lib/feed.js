@@ -0,0 +1,177 @@
+/* =========================
+   ICS FEED (cached, background-refreshed)
+   =========================
+   Keeps the last good copy of the availability feed in memory and on disk.
+   Refreshes on an interval with conditional requests (ETag/Last-Modified),
+   so a calendar-host outage serves the last snapshot flagged as stale
+   instead of failing the booking page.
+*/
+import fs from 'fs';
+import path from 'path';
+import ical from 'node-ical';
+
+/**
+ * options: { url, refreshMs, staleAfterMs, snapshotFile, timeoutMs, label }
+ */
+export function createIcsFeed(options) {
+  const url = options.url;
+  const refreshMs = options.refreshMs;
+  const staleAfterMs = options.staleAfterMs || refreshMs * 3;
+  const snapshotFile = options.snapshotFile || null;
+  const timeoutMs = options.timeoutMs || 20000;
+  const tag = '[FEED' + (options.label ? ' ' + options.label : '') + ']';
+
+  let snapshot = null; // { text, data, etag, lastModified, fetchedAt, eventCount }
+  let inFlight = null;
+  let timer = null;
+  const state = {
+    lastAttemptAt: null,
+    lastSuccessAt: null,
+    lastChangedAt: null,
+    lastError: null,
+    lastErrorAt: null
+  };
+
+  function countEvents(data) {
+    return Object.values(data || {}).filter(function (ev) { return ev && ev.type === 'VEVENT'; }).length;
+  }
+
+  async function adopt(text, meta) {
+    const data = await ical.async.parseICS(text);
+    snapshot = {
+      text: text,
+      data: data,
+      etag: meta.etag || null,
+      lastModified: meta.lastModified || null,
+      fetchedAt: meta.fetchedAt,
+      eventCount: countEvents(data)
+    };
+  }
+
+  function persist() {
+    if (!snapshotFile || !snapshot) return;
+    try {
+      fs.mkdirSync(path.dirname(snapshotFile), { recursive: true });
+      fs.writeFileSync(snapshotFile, JSON.stringify({
+        url: url,
+        text: snapshot.text,
+        etag: snapshot.etag,
+        lastModified: snapshot.lastModified,
+        fetchedAt: snapshot.fetchedAt
+      }));
+    } catch (e) {
+      console.error(tag, 'Could not write snapshot:', e && e.message ? e.message : e);
+    }
+  }
+
+  // Load the on-disk snapshot so a restart during an outage still has data.
+  async function restore() {
+    if (!snapshotFile || !fs.existsSync(snapshotFile)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+      if (saved.url !== url) {
+        console.warn(tag, 'Snapshot is for a different feed URL; ignoring');
+        return;
+      }
+      await adopt(saved.text, saved);
+      state.lastSuccessAt = saved.fetchedAt;
+      console.log(tag, 'Restored snapshot from', saved.fetchedAt, '(' + snapshot.eventCount + ' events)');
+    } catch (e) {
+      console.error(tag, 'Could not restore snapshot:', e && e.message ? e.message : e);
+    }
+  }
+
+  async function doRefresh() {
+    state.lastAttemptAt = new Date().toISOString();
+    const headers = {};
+    if (snapshot && snapshot.etag) headers['If-None-Match'] = snapshot.etag;
+    if (snapshot && snapshot.lastModified) headers['If-Modified-Since'] = snapshot.lastModified;
+
+    try {
+      const resp = await fetch(url, { headers: headers, signal: AbortSignal.timeout(timeoutMs) });
+      const now = new Date().toISOString();
+
+      if (resp.status === 304 && snapshot) {
+        snapshot.fetchedAt = now;
+        state.lastSuccessAt = now;
+        state.lastError = null;
+        persist();
+        console.log(tag, 'Not modified');
+        return;
+      }
+      if (!resp.ok) throw new Error('HTTP ' + resp.status);
+
+      const text = await resp.text();
+      if (text.indexOf('BEGIN:VCALENDAR') === -1) throw new Error('Response is not an iCalendar feed');
+      await adopt(text, {
+        etag: resp.headers.get('etag'),
+        lastModified: resp.headers.get('last-modified'),
+        fetchedAt: now
+      });
+      state.lastSuccessAt = now;
+      state.lastChangedAt = now;
+      state.lastError = null;
+      persist();
+      console.log(tag, 'Refreshed: ' + snapshot.eventCount + ' events');
+    } catch (e) {
+      state.lastError = e && e.message ? e.message : String(e);
+      state.lastErrorAt = new Date().toISOString();
+      console.error(tag, 'Refresh failed:', state.lastError);
+      throw e;
+    }
+  }
+
+  // One refresh at a time; concurrent callers share the same attempt.
+  function refresh() {
+    if (!inFlight) {
+      inFlight = doRefresh().finally(function () { inFlight = null; });
+    }
+    return inFlight;
+  }
+
+  function isStale() {
+    if (!snapshot) return true;
+    if (state.lastError) return true;
+    return Date.now() - new Date(state.lastSuccessAt).getTime() > staleAfterMs;
+  }
+
+  return {
+    start: async function () {
+      await restore();
+      if (timer) return;
+      timer = setInterval(function () { refresh().catch(function () {}); }, refreshMs);
+      timer.unref();
+      await refresh().catch(function () {});
+    },
+
+    refresh: refresh,
+
+    /**
+     * Parsed calendar for callers. Uses the snapshot if there is one (stale
+     * or not); only waits on the network when nothing has ever loaded.
+     * Throws when no data is available at all.
+     */
+    getCalendar: async function () {
+      if (!snapshot) await refresh();
+      return {
+        data: snapshot.data,
+        stale: isStale(),
+        fetchedAt: snapshot.fetchedAt
+      };
+    },
+
+    status: function () {
+      return {
+        hasSnapshot: Boolean(snapshot),
+        stale: isStale(),
+        eventCount: snapshot ? snapshot.eventCount : 0,
+        lastAttemptAt: state.lastAttemptAt,
+        lastSuccessAt: state.lastSuccessAt,
+        lastChangedAt: state.lastChangedAt,
+        lastError: state.lastError,
+        lastErrorAt: state.lastErrorAt,
+        refreshSeconds: Math.round(refreshMs / 1000)
+      };
+    }
+  };
+}
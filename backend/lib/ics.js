@@ -0,0 +1,104 @@
+/* =========================
+   ICS EXPANSION (VEVENT → concrete occurrences)
+   =========================
+   node-ical gives one object per UID: the master VEVENT with `rrule`,
+   `exdate` (keyed by UTC 'YYYY-MM-DD') and `recurrences` (RECURRENCE-ID
+   overrides, same keys). This turns that into plain { start, end } windows.
+
+   Recurrences are generated in the event's own wall-clock time and then
+   placed in its TZID, so a weekly 6pm window stays at 6pm across DST.
+*/
+import { DateTime } from 'luxon';
+
+// Wall-clock time of `date` in `zone`, carried in a Date's UTC fields.
+function toFloating(date, zone) {
+  const dt = DateTime.fromJSDate(date, { zone: zone });
+  return new Date(Date.UTC(dt.year, dt.month - 1, dt.day, dt.hour, dt.minute, dt.second));
+}
+
+function fromFloating(date, zone) {
+  return DateTime.fromObject({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  }, { zone: zone }).toJSDate();
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function isCancelled(ev) {
+  return String(ev.status || '').toUpperCase() === 'CANCELLED';
+}
+
+function occurrence(ev, start, end) {
+  return { uid: ev.uid, summary: ev.summary || '', start: start, end: end };
+}
+
+// All occurrence starts of a master event's RRULE within [from, until).
+function ruleStarts(ev, from, until, zone) {
+  const RRule = ev.rrule.constructor;
+  const opts = Object.assign({}, ev.rrule.origOptions, {
+    dtstart: toFloating(ev.start, zone),
+    tzid: null
+  });
+  if (opts.until) opts.until = toFloating(opts.until, zone);
+
+  // a day of slack either side; exact instants are filtered by the caller
+  const slack = 24 * 60 * 60 * 1000;
+  return new RRule(opts)
+    .between(new Date(toFloating(from, zone).getTime() - slack), new Date(toFloating(until, zone).getTime() + slack), true)
+    .map(function (d) { return fromFloating(d, zone); });
+}
+
+/**
+ * Expand parsed ICS data (node-ical output) into occurrences that end after
+ * `from` and start before `until`. Floating times (no TZID) use
+ * `defaultZone` (IANA name; defaults to the server's zone).
+ */
+export function expandCalendar(data, options) {
+  const from = options.from;
+  const until = options.until;
+  const defaultZone = options.defaultZone || 'local';
+  const out = [];
+
+  function keep(occ) {
+    if (occ.start && occ.end && occ.end > from && occ.start < until) out.push(occ);
+  }
+
+  Object.values(data || {}).forEach(function (ev) {
+    if (!ev || ev.type !== 'VEVENT' || !ev.start || !ev.end) return;
+    if (isCancelled(ev)) return;
+
+    if (!ev.rrule) {
+      keep(occurrence(ev, new Date(ev.start), new Date(ev.end)));
+      return;
+    }
+
+    const zone = ev.start.tz || defaultZone;
+    const durationMs = ev.end - ev.start;
+    const exdates = ev.exdate || {};
+    const overrides = ev.recurrences || {};
+
+    ruleStarts(ev, from, until, zone).forEach(function (start) {
+      const key = dayKey(start);
+      if (exdates[key] || overrides[key]) return; // excluded, or replaced below
+      keep(occurrence(ev, start, new Date(start.getTime() + durationMs)));
+    });
+
+    // RECURRENCE-ID instances: moved/retimed occurrences (may land on another day)
+    Object.keys(overrides).forEach(function (key) {
+      const o = overrides[key];
+      if (exdates[key] || isCancelled(o) || !o.start) return;
+      const end = o.end ? new Date(o.end) : new Date(new Date(o.start).getTime() + durationMs);
+      keep(occurrence(Object.assign({ uid: ev.uid }, o), new Date(o.start), end));
+    });
+  });
+
+  out.sort(function (a, b) { return a.start - b.start; });
+  return out;
+}
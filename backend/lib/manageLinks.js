@@ -0,0 +1,39 @@
+/* =========================
+   MANAGE-BOOKING LINKS
+   =========================
+   The confirmation email carries MANAGE_URL?token=<token>, where the token is
+   the booking id plus an HMAC of it (MANAGE_LINK_SECRET). Whoever holds the
+   link can view and change that one booking, so there is no login.
+*/
+import crypto from 'crypto';
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function createManageLinks(secret, baseUrl) {
+  function signature(bookingId) {
+    return b64url(crypto.createHmac('sha256', secret).update('manage:' + bookingId).digest());
+  }
+
+  return {
+    tokenFor: function (bookingId) {
+      return b64url(String(bookingId)) + '.' + signature(bookingId);
+    },
+
+    urlFor: function (bookingId) {
+      return baseUrl + (baseUrl.indexOf('?') === -1 ? '?' : '&') + 'token=' + encodeURIComponent(this.tokenFor(bookingId));
+    },
+
+    // Booking id the token was issued for, or null if it is malformed or forged
+    verify: function (token) {
+      const parts = String(token || '').split('.');
+      if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+      const bookingId = Buffer.from(parts[0].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+      const given = Buffer.from(parts[1]);
+      const expected = Buffer.from(signature(bookingId));
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+      return bookingId;
+    }
+  };
+}
@@ -0,0 +1,322 @@
+/* =========================
+   PRICING ENGINE (tiered + prorated)
+   =========================
+   A rule set is declarative:
+     {
+       seasons: { summer: { from: 'MM-DD', until: 'MM-DD' } },
+       rules: [{ id, label, days, start, end, rate_cents,
+                 effective_from?, effective_until?, season? }]
+     }
+   - days: 0=Sun..6=Sat (same as Date#getDay)
+   - start/end: local 'HH:MM', end exclusive
+   - rate_cents: hourly rate, charged per minute
+   - effective_from/effective_until: inclusive 'YYYY-MM-DD' bounds
+   - season: name of an entry in `seasons` (ranges may wrap the new year)
+   Rules are evaluated in order and the first match wins, so put
+   seasonal / dated overrides above the standing rates.
+
+   Optional surcharges, applied on top of the ice subtotal by quote():
+     fees:  [{ id, label, percent?, amount_cents? }]
+     taxes: [{ id, label, percent }]   (taxed on subtotal + fees)
+
+   half_ice_fraction: share of the tier rate charged for half a sheet
+   (e.g. 0.5); leave it out and half ice is not offered.
+*/
+import fs from 'fs';
+import { DateTime } from 'luxon';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+function parseHHMM(value, what) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) {
+    throw new Error('Invalid ' + what + ' time: ' + value);
+  }
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function normalizeRule(raw, seasons, idx) {
+  const id = raw.id || ('rule-' + idx);
+  const days = Array.isArray(raw.days) ? raw.days.map(Number) : [0, 1, 2, 3, 4, 5, 6];
+  if (days.some(function (d) { return !(d >= 0 && d <= 6); })) {
+    throw new Error('Pricing rule ' + id + ' has invalid days');
+  }
+  const startMin = parseHHMM(raw.start, 'start');
+  const endMin = parseHHMM(raw.end, 'end');
+  if (endMin <= startMin) throw new Error('Pricing rule ' + id + ' must end after it starts');
+  const rate = Number(raw.rate_cents);
+  if (!Number.isInteger(rate) || rate < 0) throw new Error('Pricing rule ' + id + ' has invalid rate_cents');
+  if (raw.season && !seasons[raw.season]) throw new Error('Pricing rule ' + id + ' references unknown season ' + raw.season);
+
+  return {
+    id: id,
+    label: raw.label || id,
+    days: days,
+    start: raw.start,
+    end: raw.end,
+    startMin: startMin,
+    endMin: endMin,
+    rate_cents: rate,
+    effective_from: raw.effective_from || null,
+    effective_until: raw.effective_until || null,
+    season: raw.season || null
+  };
+}
+
+function normalizeCharge(raw, idx, kind) {
+  const id = raw.id || (kind + '-' + idx);
+  const percent = raw.percent == null ? null : Number(raw.percent);
+  const amount = raw.amount_cents == null ? null : Number(raw.amount_cents);
+  if ((percent == null) === (amount == null)) {
+    throw new Error('Pricing ' + kind + ' ' + id + ' needs exactly one of percent or amount_cents');
+  }
+  if (kind === 'tax' && percent == null) throw new Error('Pricing tax ' + id + ' must be a percent');
+  return { id: id, label: raw.label || id, percent: percent, amount_cents: amount };
+}
+
+function applyCharge(charge, baseCents) {
+  return charge.percent != null ? Math.round(baseCents * charge.percent / 100) : charge.amount_cents;
+}
+
+function inSeason(season, mmdd) {
+  if (season.from <= season.until) return mmdd >= season.from && mmdd <= season.until;
+  return mmdd >= season.from || mmdd <= season.until; // wraps the new year
+}
+
+// Read a rule set from a JSON file (see config/pricing.json).
+export function loadPricingFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Read a rule set from the pricing_rules / pricing_seasons tables. With a
+// rinkId, rules for that sheet plus rules with no rink_id (all sheets); the
+// sheet is matched here rather than spliced into a PostgREST filter string.
+export async function loadPricingFromDb(supabase, rinkId) {
+  const seasonsResp = await supabase.from('pricing_seasons').select('name, from_mmdd, until_mmdd');
+  if (seasonsResp.error) throw new Error('pricing_seasons: ' + seasonsResp.error.message);
+  const rulesResp = await supabase
+    .from('pricing_rules')
+    .select('*')
+    .eq('active', true)
+    .order('priority', { ascending: true });
+  if (rulesResp.error) throw new Error('pricing_rules: ' + rulesResp.error.message);
+
+  const seasons = {};
+  (seasonsResp.data || []).forEach(function (s) {
+    seasons[s.name] = { from: s.from_mmdd, until: s.until_mmdd };
+  });
+  const rules = (rulesResp.data || []).filter(function (r) {
+    return !rinkId || !r.rink_id || r.rink_id === rinkId;
+  }).map(function (r) {
+    return {
+      id: r.id,
+      label: r.label,
+      days: r.days,
+      start: r.start_time,
+      end: r.end_time,
+      rate_cents: r.rate_cents,
+      effective_from: r.effective_from,
+      effective_until: r.effective_until,
+      season: r.season
+    };
+  });
+  return { seasons: seasons, rules: rules };
+}
+
+/**
+ * Build an engine around a rule set. `timezone` is the IANA zone the rule
+ * times are written in; defaults to the server's local zone.
+ */
+export function createPricingEngine(ruleSet, options) {
+  const opts = options || {};
+  const zone = opts.timezone || 'local';
+  const seasons = (ruleSet && ruleSet.seasons) || {};
+  const rules = ((ruleSet && ruleSet.rules) || []).map(function (r, i) { return normalizeRule(r, seasons, i); });
+  const fees = ((ruleSet && ruleSet.fees) || []).map(function (f, i) { return normalizeCharge(f, i, 'fee'); });
+  const taxes = ((ruleSet && ruleSet.taxes) || []).map(function (t, i) { return normalizeCharge(t, i, 'tax'); });
+  const halfIceFraction = ruleSet && ruleSet.half_ice_fraction != null ? Number(ruleSet.half_ice_fraction) : null;
+  if (halfIceFraction !== null && !(halfIceFraction > 0 && halfIceFraction <= 1)) {
+    throw new Error('Pricing half_ice_fraction must be between 0 and 1');
+  }
+
+  // Rate multiplier for an ice portion ('full' | 'half_a' | 'half_b')
+  function portionFactor(portion) {
+    return portion && portion !== 'full' ? halfIceFraction : 1;
+  }
+
+  // Every minute-of-day where some rule starts or stops, plus midnight.
+  const boundaries = Array.from(new Set(
+    rules.reduce(function (acc, r) { return acc.concat([r.startMin, r.endMin]); }, [DAY_MINUTES])
+  )).sort(function (a, b) { return a - b; });
+
+  function matchAt(dt) {
+    const day = dt.weekday % 7;
+    const t = dt.hour * 60 + dt.minute;
+    const ymd = dt.toISODate();
+    const mmdd = ymd.slice(5);
+    for (let i = 0; i < rules.length; i++) {
+      const r = rules[i];
+      if (r.days.indexOf(day) === -1) continue;
+      if (t < r.startMin || t >= r.endMin) continue;
+      if (r.effective_from && ymd < r.effective_from) continue;
+      if (r.effective_until && ymd > r.effective_until) continue;
+      if (r.season && !inSeason(seasons[r.season], mmdd)) continue;
+      return r;
+    }
+    return null;
+  }
+
+  function nextBoundary(dt) {
+    const t = dt.hour * 60 + dt.minute;
+    const b = boundaries.find(function (x) { return x > t; });
+    if (b === undefined || b >= DAY_MINUTES) return dt.startOf('day').plus({ days: 1 });
+    return dt.set({ hour: Math.floor(b / 60), minute: b % 60, second: 0, millisecond: 0 });
+  }
+
+  // Split [start, end) into runs that share one rule (rule may be null).
+  function pieces(start, end) {
+    const out = [];
+    const endMs = end.getTime();
+    let cur = DateTime.fromJSDate(start, { zone: zone });
+    while (cur.toMillis() < endMs) {
+      const stopMs = Math.min(nextBoundary(cur).toMillis(), endMs);
+      out.push({
+        rule: matchAt(cur),
+        start: cur.toJSDate(),
+        end: new Date(stopMs),
+        minutes: Math.ceil((stopMs - cur.toMillis()) / MINUTE_MS)
+      });
+      cur = DateTime.fromMillis(stopMs, { zone: zone });
+    }
+    return out;
+  }
+
+  function minuteCents(rule, factor) {
+    return Math.round(rule.rate_cents * factor / 60);
+  }
+
+  // Per-tier totals across one or more [start, end) ranges, in first-seen order.
+  function tiers(ranges, factor) {
+    const byRule = new Map();
+    const all = ranges.reduce(function (acc, r) { return acc.concat(pieces(r.start, r.end)); }, []);
+    all.forEach(function (p) {
+      if (!p.rule) return;
+      const row = byRule.get(p.rule.id) || {
+        code: p.rule.id,
+        label: p.rule.label + (factor === 1 ? '' : ' (Half Ice)'),
+        rate_cents: Math.round(p.rule.rate_cents * factor),
+        minutes: 0,
+        amount_cents: 0
+      };
+      row.minutes += p.minutes;
+      row.amount_cents += p.minutes * minuteCents(p.rule, factor);
+      byRule.set(p.rule.id, row);
+    });
+    return Array.from(byRule.values());
+  }
+
+  function toDates(startISO, endISO) {
+    const start = new Date(startISO);
+    const end = new Date(endISO);
+    if (isNaN(start) || isNaN(end) || end <= start) return null;
+    return { start: start, end: end };
+  }
+
+  return {
+    rules: rules,
+    seasons: seasons,
+    timezone: opts.timezone || null,
+    halfIceFraction: halfIceFraction,
+
+    // hourly rate in USD cents at a given instant (0 = not offered)
+    rateCentsAt: function (date) {
+      const r = matchAt(DateTime.fromJSDate(new Date(date), { zone: zone }));
+      return r ? r.rate_cents : 0;
+    },
+
+    // Price any interval [startISO, endISO) in integer cents, prorated per minute.
+    // `portion` defaults to full ice; 0 when half ice isn't offered.
+    priceIntervalCents: function (startISO, endISO, portion) {
+      const range = toDates(startISO, endISO);
+      const factor = portionFactor(portion);
+      if (!range || !factor) return 0;
+      return pieces(range.start, range.end).reduce(function (sum, p) {
+        return p.rule ? sum + p.minutes * minuteCents(p.rule, factor) : sum;
+      }, 0);
+    },
+
+    /**
+     * Itemized quote for [startISO, endISO). `extras` are additional line
+     * items ({ kind, code, label, amount_cents, ... }) that count toward the
+     * subtotal. options: { portion } (default full ice). Returns null for an
+     * invalid interval or a portion this rule set doesn't offer.
+     */
+    quote: function (startISO, endISO, extras, options) {
+      return this.quoteRanges([{ start: startISO, end: endISO }], extras, options);
+    },
+
+    // Same as quote() but for several ranges (a cart); ice tiers are summed
+    // across ranges. Returns null if any range is invalid.
+    quoteRanges: function (rangeList, extras, options) {
+      const portion = (options && options.portion) || 'full';
+      const factor = portionFactor(portion);
+      const ranges = (rangeList || []).map(function (r) { return toDates(r.start, r.end); });
+      if (!factor || !ranges.length || ranges.some(function (r) { return !r; })) return null;
+      ranges.sort(function (a, b) { return a.start - b.start; });
+
+      const lineItems = tiers(ranges, factor).map(function (t) {
+        return Object.assign({ kind: 'ice' }, t);
+      }).concat(extras || []);
+      const iceCents = lineItems.reduce(function (sum, li) { return li.kind === 'ice' ? sum + li.amount_cents : sum; }, 0);
+      const subtotal = lineItems.reduce(function (sum, li) { return sum + li.amount_cents; }, 0);
+
+      const feeItems = fees.map(function (f) {
+        return { kind: 'fee', code: f.id, label: f.label, amount_cents: applyCharge(f, subtotal) };
+      });
+      const feesTotal = feeItems.reduce(function (sum, f) { return sum + f.amount_cents; }, 0);
+      const taxItems = taxes.map(function (t) {
+        return { kind: 'tax', code: t.id, label: t.label, amount_cents: applyCharge(t, subtotal + feesTotal) };
+      });
+      const taxesTotal = taxItems.reduce(function (sum, t) { return sum + t.amount_cents; }, 0);
+
+      return {
+        start: ranges[0].start.toISOString(),
+        end: ranges[ranges.length - 1].end.toISOString(),
+        segments: ranges.map(function (r) { return { start: r.start.toISOString(), end: r.end.toISOString() }; }),
+        portion: portion,
+        currency: 'usd',
+        line_items: lineItems,
+        ice_cents: iceCents,
+        subtotal_cents: subtotal,
+        fees: feeItems,
+        taxes: taxItems,
+        total_cents: subtotal + feesTotal + taxesTotal
+      };
+    },
+
+    // Public description of the rule set (served to the frontend).
+    describe: function () {
+      return {
+        timezone: opts.timezone || null,
+        half_ice_fraction: halfIceFraction,
+        seasons: seasons,
+        fees: fees,
+        taxes: taxes,
+        rules: rules.map(function (r) {
+          return {
+            id: r.id,
+            label: r.label,
+            days: r.days,
+            start: r.start,
+            end: r.end,
+            rate_cents: r.rate_cents,
+            effective_from: r.effective_from,
+            effective_until: r.effective_until,
+            season: r.season
+          };
+        })
+      };
+    }
+  };
+}
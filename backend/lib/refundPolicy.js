@@ -0,0 +1,86 @@
+/* =========================
+   REFUND POLICY (customer self-service cancellation)
+   =========================
+   config/refund_policy.json:
+     { tiers: [{ min_hours_before, refund_percent }] }
+   A cancellation made at least min_hours_before the booking starts gets
+   refund_percent of what is still unrefunded; the tier with the largest
+   min_hours_before that applies wins. No tier applies → no refund.
+   Default (the published policy): 48h+ → 100%, inside 48h → 0%.
+*/
+import fs from 'fs';
+
+export const DEFAULT_REFUND_POLICY = {
+  tiers: [
+    { min_hours_before: 48, refund_percent: 100 },
+    { min_hours_before: 0, refund_percent: 0 }
+  ]
+};
+
+export function normalizeRefundPolicy(raw) {
+  const tiers = (raw && raw.tiers) || [];
+  if (!Array.isArray(tiers) || !tiers.length) throw new Error('Refund policy needs at least one tier');
+  return {
+    tiers: tiers
+      .map(function (t, i) {
+        const hours = Number(t.min_hours_before);
+        const percent = Number(t.refund_percent);
+        if (!Number.isFinite(hours) || hours < 0) throw new Error('Refund tier ' + (i + 1) + ' has invalid min_hours_before');
+        if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+          throw new Error('Refund tier ' + (i + 1) + ' refund_percent must be 0–100');
+        }
+        return { min_hours_before: hours, refund_percent: percent };
+      })
+      .sort(function (a, b) { return b.min_hours_before - a.min_hours_before; })
+  };
+}
+
+export function loadRefundPolicy(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return normalizeRefundPolicy(DEFAULT_REFUND_POLICY);
+  return normalizeRefundPolicy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * What cancelling `booking` at `now` refunds.
+ * → { hours_before, refund_percent, refund_cents }
+ */
+export function refundForCancellation(policy, booking, now) {
+  const hoursBefore = (new Date(booking.start_ts).getTime() - now.getTime()) / 3600000;
+  const tier = policy.tiers.find(function (t) { return hoursBefore >= t.min_hours_before; });
+  const percent = tier ? tier.refund_percent : 0;
+  const refundable = Math.max(0, (booking.amount_cents || 0) - (booking.refunded_cents || 0));
+  return {
+    hours_before: Math.round(hoursBefore * 10) / 10,
+    refund_percent: percent,
+    refund_cents: Math.round(refundable * percent / 100)
+  };
+}
+
+/**
+ * Split a refund of `cents` over a booking's payments, newest first: reschedule
+ * top-ups (extra_payments), then stripe_payment_intent. Earlier refunds
+ * (refunded_cents) are counted against the newest payments the same way, so
+ * the split for a given booking state is always the same (safe to retry).
+ * → [{ payment_intent, amount_cents }]
+ */
+export function refundAllocation(booking, cents) {
+  const extras = booking.extra_payments || [];
+  const extraTotal = extras.reduce(function (sum, p) { return sum + p.amount_cents; }, 0);
+  const payments = extras.slice().reverse();
+  if (booking.stripe_payment_intent) {
+    payments.push({ payment_intent: booking.stripe_payment_intent, amount_cents: (booking.amount_cents || 0) - extraTotal });
+  }
+
+  let alreadyRefunded = booking.refunded_cents || 0;
+  let left = cents;
+  const out = [];
+  payments.forEach(function (p) {
+    const used = Math.min(alreadyRefunded, p.amount_cents);
+    alreadyRefunded -= used;
+    const amount = Math.min(left, p.amount_cents - used);
+    if (amount <= 0) return;
+    out.push({ payment_intent: p.payment_intent, amount_cents: amount });
+    left -= amount;
+  });
+  return out;
+}
@@ -0,0 +1,72 @@
+/* =========================
+   RINKS (ice sheets)
+   =========================
+   config/rinks.json lists every sheet that can be booked:
+     { rinks: [{ id, name, color, ics_url_env, pricing_file }] }
+   - id: short stable key stored on slots, holds and bookings
+   - color: '#rrggbb', used for that sheet's events on the calendar
+   - ics_url_env: env var holding the sheet's availability feed (feed URLs
+     are secret, so they stay in .env rather than in the config file)
+   - pricing_file: rule set for the sheet, relative to the config file
+   - segmentation: { slot_minutes, min_remainder_minutes, align_minutes,
+     buffer_minutes } — how open windows are cut into bookable slots (see
+     lib/availability.js); missing keys fall back to the 60/40/0/0 defaults
+   Without a config file the arena is one sheet fed by AVAILABILITY_ICS_URL.
+*/
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_SEGMENTATION } from './availability.js';
+
+// Rows created before multi-rink support belong to this sheet.
+export const DEFAULT_RINK_ID = 'main';
+
+const FALLBACK_COLORS = ['#d6001d', '#2563eb', '#16a34a', '#d97706'];
+
+/**
+ * Read and validate the rink list. options: { env, defaultPricingFile }
+ * Returns [{ id, name, color, ics_url_env, ics_url, pricing_file }].
+ */
+export function loadRinks(filePath, options) {
+  const env = options.env || {};
+  let raw = [{ id: DEFAULT_RINK_ID, name: 'Main Rink', ics_url_env: 'AVAILABILITY_ICS_URL' }];
+  if (filePath && fs.existsSync(filePath)) {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8')).rinks || [];
+  }
+  if (!raw.length) throw new Error('Rink config lists no rinks: ' + filePath);
+
+  const seen = new Set();
+  return raw.map(function (r, i) {
+    const id = String(r.id || '');
+    if (!/^[a-z0-9-]+$/.test(id)) throw new Error('Rink ' + (i + 1) + ' needs an id of a-z, 0-9 and dashes');
+    if (seen.has(id)) throw new Error('Duplicate rink id ' + id);
+    seen.add(id);
+    if (r.color && !/^#[0-9a-f]{6}$/i.test(r.color)) throw new Error('Rink ' + id + ' color must be #rrggbb');
+
+    return {
+      id: id,
+      name: r.name || id,
+      color: r.color || FALLBACK_COLORS[i % FALLBACK_COLORS.length],
+      ics_url_env: r.ics_url_env || null,
+      ics_url: (r.ics_url_env && env[r.ics_url_env]) || '',
+      pricing_file: r.pricing_file
+        ? path.resolve(path.dirname(filePath), r.pricing_file)
+        : options.defaultPricingFile,
+      segmentation: loadSegmentation(id, r.segmentation)
+    };
+  });
+}
+
+function loadSegmentation(id, raw) {
+  const seg = Object.assign({}, DEFAULT_SEGMENTATION, raw || {});
+  Object.keys(DEFAULT_SEGMENTATION).forEach(function (key) {
+    if (!Number.isInteger(seg[key]) || seg[key] < 0) throw new Error('Rink ' + id + ' segmentation.' + key + ' must be a whole number of minutes');
+  });
+  if (seg.slot_minutes < 1) throw new Error('Rink ' + id + ' segmentation.slot_minutes must be at least 1');
+  if (seg.min_remainder_minutes > seg.slot_minutes) {
+    throw new Error('Rink ' + id + ' segmentation.min_remainder_minutes cannot exceed slot_minutes');
+  }
+  if (seg.align_minutes && 24 * 60 % seg.align_minutes !== 0) {
+    throw new Error('Rink ' + id + ' segmentation.align_minutes must divide a day evenly (e.g. 15, 30, 60)');
+  }
+  return seg;
+}
@@ -0,0 +1,119 @@
+/* =========================
+   SERIES BOOKINGS (the same ice, repeating)
+   =========================
+   A series is one picked slot repeated on a pattern:
+     repeat: { frequency: 'weekly' | 'biweekly', count? | until? }
+   - count: number of occurrences, the picked one included
+   - until: last day ('YYYY-MM-DD', inclusive) instead of a count
+   Occurrences keep the first one's local wall-clock time, so a 6 pm
+   practice stays at 6 pm across daylight-saving changes.
+
+   Payment plans for the occurrences that are available:
+   - full:         one payment up front
+   - installments: equal monthly payments (Stripe subscription, ends itself)
+   - subscription: one payment per occurrence on the series' own cadence
+   Split plans charge floor(total / payments) each time; the leftover cents
+   go on the first payment, so the payments add up to the total exactly.
+*/
+import { DateTime } from 'luxon';
+
+// weeks between occurrences
+export const SERIES_FREQUENCIES = { weekly: 1, biweekly: 2 };
+export const MAX_SERIES_OCCURRENCES = 26;
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+const STRIPE_MIN_CHARGE_CENTS = 50;
+
+/**
+ * Repeat pattern from a request body's `repeat` → { repeat: { frequency, count?, until? } }
+ * or { error, code: 'bad_repeat' }
+ */
+export function parseRepeat(raw) {
+  const r = raw || {};
+  if (!SERIES_FREQUENCIES[r.frequency]) {
+    return { error: 'repeat.frequency must be one of ' + Object.keys(SERIES_FREQUENCIES).join(', '), code: 'bad_repeat' };
+  }
+  if (r.until != null) {
+    if (!YMD_RE.test(r.until)) return { error: 'repeat.until must be a YYYY-MM-DD date', code: 'bad_repeat' };
+    return { repeat: { frequency: r.frequency, until: r.until } };
+  }
+  const count = Number(r.count);
+  if (!Number.isInteger(count) || count < 2 || count > MAX_SERIES_OCCURRENCES) {
+    return { error: 'repeat.count must be 2–' + MAX_SERIES_OCCURRENCES, code: 'bad_repeat' };
+  }
+  return { repeat: { frequency: r.frequency, count: count } };
+}
+
+/**
+ * Occurrences of `first` ({ start, end } Dates) under `repeat`, at most
+ * MAX_SERIES_OCCURRENCES → [{ index, start, end }]. `timezone` is the zone
+ * the wall-clock time is kept in; defaults to the server's local zone.
+ */
+export function expandOccurrences(first, repeat, timezone) {
+  const zone = timezone || 'local';
+  const start = DateTime.fromJSDate(first.start, { zone: zone });
+  const minutes = Math.round((first.end - first.start) / 60000);
+  const step = SERIES_FREQUENCIES[repeat.frequency];
+  const out = [];
+  for (let i = 0; i < MAX_SERIES_OCCURRENCES; i++) {
+    if (repeat.count != null && i >= repeat.count) break;
+    const s = start.plus({ weeks: i * step });
+    if (repeat.until != null && s.toISODate() > repeat.until) break;
+    out.push({ index: i, start: s.toJSDate(), end: s.plus({ minutes: minutes }).toJSDate() });
+  }
+  return out;
+}
+
+// Split `total` into integer shares proportional to `weights` (last share takes the rounding)
+export function allocateCents(total, weights) {
+  const sum = weights.reduce(function (a, w) { return a + w; }, 0);
+  let left = total;
+  return weights.map(function (w, i) {
+    if (i === weights.length - 1) return left;
+    const share = sum > 0 ? Math.floor(total * w / sum) : Math.floor(total / weights.length);
+    left -= share;
+    return share;
+  });
+}
+
+// Billing interval of a split plan: installments are monthly, a subscription follows the series
+export function planCadence(planId, frequency) {
+  if (planId === 'installments') return { interval: 'month', interval_count: 1 };
+  return { interval: 'week', interval_count: SERIES_FREQUENCIES[frequency] || 1 };
+}
+
+/**
+ * Payment plans for `totalCents` over `count` available occurrences.
+ * options: { frequency, installments } (installments: monthly payments offered, e.g. 3)
+ * → [{ id, label, payments, interval, interval_count, recurring_cents, first_cents }]
+ * Plans whose payments would fall under Stripe's minimum charge are left out.
+ */
+export function paymentPlans(totalCents, count, options) {
+  const opts = options || {};
+  const plans = [{
+    id: 'full', label: 'Pay in full', payments: 1, interval: null, interval_count: null,
+    recurring_cents: 0, first_cents: totalCents
+  }];
+  function split(id, label, payments) {
+    if (payments < 2) return;
+    const each = Math.floor(totalCents / payments);
+    if (each < STRIPE_MIN_CHARGE_CENTS) return;
+    const cadence = planCadence(id, opts.frequency);
+    plans.push({
+      id: id, label: label, payments: payments, interval: cadence.interval, interval_count: cadence.interval_count,
+      recurring_cents: each, first_cents: each + (totalCents - each * payments)
+    });
+  }
+  const installments = Math.min(opts.installments || 0, count);
+  split('installments', installments + ' monthly payments', installments);
+  split('subscription', 'Pay per session (' + (opts.frequency === 'biweekly' ? 'every 2 weeks' : 'weekly') + ')', count);
+  return plans;
+}
+
+// When a split plan's subscription should stop: half an interval after its last payment.
+// plan: { interval, interval_count, payments }
+export function planEndsAt(plan, startedAt) {
+  const last = DateTime.fromJSDate(startedAt).plus({ [plan.interval + 's']: plan.interval_count * (plan.payments - 1) });
+  const half = plan.interval === 'month' ? { days: 14 } : { days: Math.ceil(7 * plan.interval_count / 2) };
+  return last.plus(half).toJSDate();
+}
@@ -0,0 +1,45 @@
+/* =========================
+   TICKETED SESSIONS (stick & puck, public skate, …)
+   =========================
+   config/sessions.json:
+     { types: [{ id, name, match, capacity, price_cents, max_per_order, color }] }
+   A feed event whose SUMMARY contains a type's `match` text (case-insensitive)
+   is a per-person session of that type instead of open ice for private rental.
+   - capacity: seats per occurrence
+   - price_cents: per person
+   - max_per_order: most seats one checkout may buy (default 10)
+*/
+import fs from 'fs';
+
+export function loadSessionTypes(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return [];
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8')).types || [];
+  return raw.map(function (t, i) {
+    const id = String(t.id || '');
+    if (!/^[a-z0-9-]+$/.test(id)) throw new Error('Session type ' + (i + 1) + ' needs an id of a-z, 0-9 and dashes');
+    if (!t.match) throw new Error('Session type ' + id + ' needs match text');
+    const capacity = Number(t.capacity);
+    const price = Number(t.price_cents);
+    const maxPerOrder = t.max_per_order == null ? 10 : Number(t.max_per_order);
+    if (!Number.isInteger(capacity) || capacity <= 0) throw new Error('Session type ' + id + ' has invalid capacity');
+    if (!Number.isInteger(price) || price <= 0) throw new Error('Session type ' + id + ' has invalid price_cents');
+    if (!Number.isInteger(maxPerOrder) || maxPerOrder <= 0) throw new Error('Session type ' + id + ' has invalid max_per_order');
+    if (t.color && !/^#[0-9a-f]{6}$/i.test(t.color)) throw new Error('Session type ' + id + ' color must be #rrggbb');
+
+    return {
+      id: id,
+      name: t.name || id,
+      match: String(t.match).toLowerCase(),
+      capacity: capacity,
+      price_cents: price,
+      max_per_order: maxPerOrder,
+      color: t.color || null
+    };
+  });
+}
+
+// Session type for a feed event's summary, or null for open (rentable) ice.
+export function sessionTypeFor(types, summary) {
+  const text = String(summary || '').toLowerCase();
+  return types.find(function (t) { return text.indexOf(t.match) !== -1; }) || null;
+}
@@ -0,0 +1,126 @@
+/* =========================
+   GET /api/slots QUERY FILTERS
+   =========================
+   from, to      ISO date/datetime; clamped to [now, horizon end]
+   minDuration   minutes
+   maxDuration   minutes
+   maxPrice      USD cents (same unit as price_cents)
+   weekdays      comma list of 0-6 (0=Sun) or sun,mon,…
+   timeOfDay     morning | afternoon | evening, or 'HH:MM-HH:MM' (local)
+   rink          comma list of rink ids (default: every sheet)
+*/
+import { DateTime } from 'luxon';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_BUCKETS = {
+  morning: [0, 12 * 60],
+  afternoon: [12 * 60, 17 * 60],
+  evening: [17 * 60, 24 * 60]
+};
+
+function bad(message) {
+  return { error: message, code: 'bad_query' };
+}
+
+function parseMinutes(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(value);
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function parsePositive(value) {
+  if (value === undefined || value === '') return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Parse and validate query params. Returns { filters } or { error, code }.
+ * ctx: { now, horizonEnd, timezone, rinkIds }
+ */
+export function parseSlotQuery(query, ctx) {
+  const q = query || {};
+  const zone = ctx.timezone || 'local';
+  const filters = { from: ctx.now, to: ctx.horizonEnd, zone: zone };
+
+  if (q.from) {
+    const from = DateTime.fromISO(String(q.from), { zone: zone });
+    if (!from.isValid) return bad('from must be an ISO date or datetime');
+    if (from.toJSDate() > filters.from) filters.from = from.toJSDate();
+  }
+  if (q.to) {
+    const raw = String(q.to);
+    let to = DateTime.fromISO(raw, { zone: zone });
+    if (!to.isValid) return bad('to must be an ISO date or datetime');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) to = to.plus({ days: 1 }); // a bare date includes that whole day
+    if (to.toJSDate() < filters.to) filters.to = to.toJSDate();
+  }
+  if (filters.to <= filters.from) return bad('to must be after from (and within the booking horizon)');
+
+  filters.minDuration = parsePositive(q.minDuration);
+  filters.maxDuration = parsePositive(q.maxDuration);
+  filters.maxPrice = parsePositive(q.maxPrice);
+  if (filters.minDuration === null) return bad('minDuration must be a number of minutes');
+  if (filters.maxDuration === null) return bad('maxDuration must be a number of minutes');
+  if (filters.maxPrice === null) return bad('maxPrice must be a number of cents');
+
+  if (q.weekdays) {
+    const days = String(q.weekdays).toLowerCase().split(',').map(function (d) {
+      d = d.trim();
+      if (/^[0-6]$/.test(d)) return Number(d);
+      const idx = DAY_NAMES.indexOf(d.slice(0, 3));
+      return idx === -1 ? null : idx;
+    });
+    if (days.some(function (d) { return d === null; })) return bad('weekdays must be 0-6 or day names');
+    filters.weekdays = days;
+  }
+
+  if (q.timeOfDay) {
+    const tod = String(q.timeOfDay).toLowerCase();
+    if (TIME_BUCKETS[tod]) {
+      filters.timeOfDay = TIME_BUCKETS[tod];
+    } else {
+      const parts = tod.split('-');
+      const a = parts.length === 2 ? parseMinutes(parts[0]) : null;
+      const b = parts.length === 2 ? parseMinutes(parts[1]) : null;
+      if (a === null || b === null || b <= a) return bad('timeOfDay must be morning, afternoon, evening or HH:MM-HH:MM');
+      filters.timeOfDay = [a, b];
+    }
+  }
+
+  if (q.rink) {
+    const ids = String(q.rink).split(',').map(function (id) { return id.trim(); });
+    const unknown = ids.filter(function (id) { return (ctx.rinkIds || []).indexOf(id) === -1; });
+    if (unknown.length) return bad('Unknown rink: ' + unknown.join(', '));
+    filters.rinks = ids;
+  }
+
+  return { filters: filters };
+}
+
+/**
+ * Does an item ({ start, end, rink_id?, price_cents? }) pass the filters? The
+ * [from, to] range is applied to start/end; time-of-day means the item
+ * starts inside the band.
+ */
+export function matchesSlotFilters(item, filters) {
+  const start = new Date(item.start);
+  const end = new Date(item.end);
+  if (end <= filters.from || start >= filters.to) return false;
+  if (filters.rinks && item.rink_id && filters.rinks.indexOf(item.rink_id) === -1) return false;
+
+  const minutes = (end - start) / 60000;
+  if (filters.minDuration !== undefined && minutes < filters.minDuration) return false;
+  if (filters.maxDuration !== undefined && minutes > filters.maxDuration) return false;
+  if (filters.maxPrice !== undefined && typeof item.price_cents === 'number' && item.price_cents > filters.maxPrice) return false;
+
+  if (filters.weekdays || filters.timeOfDay) {
+    const local = DateTime.fromJSDate(start, { zone: filters.zone });
+    if (filters.weekdays && filters.weekdays.indexOf(local.weekday % 7) === -1) return false;
+    if (filters.timeOfDay) {
+      const t = local.hour * 60 + local.minute;
+      if (t < filters.timeOfDay[0] || t >= filters.timeOfDay[1]) return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,62 @@
+/* =========================
+   WAITLIST (taken slots and sold-out windows)
+   =========================
+   An entry waits on one sheet for an ice portion, either for one segment
+   (slot_id) or for any segment inside a window [window_start, window_end).
+   The server's sweep lists the segments open again (a hold lapsed, a booking
+   was cancelled) and offers each to the next entries in line, oldest first:
+   the segment is held for them for a short claim window and the first to
+   check out gets it. If nobody does, the hold lapses and the segment goes
+   back to public availability (or to the next entries still waiting).
+*/
+import { portionHalves } from './availability.js';
+
+// Longest date/time window one entry may wait on
+export const WAITLIST_MAX_WINDOW_HOURS = 24;
+
+/**
+ * Window from a request body's windowStart/windowEnd → { window: { start, end } }
+ * or { error, code: 'bad_window' }
+ */
+export function parseWaitlistWindow(body) {
+  const start = new Date(body.windowStart);
+  const end = new Date(body.windowEnd);
+  if (isNaN(start) || isNaN(end) || end <= start) {
+    return { error: 'windowStart and windowEnd must be valid times with the end after the start', code: 'bad_window' };
+  }
+  if (end - start > WAITLIST_MAX_WINDOW_HOURS * 60 * 60 * 1000) {
+    return { error: 'A waitlist window can span at most ' + WAITLIST_MAX_WINDOW_HOURS + ' hours', code: 'bad_window' };
+  }
+  return { window: { start: start, end: end } };
+}
+
+// Whether `entry` (a waitlist_entries row) would take `segment`
+// ({ id, start, end, free_halves })
+export function entryWants(entry, segment) {
+  const fits = entry.slot_id
+    ? entry.slot_id === segment.id
+    : new Date(entry.window_start) <= new Date(segment.start) && new Date(segment.end) <= new Date(entry.window_end);
+  return fits && portionHalves(entry.ice_portion).every(function (h) { return segment.free_halves.indexOf(h) !== -1; });
+}
+
+/**
+ * Offers to make: each open segment goes to up to `perSegment` waiting entries
+ * (oldest first); an entry is offered one segment at a time.
+ * entries: waiting rows; segments: open ones, [{ id, start, end, free_halves }]
+ * → [{ segment, entries, halves }] (halves: the ones to hold for them)
+ */
+export function planOffers(entries, segments, perSegment) {
+  const queue = entries.slice().sort(function (a, b) { return new Date(a.created_at) - new Date(b.created_at); });
+  const offered = new Set();
+  const out = [];
+  segments.slice().sort(function (a, b) { return new Date(a.start) - new Date(b.start); }).forEach(function (segment) {
+    const picked = queue.filter(function (e) { return !offered.has(e.id) && entryWants(e, segment); }).slice(0, perSegment);
+    if (!picked.length) return;
+    picked.forEach(function (e) { offered.add(e.id); });
+    const halves = segment.free_halves.filter(function (h) {
+      return picked.some(function (e) { return portionHalves(e.ice_portion).indexOf(h) !== -1; });
+    });
+    out.push({ segment: segment, entries: picked, halves: halves });
+  });
+  return out;
+}
@@ -23,17 +23,37 @@ import express from 'express';
 import cors from 'cors';
 import bodyParser from 'body-parser';
 import Stripe from 'stripe';
-import ical from 'node-ical';
 import crypto from 'crypto';
 import { createClient } from '@supabase/supabase-js';
 import nodemailer from 'nodemailer'; // <-- for SMTP email
+import { createPricingEngine, loadPricingFile, loadPricingFromDb } from './lib/pricing.js';
+import {
+  HALVES, ICE_PORTIONS, baseSlotId, customRulesFromEnv, expandIntoSegments, overlaps, padBusy, portionHalves,
+  subtractIntervals, takenHalves, unitSlotIds, validateCustomRange
+} from './lib/availability.js';
+import { expandCalendar } from './lib/ics.js';
+import { createIcsFeed } from './lib/feed.js';
+import { matchesSlotFilters, parseSlotQuery } from './lib/slotFilters.js';
+import { DEFAULT_RINK_ID, loadRinks } from './lib/rinks.js';
+import { loadSessionTypes, sessionTypeFor } from './lib/sessions.js';
+import { createBlackoutCalendar, loadBlackoutFile, loadBlackoutsFromDb, normalizeBlackout } from './lib/blackouts.js';
+import { BOOKING_STATES, RELEASED_STATES, canTransition, createBookingLifecycle } from './lib/bookingLifecycle.js';
+import { createManageLinks } from './lib/manageLinks.js';
+import { loadRefundPolicy, refundAllocation, refundForCancellation } from './lib/refundPolicy.js';
+import { bookingCalendar } from './lib/calendarInvite.js';
+import { loadBookingForm, validateBookingForm } from './lib/bookingForm.js';
+import {
+  loadAddons, priceAddons, addonQuoteItems, addonHoldLimits, addonsToMetadata, addonsFromMetadata, describeAddons
+} from './lib/addons.js';
+import { loadDiscounts, createDiscounts, discountSnapshot } from './lib/discounts.js';
+import { allocateCents, expandOccurrences, parseRepeat, paymentPlans, planCadence, planEndsAt } from './lib/series.js';
+import { entryWants, parseWaitlistWindow, planOffers } from './lib/waitlist.js';
 
 const app = express();
 
 // ---- ENV ----
 const PORT = process.env.PORT || 8080;
 const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:5173';
-const ICS_URL = process.env.AVAILABILITY_ICS_URL || '';
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || '';
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
 const SUCCESS_URL = process.env.SUCCESS_URL || 'http://localhost:5173/success';
@@ -51,11 +71,120 @@ const RESEND_API_KEY = process.env.RESEND_API_KEY || '';
 const FROM_EMAIL = process.env.FROM_EMAIL || '';
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL || '';
 const TIMEZONE = process.env.TIMEZONE || undefined; // optional
+const BOOKING_HORIZON_DAYS = Number(process.env.BOOKING_HORIZON_DAYS || 90); // how far out the calendar reaches
+
+// rinks (each sheet names the env var holding its ICS feed) + availability feed cache
+const RINKS_FILE = process.env.RINKS_FILE || path.join(__dirname, 'config/rinks.json');
+const ICS_REFRESH_SECONDS = Number(process.env.ICS_REFRESH_SECONDS || 300);
+const ICS_SNAPSHOT_DIR = process.env.ICS_SNAPSHOT_DIR || path.join(__dirname, '.cache');
+
+// pricing settings
+const PRICING_SOURCE = (process.env.PRICING_SOURCE || 'file').toLowerCase(); // 'file' | 'db'
+const PRICING_RULES_FILE = process.env.PRICING_RULES_FILE || path.join(__dirname, 'config/pricing.json');
+
+// ticketed session types (feed events matched by summary; see lib/sessions.js)
+const SESSIONS_FILE = process.env.SESSIONS_FILE || path.join(__dirname, 'config/sessions.json');
+
+// checkout form: allowed purposes and their group sizes (see lib/bookingForm.js)
+const BOOKING_FORM_FILE = process.env.BOOKING_FORM_FILE || path.join(__dirname, 'config/booking_form.json');
+
+// extras sold with ice rentals: skate rentals, party room, referee (see lib/addons.js)
+const ADDONS_FILE = process.env.ADDONS_FILE || path.join(__dirname, 'config/addons.json');
+
+// promo codes + member rates (see lib/discounts.js)
+const DISCOUNTS_FILE = process.env.DISCOUNTS_FILE || path.join(__dirname, 'config/discounts.json');
+
+// recurring series: monthly payments offered by the installment plan (see lib/series.js)
+const SERIES_INSTALLMENTS = Number(process.env.SERIES_INSTALLMENTS || 3);
+
+// holiday/closure rules (file unless Supabase is configured, then the blackouts table)
+const BLACKOUTS_FILE = process.env.BLACKOUTS_FILE || path.join(__dirname, 'config/blackouts.json');
+
+// bearer token for /api/admin/* (admin API is off when unset)
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
+
+// customer self-service: emailed manage-booking links (off when the secret is unset) + refund policy
+const MANAGE_LINK_SECRET = process.env.MANAGE_LINK_SECRET || '';
+const MANAGE_URL = process.env.MANAGE_URL || 'http://localhost:5173/manage';
+const REFUND_POLICY_FILE = process.env.REFUND_POLICY_FILE || path.join(__dirname, 'config/refund_policy.json');
+
+// waitlist: claim links (signed with MANAGE_LINK_SECRET; off when unset), how long an
+// offer is held, how many people in line each freed slot is offered to, how often to look
+const WAITLIST_URL = process.env.WAITLIST_URL || 'http://localhost:5173/?waitlist=1';
+const WAITLIST_CLAIM_MINUTES = Number(process.env.WAITLIST_CLAIM_MINUTES || 30);
+const WAITLIST_NOTIFY_COUNT = Number(process.env.WAITLIST_NOTIFY_COUNT || 3);
+const WAITLIST_SWEEP_SECONDS = Number(process.env.WAITLIST_SWEEP_SECONDS || 60);
+
+// custom-length booking rules (CUSTOM_MIN_MINUTES, CUSTOM_MAX_MINUTES, CUSTOM_START_GRANULARITY, CUSTOM_DURATION_STEP)
+const CUSTOM_RULES = customRulesFromEnv(process.env);
 
 const stripe = STRIPE_SECRET_KEY ? new Stripe(STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' }) : null;
 const supabase = (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY)
   ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
   : null;
+// Every booking status change goes through this (audit log in booking_events)
+const lifecycle = supabase ? createBookingLifecycle(supabase, { beforeIceRelease: holdReleasedIceForWaitlist }) : null;
+const manageLinks = MANAGE_LINK_SECRET ? createManageLinks(MANAGE_LINK_SECRET, MANAGE_URL) : null;
+// Own key so a waitlist token never passes as a manage-booking token (or back)
+const waitlistLinks = MANAGE_LINK_SECRET ? createManageLinks(MANAGE_LINK_SECRET + ':waitlist', WAITLIST_URL) : null;
+
+// One entry per bookable sheet, each with its own feed and pricing engine.
+// Sheets whose feed env var is unset are left out.
+var rinks = loadRinks(RINKS_FILE, { env: process.env, defaultPricingFile: PRICING_RULES_FILE })
+  .filter(function (r) {
+    if (r.ics_url) return true;
+    console.warn('[RINKS] ' + r.id + ': ' + r.ics_url_env + ' is not set; sheet not offered');
+    return false;
+  })
+  .map(function (r) {
+    var fileRules = loadPricingFile(r.pricing_file);
+    return Object.assign({}, r, {
+      pricingFileRules: fileRules,
+      pricing: createPricingEngine(fileRules, { timezone: TIMEZONE }),
+      feed: createIcsFeed({
+        url: r.ics_url,
+        refreshMs: ICS_REFRESH_SECONDS * 1000,
+        snapshotFile: path.join(ICS_SNAPSHOT_DIR, 'ics-' + r.id + '.json'),
+        label: r.id
+      })
+    });
+  });
+
+var SESSION_TYPES = loadSessionTypes(SESSIONS_FILE);
+
+var BOOKING_FORM = loadBookingForm(BOOKING_FORM_FILE);
+
+var ADDONS = loadAddons(ADDONS_FILE);
+
+var discounts = createDiscounts(loadDiscounts(DISCOUNTS_FILE), { timezone: TIMEZONE });
+
+// Ice and seats held for an open Checkout session. The session is created to
+// expire with its hold (stripeExpiresAt) so nobody can pay after the hold lapses;
+// Stripe wants at least 30 minutes, the extra minute covers the work before it.
+var CHECKOUT_HOLD_MS = 31 * 60 * 1000;
+
+function checkoutHoldExpiry() {
+  return new Date(Date.now() + CHECKOUT_HOLD_MS).toISOString();
+}
+
+// ISO hold expiry → Checkout `expires_at` (unix seconds)
+function stripeExpiresAt(iso) {
+  return Math.floor(new Date(iso).getTime() / 1000);
+}
+
+var blackouts = createBlackoutCalendar(loadBlackoutFile(BLACKOUTS_FILE), { timezone: TIMEZONE });
+
+var REFUND_POLICY = loadRefundPolicy(REFUND_POLICY_FILE);
+
+// Rink for a request's rink id; the first sheet when none is given.
+function findRink(id) {
+  if (!id) return rinks[0] || null;
+  return rinks.find(function (r) { return r.id === id; }) || null;
+}
+
+function publicRink(r) {
+  return { id: r.id, name: r.name, color: r.color };
+}
 
 // ---- Startup diagnostics ----
 console.log('[BOOT]',
@@ -64,10 +193,11 @@ console.log('[BOOT]',
     clientOrigin: CLIENT_ORIGIN,
     hasStripe: !!stripe,
     hasSupabase: !!supabase,
-    hasIcsUrl: !!ICS_URL,
+    hasManageLinks: !!manageLinks,
+    rinks: rinks.map(function (r) { return r.id; }),
     hasMailConfig: Boolean((MAIL_PROVIDER === 'smtp' && SMTP_USER && FROM_EMAIL) || (RESEND_API_KEY && FROM_EMAIL)),
     mailProvider: MAIL_PROVIDER || (RESEND_API_KEY ? 'resend' : '(none)'),
-    icsHost: (function () { try { return ICS_URL ? new URL(ICS_URL).host : null; } catch (e) { return null; } })()
+    icsHosts: rinks.map(function (r) { try { return new URL(r.ics_url).host; } catch (e) { return null; } })
   }, null, 2)
 );
 
@@ -110,119 +240,283 @@ app.get('/health', function (_req, res) {
     ok: true,
     hasStripe: Boolean(stripe),
     hasSupabase: Boolean(supabase),
-    hasIcs: Boolean(ICS_URL),
+    hasIcs: rinks.length > 0,
+    blackoutRules: blackouts.rules.length,
     mailProvider: MAIL_PROVIDER || (RESEND_API_KEY ? 'resend' : null),
-    hasFromEmail: Boolean(FROM_EMAIL)
+    hasFromEmail: Boolean(FROM_EMAIL),
+    rinks: rinks.map(function (r) {
+      return { id: r.id, pricingRules: r.pricing.rules.length, feed: r.feed.status() };
+    })
   });
 });
 
-// Utility: deterministic slot id from start/end
-function slotId(start, end) {
+// GET /api/rinks — bookable sheets (display name + calendar color)
+app.get('/api/rinks', function (_req, res) {
+  res.json({ rinks: rinks.map(publicRink) });
+});
+
+// GET /api/pricing?rink= — a sheet's active rate table, so clients never hard-code it
+app.get('/api/pricing', function (req, res) {
+  var rink = findRink(req.query.rink);
+  if (!rink) return res.status(404).json({ error: 'Unknown rink', code: 'unknown_rink' });
+  res.json(Object.assign({ rink: publicRink(rink) }, rink.pricing.describe()));
+});
+
+// Utility: deterministic slot id from start/end/sheet. The main sheet keeps
+// the original start/end-only hash so bookings made before rinks still match.
+function slotId(start, end, rinkId) {
+  var key = start.toISOString() + '__' + end.toISOString();
+  if (rinkId && rinkId !== DEFAULT_RINK_ID) key += '__' + rinkId;
   return crypto.createHash('sha256')
-    .update(start.toISOString() + '__' + end.toISOString())
+    .update(key)
     .digest('hex')
     .slice(0, 24);
 }
 
-/* =========================
-   PRICING (tiered + prorated)
-   ========================= */
+// Most segments a single checkout (cart) may cover
+var MAX_CART_SEGMENTS = 12;
+
+// Requested segments on one sheet from a request body: `segments: [{ slotId, start, end }]`,
+// or the legacy single `slotId`/`start`/`end` fields.
+// Returns { segments } sorted by start, or { error, code }.
+function parseSegments(body, rinkId) {
+  var raw = Array.isArray(body.segments) && body.segments.length
+    ? body.segments
+    : [{ slotId: body.slotId, start: body.start, end: body.end }];
+  if (raw.length > MAX_CART_SEGMENTS) {
+    return { error: 'Too many segments in one checkout (max ' + MAX_CART_SEGMENTS + ')', code: 'too_many_segments' };
+  }
 
-// weekend helper
-function isWeekend(d) {
-  var day = d.getDay(); // 0=Sun..6=Sat
-  return day === 0 || day === 6;
-}
-
-// return hourly rate in USD cents for a given local Date
-function rateCentsAt(date) {
-  var h = date.getHours();
-  var m = date.getMinutes();
-  var t = h * 60 + m;
-  var wknd = isWeekend(date);
-
-  if (!wknd) {
-    // Weekdays (Mon–Fri)
-    // 5:35–6:35 = $250/hr
-    if (t >= (5*60+35) && t < (6*60+35)) return 25000;
-    // 6:35–15:45 = $495/hr
-    if (t >= (6*60+35) && t < (15*60+45)) return 49500;
-    // 15:45–21:45 = $945/hr
-    if (t >= (15*60+45) && t < (21*60+45)) return 94500;
-    // 21:45–22:45 = $495/hr
-    if (t >= (21*60+45) && t < (22*60+45)) return 49500;
-    return 0;
-  }
-
-  // Weekends (Sat–Sun)
-  // 5:50–6:50 = $250/hr
-  if (t >= (5*60+50) && t < (6*60+50)) return 25000;
-  // 6:50–21:45 = $945/hr
-  if (t >= (6*60+50) && t < (21*60+45)) return 94500;
-  // 21:45–22:45 = $495/hr
-  if (t >= (21*60+45) && t < (22*60+45)) return 49500;
-
-  return 0;
-}
-
-// Price any interval [startISO, endISO) in integer cents, prorated per minute.
-function priceIntervalCents(startISO, endISO) {
-  var start = new Date(startISO);
-  var end = new Date(endISO);
-  if (!(start instanceof Date) || !(end instanceof Date) || isNaN(start) || isNaN(end) || end <= start) {
-    return 0;
-  }
-
-  var total = 0;
-  var cur = new Date(start);
-  while (cur < end) {
-    var next = new Date(cur.getTime() + 60 * 1000); // +1 minute
-    var activeRate = rateCentsAt(cur);
-    if (activeRate > 0) {
-      total += Math.round(activeRate / 60); // per-minute cents
-    }
-    cur.setTime(next.getTime());
-  }
-  return total;
-}
-
-/* ==========================================
-   Expand VEVENT into segments:
-   - 60-minute blocks starting at event.start
-   - plus a final remainder block if remainder >= 40 minutes
-   - if total duration is 40–59 minutes, return a single block
-   ========================================== */
-function expandIntoSegments40(startDate, endDate) {
-  var s = new Date(startDate);
-  var e = new Date(endDate);
   var out = [];
+  for (var i = 0; i < raw.length; i++) {
+    var r = raw[i] || {};
+    var s = new Date(r.start);
+    var e = new Date(r.end);
+    if (isNaN(s) || isNaN(e) || e <= s) return { error: 'Segment ' + (i + 1) + ' has an invalid start/end', code: 'bad_range' };
+    var id = slotId(s, e, rinkId);
+    if (r.slotId && r.slotId !== id) return { error: 'Segment ' + (i + 1) + ' does not match its slotId', code: 'slot_mismatch' };
+    out.push({ slot_id: id, start: s, end: e });
+  }
+  out.sort(function (a, b) { return a.start - b.start; });
+  for (var k = 1; k < out.length; k++) {
+    if (out[k].start < out[k - 1].end) return { error: 'Selected segments overlap', code: 'segments_overlap' };
+  }
+  return { segments: out };
+}
 
-  var totalMs = e - s;
-  if (totalMs < 40 * 60 * 1000) {
-    // shorter than 40 min => not offered
-    return out;
+// Ice portion from a request body: 'full' (default), 'half_a' or 'half_b'.
+// Returns { portion } or { error, code }.
+function parsePortion(body, rink) {
+  var portion = body.portion || 'full';
+  if (ICE_PORTIONS.indexOf(portion) === -1) {
+    return { error: 'portion must be one of ' + ICE_PORTIONS.join(', '), code: 'bad_portion' };
+  }
+  if (portion !== 'full' && !rink.pricing.halfIceFraction) {
+    return { error: 'Half ice is not offered on ' + rink.name, code: 'half_ice_unavailable' };
   }
+  return { portion: portion };
+}
 
-  var cur = new Date(s);
-  var oneHourMs = 60 * 60 * 1000;
+function fmtPortion(portion) {
+  if (portion === 'half_a') return 'Half Ice (side A)';
+  if (portion === 'half_b') return 'Half Ice (side B)';
+  return 'Full Ice';
+}
 
-  while (cur < e) {
-    var nxt = new Date(cur.getTime() + oneHourMs);
-    if (nxt <= e) {
-      // full 60-min chunk fits
-      out.push({ start: new Date(cur), end: new Date(nxt) });
-      cur = nxt;
+// Collapse touching segments into continuous ranges (for display/emails).
+function mergeSegments(segments) {
+  var out = [];
+  segments.forEach(function (seg) {
+    var last = out[out.length - 1];
+    if (last && new Date(last.end).getTime() === new Date(seg.start).getTime()) {
+      last.end = seg.end;
     } else {
-      // remainder
-      var remMs = e - cur;
-      if (remMs >= 40 * 60 * 1000) {
-        out.push({ start: new Date(cur), end: new Date(e) });
-      }
-      break;
+      out.push({ start: seg.start, end: seg.end });
     }
+  });
+  return out;
+}
+
+/* =========================
+   PRICING (each rink's rule set lives in its config file or the DB; see lib/pricing.js)
+   ========================= */
+rinks.forEach(function (rink) {
+  console.log('[PRICING] ' + rink.id + ': loaded ' + rink.pricing.rules.length + ' rules from ' + rink.pricing_file);
+});
+
+if (PRICING_SOURCE === 'db') {
+  if (!supabase) {
+    console.warn('[PRICING] PRICING_SOURCE=db but Supabase is not configured; keeping file rules');
+  } else {
+    rinks.forEach(function (rink) {
+      loadPricingFromDb(supabase, rink.id)
+        .then(function (ruleSet) {
+          if (!ruleSet.rules.length) {
+            console.warn('[PRICING] ' + rink.id + ': no pricing_rules rows; keeping file rules');
+            return;
+          }
+          // DB supplies rules/seasons; fees and taxes still come from the file
+          rink.pricing = createPricingEngine(Object.assign({}, rink.pricingFileRules, ruleSet), { timezone: TIMEZONE });
+          console.log('[PRICING] ' + rink.id + ': loaded ' + rink.pricing.rules.length + ' rules from database');
+        })
+        .catch(function (e) {
+          console.error('[PRICING] ' + rink.id + ': DB load failed; keeping file rules:', e && e.message ? e.message : e);
+        });
+    });
   }
+}
 
-  return out;
+/* =========================
+   BLACKOUTS (holidays + closures; see lib/blackouts.js)
+   ========================= */
+console.log('[BLACKOUTS] loaded ' + blackouts.rules.length + ' rules from ' + BLACKOUTS_FILE);
+
+// With Supabase the blackouts table is the source of truth (edited via the admin API)
+async function reloadBlackouts() {
+  var rules = await loadBlackoutsFromDb(supabase);
+  blackouts = createBlackoutCalendar(rules, { timezone: TIMEZONE });
+  console.log('[BLACKOUTS] loaded ' + rules.length + ' rules from database');
+}
+
+if (supabase) {
+  reloadBlackouts().catch(function (e) {
+    console.error('[BLACKOUTS] DB load failed; keeping file rules:', e && e.message ? e.message : e);
+  });
+}
+
+/* =========================
+   ADMIN API (Authorization: Bearer ADMIN_API_TOKEN)
+   ========================= */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_TOKEN) return res.status(503).json({ error: 'Admin API disabled (ADMIN_API_TOKEN not set)' });
+  var header = req.headers.authorization || '';
+  var given = Buffer.from(header.indexOf('Bearer ') === 0 ? header.slice(7) : '');
+  var expected = Buffer.from(ADMIN_API_TOKEN);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// Columns written for a validated rule (id is assigned by the DB)
+function blackoutRow(rule) {
+  var row = Object.assign({}, rule, { updated_at: new Date().toISOString() });
+  delete row.id;
+  return row;
+}
+
+app.get('/api/admin/blackouts', requireAdmin, function (_req, res) {
+  res.json({ source: supabase ? 'db' : 'file', blackouts: blackouts.rules });
+});
+
+// GET /api/admin/blackouts/closures?from=&to=&rink= — resolved closed intervals, to check a rule set
+app.get('/api/admin/blackouts/closures', requireAdmin, function (req, res) {
+  var from = req.query.from ? new Date(req.query.from) : new Date();
+  var to = req.query.to ? new Date(req.query.to) : bookingHorizonEnd(from);
+  if (isNaN(from) || isNaN(to) || to <= from) return res.status(400).json({ error: 'Invalid from/to' });
+  var rink = findRink(req.query.rink);
+  if (!rink) return res.status(404).json({ error: 'Unknown rink', code: 'unknown_rink' });
+  res.json({
+    rink: publicRink(rink),
+    closures: blackouts.closures(from, to, rink.id).map(function (c) {
+      return { start: c.start, end: c.end, label: c.rule.label, blackout_id: c.rule.id };
+    })
+  });
+});
+
+app.post('/api/admin/blackouts', requireAdmin, async function (req, res) {
+  if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+  var rule;
+  try {
+    rule = normalizeBlackout(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message, code: 'bad_blackout' });
+  }
+  if (rule.rink_id && !findRink(rule.rink_id)) return res.status(400).json({ error: 'Unknown rink', code: 'unknown_rink' });
+  try {
+    var ins = await supabase.from('blackouts').insert(blackoutRow(rule)).select('*').single();
+    if (ins.error) throw new Error(ins.error.message);
+    await reloadBlackouts();
+    console.log('[ADMIN] Blackout added', ins.data.id, rule.label);
+    res.status(201).json({ blackout: normalizeBlackout(ins.data) });
+  } catch (e) {
+    console.error('[ADMIN] Blackout insert failed:', e && e.message ? e.message : e);
+    res.status(500).json({ error: 'Could not save blackout' });
+  }
+});
+
+app.put('/api/admin/blackouts/:id', requireAdmin, async function (req, res) {
+  if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+  var rule;
+  try {
+    rule = normalizeBlackout(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message, code: 'bad_blackout' });
+  }
+  if (rule.rink_id && !findRink(rule.rink_id)) return res.status(400).json({ error: 'Unknown rink', code: 'unknown_rink' });
+  try {
+    var upd = await supabase.from('blackouts').update(blackoutRow(rule)).eq('id', req.params.id).select('*');
+    if (upd.error) throw new Error(upd.error.message);
+    if (!upd.data || !upd.data.length) return res.status(404).json({ error: 'Blackout not found' });
+    await reloadBlackouts();
+    console.log('[ADMIN] Blackout updated', req.params.id, rule.label);
+    res.json({ blackout: normalizeBlackout(upd.data[0]) });
+  } catch (e) {
+    console.error('[ADMIN] Blackout update failed:', e && e.message ? e.message : e);
+    res.status(500).json({ error: 'Could not save blackout' });
+  }
+});
+
+app.delete('/api/admin/blackouts/:id', requireAdmin, async function (req, res) {
+  if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+  try {
+    var del = await supabase.from('blackouts').delete().eq('id', req.params.id).select('id');
+    if (del.error) throw new Error(del.error.message);
+    if (!del.data || !del.data.length) return res.status(404).json({ error: 'Blackout not found' });
+    await reloadBlackouts();
+    console.log('[ADMIN] Blackout removed', req.params.id);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[ADMIN] Blackout delete failed:', e && e.message ? e.message : e);
+    res.status(500).json({ error: 'Could not delete blackout' });
+  }
+});
+
+// Stripe line items for a quote — one per ice tier, add-on, fee and tax, so the
+// receipt lists exactly what the customer saw in the booking modal.
+function quoteToStripeLineItems(quote, description) {
+  var items = quote.line_items.concat(quote.fees, quote.taxes).filter(function (li) { return li.amount_cents > 0; });
+  return items.map(function (li) {
+    // Add-ons are charged per unit beyond the free allowance
+    if (li.kind === 'addon') {
+      return {
+        price_data: {
+          currency: quote.currency,
+          product_data: {
+            name: li.label,
+            description: [description, li.free_quantity ? li.free_quantity + ' included free' : null].filter(Boolean).join(' • ')
+          },
+          unit_amount: li.unit_cents
+        },
+        quantity: li.quantity - li.free_quantity
+      };
+    }
+    var name = li.kind === 'ice' ? 'Private Ice Rental — ' + li.label : li.label;
+    var detail = li.kind === 'ice'
+      ? li.minutes + ' min × ' + fmtUSDFromCents(li.rate_cents) + '/hr'
+      : null;
+    return {
+      price_data: {
+        currency: quote.currency,
+        product_data: {
+          name: name,
+          description: [description, detail].filter(Boolean).join(' • ')
+        },
+        unit_amount: li.amount_cents
+      },
+      quantity: 1
+    };
+  });
 }
 
 /* =================
@@ -246,8 +540,21 @@ function fmtWhen(startISO, endISO) {
 }
 
 // Send booking email via SMTP (nodemailer) or Resend (if configured)
-async function sendBookingEmail({ to, whenText, amountText }) {
+// subject/heading/closing default to the booking confirmation wording;
+// manageUrl (customer copies only) adds the self-service link; calendar
+// (.ics text, see lib/calendarInvite.js) is attached
+async function sendBookingEmail({ to, whenText, whereText, amountText, subject, heading, closing, manageUrl, calendar }) {
   if (!FROM_EMAIL) throw new Error('FROM_EMAIL is not set');
+  var icsName = 'WingsArena_Booking.ics';
+  subject = subject || 'Wings Arena — Booking Confirmation';
+  heading = heading || 'Thank you! Your ice time is booked.';
+  closing = closing === undefined ? 'See you at the rink!' : closing;
+  // Same body for both providers
+  var html = `<p>${heading}</p>
+             <p><b>When:</b> ${whenText}<br/><b>Where:</b> ${whereText}<br/><b>Amount:</b> ${amountText}</p>
+             ${closing ? `<p>${closing}</p>` : ''}
+             ${manageUrl ? `<p>Need to cancel or reschedule? <a href="${manageUrl}">Manage your booking</a></p>` : ''}
+             <p>Questions? Give us a shout at info@wingsarena.com | 203-357-1055</p>`;
 
   if (MAIL_PROVIDER === 'smtp' && SMTP_USER && SMTP_PASS) {
     const transporter = nodemailer.createTransport({
@@ -259,11 +566,12 @@ async function sendBookingEmail({ to, whenText, amountText }) {
     const info = await transporter.sendMail({
       from: FROM_EMAIL,
       to,
-      subject: 'Wings Arena — Booking Confirmation',
-      text: `Thank you! Your ice time is booked.\n\nWhen: ${whenText}\nAmount: ${amountText}\n\nSee you at the rink!`,
-      html: `<p>Thank you! Your ice time is booked.</p>
-             <p><b>When:</b> ${whenText}<br/><b>Amount:</b> ${amountText}</p>
-             <p>Questions? Give us a shout at info@wingsarena.com | 203-357-1055</p>`
+      subject,
+      text: `${heading}\n\nWhen: ${whenText}\nWhere: ${whereText}\nAmount: ${amountText}\n\n${closing}` +
+        (manageUrl ? `\n\nNeed to cancel or reschedule? Manage your booking: ${manageUrl}` : '') +
+        '\n\nQuestions? Give us a shout at info@wingsarena.com | 203-357-1055',
+      html,
+      attachments: calendar ? [{ filename: icsName, content: calendar, contentType: 'text/calendar; charset=utf-8; method=PUBLISH' }] : undefined
     });
     return info.messageId || 'smtp:ok';
   }
@@ -274,10 +582,9 @@ async function sendBookingEmail({ to, whenText, amountText }) {
     const { data, error } = await resend.emails.send({
       from: FROM_EMAIL,
       to,
-      subject: 'Wings Arena — Booking Confirmation',
-      html: `<p>Thank you! Your ice time is booked.</p>
-             <p><b>When:</b> ${whenText}<br/><b>Amount:</b> ${amountText}</p>
-             <p>See you at the rink!</p>`
+      subject,
+      html,
+      attachments: calendar ? [{ filename: icsName, content: Buffer.from(calendar) }] : undefined
     });
     if (error) throw error;
     return data?.id || 'resend:ok';
@@ -286,240 +593,3164 @@ async function sendBookingEmail({ to, whenText, amountText }) {
   throw new Error('No mail provider configured');
 }
 
-// GET /api/slots — parse ICS, expand segments, filter by holds/bookings, include price_cents
-app.get('/api/slots', async function (_req, res) {
+/* =================
+   Availability helpers
+   ================= */
+
+// A rink's cached ICS → future availability windows [{ start, end }] and ticketed
+// sessions within the booking horizon, plus feed freshness. Recurring VEVENTs are
+// expanded (RRULE/EXDATE/RECURRENCE-ID, TZID-aware).
+function bookingHorizonEnd(now) {
+  return new Date(now.getTime() + BOOKING_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+}
+
+async function fetchAvailabilityWindows(rink) {
+  var cal = await rink.feed.getCalendar();
+  var now = new Date();
+  var horizonEnd = bookingHorizonEnd(now);
+  var occurrences = expandCalendar(cal.data, { from: now, until: horizonEnd, defaultZone: TIMEZONE });
+  console.log('[SLOTS] ' + rink.id + ' ICS occurrences through ' + horizonEnd.toISOString() + ': ' + occurrences.length +
+    (cal.stale ? ' (STALE snapshot from ' + cal.fetchedAt + ')' : ''));
+
+  // Events named like a session type are sold per person, not rented out
+  var windows = [];
+  var sessions = [];
+  occurrences.forEach(function (occ) {
+    var type = sessionTypeFor(SESSION_TYPES, occ.summary);
+    if (!type) {
+      windows.push({ start: occ.start, end: occ.end });
+      return;
+    }
+    sessions.push({ id: slotId(occ.start, occ.end, rink.id), rink_id: rink.id, type: type, start: occ.start, end: occ.end });
+  });
+
+  // Holidays/closures come out of the rentable windows; sessions on them are marked closed
+  var closed = blackouts.closures(now, horizonEnd, rink.id);
+  windows = subtractIntervals(windows, closed);
+  sessions.forEach(function (ses) {
+    ses.closure = closed.find(function (c) { return overlaps(ses, c); }) || null;
+  });
+
+  return {
+    windows: windows,
+    sessions: sessions,
+    horizonEnd: horizonEnd,
+    feed: { stale: cal.stale, fetched_at: cal.fetchedAt }
+  };
+}
+
+// Booked + actively held time as per-rink intervals. Conflicts are found by
+// overlap, so bookings stay blocking when the feed or segmentation shifts.
+// scope (optional): { rinkId, from, until } narrows the query to one sheet/time span;
+// excludeBookingId leaves one booking out (the one being rescheduled),
+// excludeHoldGroup one hold (a waitlist offer being claimed).
+async function fetchBusy(scope) {
+  var busy = { intervals: [] };
+  if (!supabase) return busy;
+
+  function scoped(query) {
+    if (!scope) return query;
+    return query
+      .eq('rink_id', scope.rinkId)
+      .lt('start_ts', scope.until.toISOString())
+      .gt('end_ts', scope.from.toISOString());
+  }
+
+  var bookedResp = await scoped(supabase
+    .from('bookings')
+    .select('id, kind, status, rink_id, ice_portion, segments, start_ts, end_ts'));
+  if (bookedResp.error) console.error('[SLOTS] bookings error:', bookedResp.error.message);
+  (bookedResp.data || []).forEach(function (r) {
+    if (r.kind === 'session') return; // seats, not ice
+    if (RELEASED_STATES.indexOf(r.status) !== -1) return; // ice given back
+    if (scope && scope.excludeBookingId && String(r.id) === String(scope.excludeBookingId)) return;
+    var parts = (r.segments && r.segments.length) ? r.segments : [{ start: r.start_ts, end: r.end_ts }];
+    parts.forEach(function (p) {
+      busy.intervals.push({
+        rink_id: r.rink_id || DEFAULT_RINK_ID,
+        halves: portionHalves(r.ice_portion),
+        start: new Date(p.start),
+        end: new Date(p.end)
+      });
+    });
+  });
+
+  var holdsResp = await scoped(supabase
+    .from('slot_holds')
+    .select('rink_id, ice_half, hold_group, start_ts, end_ts, expires_at')
+    .gt('expires_at', new Date().toISOString()));
+  if (holdsResp.error) console.error('[SLOTS] holds error:', holdsResp.error.message);
+  (holdsResp.data || []).forEach(function (h) {
+    if (scope && scope.excludeHoldGroup && h.hold_group === scope.excludeHoldGroup) return;
+    busy.intervals.push({
+      rink_id: h.rink_id || DEFAULT_RINK_ID,
+      halves: h.ice_half ? [h.ice_half] : HALVES,
+      start: new Date(h.start_ts),
+      end: new Date(h.end_ts)
+    });
+  });
+
+  console.log('[SLOTS] Busy intervals (bookings + active holds): ' + busy.intervals.length);
+  return busy;
+}
+
+// A sheet's busy intervals, padded with its resurfacing buffer
+function busyIntervalsFor(busy, rink) {
+  var own = busy.intervals.filter(function (iv) { return iv.rink_id === rink.id; });
+  return padBusy(own, rink.segmentation.buffer_minutes);
+}
+
+// Seats sold + live holds per session id → Map(id, { sold, held })
+async function fetchSessionCounts(ids) {
+  var counts = new Map();
+  ids.forEach(function (id) { counts.set(id, { sold: 0, held: 0 }); });
+  if (!supabase || !ids.length) return counts;
+
+  var seatsResp = await supabase.from('session_seats').select('id, sold').in('id', ids);
+  if (seatsResp.error) console.error('[SLOTS] session_seats error:', seatsResp.error.message);
+  (seatsResp.data || []).forEach(function (r) { counts.get(r.id).sold = r.sold; });
+
+  var holdsResp = await supabase
+    .from('session_holds')
+    .select('session_id, quantity')
+    .in('session_id', ids)
+    .gt('expires_at', new Date().toISOString());
+  if (holdsResp.error) console.error('[SLOTS] session_holds error:', holdsResp.error.message);
+  (holdsResp.data || []).forEach(function (h) { counts.get(h.session_id).held += h.quantity; });
+  return counts;
+}
+
+// A ticketed session by id on a rink, or null
+async function findSession(rink, sessionId) {
+  var avail = await fetchAvailabilityWindows(rink);
+  return avail.sessions.find(function (s) { return s.id === sessionId; }) || null;
+}
+
+// Ids of the fixed segments a sheet's feed offers right now
+async function offeredSlotIds(rink) {
+  var offered = new Set();
+  (await fetchAvailabilityWindows(rink)).windows.forEach(function (w) {
+    expandIntoSegments(w, rink.segmentation, TIMEZONE).forEach(function (b) { offered.add(slotId(b.start, b.end, rink.id)); });
+  });
+  return offered;
+}
+
+// A sheet's fixed segments from its open windows, priced, with the halves
+// still free against rinkBusy (busyIntervalsFor); only those not yet over and
+// starting before horizonEnd
+function rinkSegments(rink, windows, rinkBusy, now, horizonEnd) {
+  var halfIce = Boolean(rink.pricing.halfIceFraction);
+  var out = [];
+  windows.forEach(function (w) {
+    expandIntoSegments(w, rink.segmentation, TIMEZONE).forEach(function (b) {
+      if (b.end <= now || b.start >= horizonEnd) return;
+      out.push({
+        id: slotId(b.start, b.end, rink.id),
+        rink_id: rink.id,
+        title: rink.name,
+        start: b.start,
+        end: b.end,
+        price_cents: rink.pricing.priceIntervalCents(b.start, b.end), // ⬅️ prorated slot price
+        half_price_cents: halfIce ? rink.pricing.priceIntervalCents(b.start, b.end, 'half_a') : null,
+        free_halves: HALVES.filter(function (h) { return takenHalves(b, rinkBusy).indexOf(h) === -1; })
+      });
+    });
+  });
+  return out;
+}
+
+// Something is left to book: full ice, or (where the sheet splits) a free half
+function segmentBookable(seg) {
+  return seg.free_halves.length === HALVES.length || (seg.half_price_cents !== null && seg.free_halves.length > 0);
+}
+
+// Re-check requested segments against live availability before taking money:
+// not started, inside the booking horizon, not blacked out and (fixed segments)
+// exactly one of the slots the feed offers right now. Custom ranges get their
+// window check from validateCustomRange. Returns null or { status, code, error }.
+async function checkSegmentsBookable(rink, segments, mode) {
+  var now = new Date();
+  var horizonEnd = bookingHorizonEnd(now);
+  for (var i = 0; i < segments.length; i++) {
+    if (segments[i].start <= now) {
+      return { status: 400, code: 'slot_in_past', error: 'The ' + fmtWhen(segments[i].start, segments[i].end) + ' slot has already started' };
+    }
+    if (segments[i].end > horizonEnd) {
+      return { status: 400, code: 'beyond_horizon', error: 'Bookings open ' + BOOKING_HORIZON_DAYS + ' days in advance' };
+    }
+  }
+
+  var closed = blackouts.firstOverlap(segments, rink.id);
+  if (closed) {
+    return { status: 409, code: 'blacked_out', error: 'The rink is closed at that time (' + closed.rule.label + ')' };
+  }
+  if (mode === 'custom') return null;
+
+  var offered = await offeredSlotIds(rink);
+  var missing = segments.find(function (seg) { return !offered.has(seg.slot_id); });
+  if (missing) {
+    return { status: 409, code: 'slot_unavailable', error: 'The ' + fmtWhen(missing.start, missing.end) + ' slot is no longer offered' };
+  }
+  return null;
+}
+
+// Seats requested for a session: a whole number within the per-order limit
+function parseQuantity(value, type) {
+  var qty = Number(value);
+  if (!Number.isInteger(qty) || qty < 1 || qty > type.max_per_order) {
+    return { error: 'Choose 1–' + type.max_per_order + ' spots', code: 'bad_quantity' };
+  }
+  return { quantity: qty };
+}
+
+// Quote for seats in a session, in the same shape as an ice quote
+function sessionQuote(session, quantity) {
+  var amount = session.type.price_cents * quantity;
+  return {
+    kind: 'session',
+    session_id: session.id,
+    start: session.start.toISOString(),
+    end: session.end.toISOString(),
+    currency: 'usd',
+    line_items: [{
+      kind: 'ticket',
+      code: session.type.id,
+      label: session.type.name,
+      unit_cents: session.type.price_cents,
+      quantity: quantity,
+      amount_cents: amount
+    }],
+    ice_cents: 0,
+    subtotal_cents: amount,
+    fees: [],
+    taxes: [],
+    total_cents: amount
+  };
+}
+
+// GET /api/slots — parse each rink's ICS, expand segments, filter by holds/bookings, include price_cents
+//   (full ice) plus half_price_cents and free_halves where a sheet can be split.
+//   Ticketed sessions are listed separately with capacity/remaining and a per-person price.
+//   ?mode=windows → raw open windows + custom-length rules instead of fixed segments
+//   ?rink&from&to&minDuration&maxDuration&maxPrice&weekdays&timeOfDay → see lib/slotFilters.js
+// Response: { slots, sessions | windows, meta: { count, from, to, horizon_days, horizon_end, feed, feeds } }
+app.get('/api/slots', async function (req, res) {
   var t0 = Date.now();
+  var mode = req.query.mode === 'windows' ? 'windows' : 'segments';
   try {
-    if (!ICS_URL) {
-      console.error('[SLOTS] Missing AVAILABILITY_ICS_URL in .env');
+    if (!rinks.length) {
+      console.error('[SLOTS] No rink has an availability feed (AVAILABILITY_ICS_URL in .env)');
       return res.status(500).json({ error: 'Missing AVAILABILITY_ICS_URL in .env' });
     }
 
-    console.log('[SLOTS] Fetching ICS…', new Date().toISOString());
-    var events;
-    try {
-      events = await ical.async.fromURL(ICS_URL);
-    } catch (e) {
-      console.error('[SLOTS] ical.fromURL failed:', (e && e.message) ? e.message : e);
-      return res.status(502).json({ error: 'Failed to fetch ICS. Use the Secret iCal address.' });
-    }
-
     var now = new Date();
-    var vevents = Object.values(events).filter(function (ev) {
-      return ev && ev.type === 'VEVENT';
+    var parsedQuery = parseSlotQuery(req.query, {
+      now: now,
+      horizonEnd: bookingHorizonEnd(now),
+      timezone: TIMEZONE,
+      rinkIds: rinks.map(function (r) { return r.id; })
     });
-    console.log('[SLOTS] ICS VEVENTs total: ' + vevents.length);
+    if (parsedQuery.error) return res.status(400).json(parsedQuery);
+    var filters = parsedQuery.filters;
+    var wanted = rinks.filter(function (r) { return !filters.rinks || filters.rinks.indexOf(r.id) !== -1; });
 
-    var expanded = [];
-    for (var i = 0; i < vevents.length; i++) {
-      var ev = vevents[i];
-      if (!ev.start || !ev.end) continue;
-      if (ev.end <= now) continue; // past
-
-      var segs = expandIntoSegments40(ev.start, ev.end);
-      for (var j = 0; j < segs.length; j++) {
-        var b = segs[j];
-        if (b.end <= now) continue;
-        expanded.push({
-          id: slotId(b.start, b.end),
-          title: 'Available Ice',
-          start: b.start,
-          end: b.end,
-          price_cents: priceIntervalCents(b.start, b.end) // ⬅️ prorated slot price
+    // One sheet's feed being down shouldn't hide the others
+    var avails = (await Promise.all(wanted.map(function (rink) {
+      return fetchAvailabilityWindows(rink)
+        .then(function (avail) { return Object.assign({ rink: rink }, avail); })
+        .catch(function (e) {
+          console.error('[SLOTS] ' + rink.id + ': no availability snapshot:', (e && e.message) ? e.message : e);
+          return null;
         });
-      }
+    }))).filter(Boolean);
+    if (!avails.length) return res.status(502).json({ error: 'Failed to fetch ICS. Use the Secret iCal address.' });
+    var busy = await fetchBusy();
+    var horizonEnd = bookingHorizonEnd(now);
+
+    function meta(count) {
+      var feeds = {};
+      avails.forEach(function (a) { feeds[a.rink.id] = a.feed; });
+      return {
+        count: count,
+        from: filters.from,
+        to: filters.to,
+        horizon_days: BOOKING_HORIZON_DAYS,
+        horizon_end: horizonEnd,
+        // overall freshness = the stalest sheet
+        feed: {
+          stale: avails.some(function (a) { return a.feed.stale; }),
+          fetched_at: avails.map(function (a) { return a.feed.fetched_at; }).sort()[0]
+        },
+        feeds: feeds
+      };
     }
-    console.log('[SLOTS] segments (pre-DB filter): ' + expanded.length);
 
-    if (!supabase) {
-      console.log('[SLOTS] No Supabase configured; returning ' + expanded.length + ' slots. (' + (Date.now() - t0) + 'ms)');
-      return res.json(expanded);
+    if (mode === 'windows') {
+      var minMs = CUSTOM_RULES.min_minutes * 60 * 1000;
+      var free = [];
+      avails.forEach(function (a) {
+        subtractIntervals(a.windows, busyIntervalsFor(busy, a.rink)).forEach(function (w) {
+          var win = {
+            rink_id: a.rink.id,
+            start: w.start < filters.from ? filters.from : w.start,
+            end: w.end > filters.to ? filters.to : w.end
+          };
+          if (win.end - win.start >= minMs && matchesSlotFilters(win, filters)) free.push(win);
+        });
+      });
+      free.sort(function (x, y) { return x.start - y.start; });
+      console.log('[SLOTS] Open windows: ' + free.length + '  — done in ' + (Date.now() - t0) + 'ms');
+      return res.json({
+        mode: 'windows',
+        rules: CUSTOM_RULES,
+        windows: free.map(function (w) {
+          return { id: slotId(w.start, w.end, w.rink_id), rink_id: w.rink_id, title: findRink(w.rink_id).name, start: w.start, end: w.end };
+        }),
+        meta: meta(free.length)
+      });
     }
 
-    // Remove booked segments
-    var bookedResp = await supabase.from('bookings').select('slot_id');
-    if (bookedResp.error) console.error('[SLOTS] bookings error:', bookedResp.error.message);
-    var bookedSet = new Set((bookedResp.data || []).map(function (r) { return r.slot_id; }));
-    console.log('[SLOTS] Booked segment-ids: ' + bookedSet.size);
+    var expanded = [];
+    avails.forEach(function (a) {
+      expanded = expanded.concat(rinkSegments(a.rink, a.windows, busyIntervalsFor(busy, a.rink), now, a.horizonEnd));
+    });
+    console.log('[SLOTS] segments (pre-DB filter): ' + expanded.length);
 
-    // Remove active holds
-    var holdsResp = await supabase
-      .from('slot_holds')
-      .select('slot_id, expires_at')
-      .gt('expires_at', new Date().toISOString());
-    if (holdsResp.error) console.error('[SLOTS] holds error:', holdsResp.error.message);
-    var heldSet = new Set((holdsResp.data || []).map(function (h) { return h.slot_id; }));
-    console.log('[SLOTS] Active held segment-ids: ' + heldSet.size);
+    // Keep segments with something left to book: full ice, or (where the sheet
+    // splits) at least one free half. maxPrice matches the cheapest option.
+    // The rest are listed as taken, so customers can join their waitlist.
+    var filtered = [];
+    var taken = [];
+    expanded.forEach(function (s) {
+      if (!segmentBookable(s)) {
+        if (matchesSlotFilters(s, filters)) taken.push({ id: s.id, rink_id: s.rink_id, title: s.title, start: s.start, end: s.end, price_cents: s.price_cents, half_price_cents: s.half_price_cents });
+        return;
+      }
+      var halfFree = s.half_price_cents !== null && s.free_halves.length > 0;
+      var fromCents = halfFree ? s.half_price_cents : s.price_cents;
+      if (matchesSlotFilters(Object.assign({}, s, { price_cents: fromCents }), filters)) filtered.push(s);
+    });
+    filtered.sort(function (x, y) { return x.start - y.start; });
+    taken.sort(function (x, y) { return x.start - y.start; });
+    console.log('[SLOTS] Final segments: ' + filtered.length + ' (taken: ' + taken.length + ')  — done in ' + (Date.now() - t0) + 'ms');
 
-    var filtered = expanded.filter(function (s) { return !bookedSet.has(s.id) && !heldSet.has(s.id); });
-    console.log('[SLOTS] Final segments: ' + filtered.length + '  — done in ' + (Date.now() - t0) + 'ms');
+    // Sessions stay listed when full (remaining: 0) so the calendar can show "sold out"
+    var upcoming = [];
+    avails.forEach(function (a) {
+      a.sessions.forEach(function (ses) { if (!ses.closure && ses.start > now && ses.start < a.horizonEnd) upcoming.push(ses); });
+    });
+    var counts = await fetchSessionCounts(upcoming.map(function (ses) { return ses.id; }));
+    var sessions = upcoming.map(function (ses) {
+      var c = counts.get(ses.id);
+      return {
+        id: ses.id,
+        kind: 'session',
+        rink_id: ses.rink_id,
+        session_type: ses.type.id,
+        title: ses.type.name,
+        color: ses.type.color,
+        start: ses.start,
+        end: ses.end,
+        capacity: ses.type.capacity,
+        remaining: Math.max(0, ses.type.capacity - c.sold - c.held),
+        price_cents: ses.type.price_cents,
+        max_per_order: ses.type.max_per_order
+      };
+    }).filter(function (ses) { return matchesSlotFilters(ses, filters); });
+    sessions.sort(function (x, y) { return x.start - y.start; });
+    console.log('[SLOTS] Sessions: ' + sessions.length);
 
-    res.json(filtered);
+    res.json({ slots: filtered, sessions: sessions, taken: taken, meta: meta(filtered.length) });
   } catch (err) {
     console.error('[SLOTS] Unexpected error:', err);
     res.status(500).json({ error: 'Failed to load slots' });
   }
 });
 
-// Create checkout — charge exact per-slot price (tiered, prorated)
-app.post('/api/create-checkout-session', async function (req, res) {
-  try {
-    if (!stripe) return res.status(500).json({ error: 'Stripe not configured (STRIPE_SECRET_KEY missing)' });
-    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
-
-    var body = req.body || {};
-    var sid = body.slotId;
-    var start = body.start;
-    var end = body.end;
-    var name = body.name;
-    var email = body.email;
-    var purpose = body.purpose;
+// GET /api/booking-form — purposes (with group-size limits) the checkout form offers
+app.get('/api/booking-form', function (_req, res) {
+  res.json(BOOKING_FORM);
+});
 
-    console.log('[CHECKOUT] Start', { sid: sid, start: start, end: end, email: email });
+// GET /api/addons — extras a rental can add (prices, free allowances, limits)
+app.get('/api/addons', function (_req, res) {
+  res.json(ADDONS);
+});
 
-    // Already booked?
-    var existing = await supabase.from('bookings').select('slot_id').eq('slot_id', sid).maybeSingle();
-    if (existing && existing.data) {
-      console.warn('[CHECKOUT] Slot already booked', sid);
-      return res.status(409).json({ error: 'Slot already booked' });
-    }
+// Stock error raised by acquire_slot_hold() (db/migrations/014) → add-on, or null
+function addonUnavailable(holdError) {
+  var m = /addon_unavailable:(\S+)/.exec((holdError && holdError.message) || '');
+  if (!m) return null;
+  var addon = ADDONS.addons.find(function (a) { return a.id === m[1]; });
+  return { error: (addon ? addon.label : m[1]) + ' is already fully booked at that time', code: 'addon_unavailable' };
+}
 
-    // Active hold?
-    var activeHold = await supabase
-      .from('slot_holds')
-      .select('*')
-      .eq('slot_id', sid)
-      .gt('expires_at', new Date().toISOString())
-      .maybeSingle();
-    if (activeHold && activeHold.data) {
-      console.warn('[CHECKOUT] Slot currently on hold', sid);
-      return res.status(409).json({ error: 'Slot currently on hold' });
-    }
+// Tags that unlock member rates (customer_tags, db/migrations/015)
+async function customerTags(email) {
+  if (!supabase || !email) return [];
+  var resp = await supabase.from('customer_tags').select('tag').eq('email', String(email).trim().toLowerCase());
+  if (resp.error) throw new Error('customer_tags: ' + resp.error.message);
+  return (resp.data || []).map(function (r) { return r.tag; });
+}
 
-    var expiresAt = new Date(Date.now() + 15 * 60 * 1000).toISOString();
+// Whether a promo code has reached max_uses / max_uses_per_customer
+async function codeUsedUp(rule, email) {
+  if (!supabase || (rule.max_uses === null && rule.max_uses_per_customer === null)) return false;
+  var total = await supabase.rpc('discount_uses', { p_code: rule.code });
+  var mine = await supabase.rpc('discount_uses', { p_code: rule.code, p_email: String(email || '').trim().toLowerCase() });
+  if (total.error || mine.error) throw new Error('discount_uses: ' + (total.error || mine.error).message);
+  return (rule.max_uses !== null && total.data >= rule.max_uses) ||
+    (rule.max_uses_per_customer !== null && mine.data >= rule.max_uses_per_customer);
+}
 
-    // PRICE: compute exact cents for this slot
-    var amountCents = priceIntervalCents(start, end);
-    if (amountCents <= 0) {
-      return res.status(400).json({ error: 'Selected slot is not billable.' });
+// Largest discount on a rental among the customer's member rates and promoCode.
+// → { rule, line } (both null when none applies) and promo_error when the code can't be used
+async function pickDiscount(rink, segments, portion, email, promoCode) {
+  var rules = discounts.membersFor(email, await customerTags(email));
+  var promoError = null;
+  if (promoCode && String(promoCode).trim()) {
+    var found = discounts.findCode(promoCode, new Date());
+    if (found.error) promoError = found.error;
+    else if (!discounts.lineFor(found.rule, rink.pricing, segments, portion)) promoError = 'That promo code doesn\'t cover the selected time';
+    else if (await codeUsedUp(found.rule, email)) promoError = 'That promo code has been used up';
+    else rules = rules.concat([found.rule]);
+  }
+  var best = { rule: null, line: null, promo_error: promoError };
+  rules.forEach(function (rule) {
+    var line = discounts.lineFor(rule, rink.pricing, segments, portion);
+    if (line && (!best.line || line.amount_cents < best.line.amount_cents)) {
+      best.rule = rule;
+      best.line = line;
     }
+  });
+  return best;
+}
 
-    var session = await stripe.checkout.sessions.create({
-      mode: 'payment',
-      payment_method_types: ['card'],
-      success_url: SUCCESS_URL + '?session_id={CHECKOUT_SESSION_ID}',
-      cancel_url: CANCEL_URL,
-      customer_email: email,
-      line_items: [
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: {
-              name: 'Private Ice Rental',
-              description: (purpose || 'Ice Time') + ' • ' +
-                new Date(start).toLocaleString() + ' – ' + new Date(end).toLocaleTimeString()
-            },
-            unit_amount: amountCents
-          },
-          quantity: 1
-        }
-      ],
-      metadata: { slot_id: sid, start: start, end: end, name: name, email: email, purpose: purpose || '' }
-    });
+// Reserve one use of a limited promo code for a checkout's hold group until
+// `expiresAt`, the hold's (and so the Checkout session's) expiry
+// (db/migrations/015) → false when the code was used up meanwhile
+async function reserveDiscountCode(rule, email, holdGroup, cents, expiresAt) {
+  var reserved = await supabase.rpc('reserve_discount_code', {
+    p_code: rule.code,
+    p_email: email,
+    p_hold_group: holdGroup,
+    p_amount_cents: cents,
+    p_expires_at: expiresAt,
+    p_max_uses: rule.max_uses,
+    p_max_uses_per_customer: rule.max_uses_per_customer
+  });
+  if (reserved.error) throw new Error('reserve_discount_code: ' + reserved.error.message);
+  return !!reserved.data;
+}
 
-    await supabase.from('slot_holds').insert({
-      slot_id: sid,
-      start_ts: new Date(start).toISOString(),
-      end_ts: new Date(end).toISOString(),
-      customer_name: name,
-      customer_email: email,
-      expires_at: expiresAt,
-      checkout_session_id: session.id
-    });
+// Drop a checkout's unused promo code reservation
+async function releaseDiscountReservation(holdGroup) {
+  var resp = await supabase.from('discount_redemptions').delete().eq('hold_group', holdGroup).is('booking_id', null);
+  if (resp.error) console.error('[DISCOUNT] Could not release reservation', holdGroup, resp.error.message);
+}
 
-    console.log('[CHECKOUT] Session created', session.id);
-    res.json({ url: session.url });
+// Delete the single-use coupon of a Checkout session that was never created
+async function discardCoupon(coupon) {
+  if (!coupon) return;
+  try {
+    await stripe.coupons.del(coupon.id);
   } catch (err) {
-    console.error('[CHECKOUT] Error:', err);
-    res.status(500).json({ error: 'Failed to create checkout session' });
+    console.error('[DISCOUNT] Could not delete coupon', coupon.id, err && err.message ? err.message : err);
   }
-});
+}
 
-// Stripe webhook
-app.post('/api/stripe/webhook', bodyParser.raw({ type: 'application/json' }), async function (req, res) {
-  if (!stripe || !STRIPE_WEBHOOK_SECRET) {
-    console.error('[WEBHOOK] Not configured: hasStripe?', !!stripe, 'hasSecret?', !!STRIPE_WEBHOOK_SECRET);
-    return res.status(500).json({ error: 'Webhook not configured' });
+// POST /api/quote — itemized price for an interval or a cart of segments on one rink
+// (per-tier minutes × rate, add-ons, discount, fees, taxes), or for `quantity` seats in
+// a `sessionId`. Rentals: `email` unlocks member rates, `promoCode` tries a code →
+// quote + { discount, promo_error }
+app.post('/api/quote', async function (req, res) {
+  var body = req.body || {};
+  var rink = findRink(body.rinkId);
+  if (!rink) return res.status(400).json({ error: 'Unknown rink', code: 'unknown_rink' });
+
+  if (body.sessionId) {
+    var session;
+    try {
+      session = await findSession(rink, body.sessionId);
+    } catch (e) {
+      return res.status(502).json({ error: 'Could not load sessions right now' });
+    }
+    if (!session) return res.status(404).json({ error: 'Session not found', code: 'unknown_session' });
+    var qty = parseQuantity(body.quantity, session.type);
+    if (qty.error) return res.status(400).json(qty);
+    return res.json(sessionQuote(session, qty.quantity));
   }
-  var sig = req.headers['stripe-signature'];
-  var event;
+
+  var parsed = parseSegments(body, rink.id);
+  if (parsed.error) return res.status(400).json(parsed);
+  var portionResult = parsePortion(body, rink);
+  if (portionResult.error) return res.status(400).json(portionResult);
+  var addonResult = priceAddons(ADDONS, body.addons);
+  if (addonResult.error) return res.status(400).json(addonResult);
+  var picked;
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.error('[WEBHOOK] Signature verify failed:', err && err.message ? err.message : err);
-    return res.status(400).send('Webhook Error: ' + (err && err.message ? err.message : err));
+    picked = await pickDiscount(rink, parsed.segments, portionResult.portion, body.email, body.promoCode);
+  } catch (e) {
+    console.error('[QUOTE] Discount lookup failed:', (e && e.message) ? e.message : e);
+    return res.status(502).json({ error: 'Could not check discounts right now' });
   }
+  var extras = addonQuoteItems(addonResult.addons).concat(picked.line ? [picked.line] : []);
+  var quote = rink.pricing.quoteRanges(parsed.segments, extras, { portion: portionResult.portion });
+  if (!quote) return res.status(400).json({ error: 'start and end must be valid ISO times with end after start' });
+  if (quote.ice_cents <= 0) return res.status(400).json({ error: 'Selected interval is not billable.', code: 'not_billable' });
+  res.json(Object.assign(quote, {
+    discount: picked.rule ? discountSnapshot(picked.rule, picked.line) : null,
+    promo_error: picked.promo_error
+  }));
+});
 
-  console.log('[WEBHOOK] Event:', event && event.type ? event.type : '(no type)');
+// acquire_slot_hold() rows for segments: one per half being taken
+function iceHoldRows(segments, portion) {
+  var rows = [];
+  segments.forEach(function (seg) {
+    portionHalves(portion).forEach(function (half) {
+      rows.push({ slot_id: seg.slot_id + ':' + half, ice_half: half, start_ts: seg.start.toISOString(), end_ts: seg.end.toISOString() });
+    });
+  });
+  return rows;
+}
 
-  if (event && event.type === 'checkout.session.completed') {
-    var session = event.data.object;
-    var md = (session && session.metadata) ? session.metadata : {};
-    var sid = md.slot_id;
-    var start = md.start;
-    var end = md.end;
-    var name = md.name;
-    var email = md.email;
+// Create checkout — one Stripe session for one or more segments on one rink (tiered, prorated)
+app.post('/api/create-checkout-session', async function (req, res) {
+  try {
+    if (!stripe) return res.status(500).json({ error: 'Stripe not configured (STRIPE_SECRET_KEY missing)' });
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
 
-    try {
-      if (supabase) {
-        var existing = await supabase.from('bookings').select('slot_id').eq('slot_id', sid).maybeSingle();
-        if (!(existing && existing.data)) {
-          await supabase.from('bookings').insert({
-            slot_id: sid,
-            start_ts: new Date(start).toISOString(),
-            end_ts: new Date(end).toISOString(),
-            customer_name: name,
-            customer_email: email,
-            amount_cents: session.amount_total || 0,
-            currency: session.currency || 'usd',
-            stripe_payment_intent: session.payment_intent
-          });
-          console.log('[WEBHOOK] Booking inserted for', sid);
-        } else {
-          console.log('[WEBHOOK] Booking already exists for', sid);
-        }
-        await supabase.from('slot_holds').delete().eq('slot_id', sid);
-        console.log('[WEBHOOK] Hold cleared for', sid);
-      }
+    var body = req.body || {};
+    var rink = findRink(body.rinkId);
+    if (!rink) return res.status(400).json({ error: 'Unknown rink', code: 'unknown_rink' });
 
-      // ---- Send confirmation emails ----
-      try {
-        const whenText = fmtWhen(start, end);
-        const amountText = fmtUSDFromCents(session.amount_total || 0);
+    // Contact + event details; field-level errors for the modal to show inline
+    var formResult = validateBookingForm(BOOKING_FORM, body, body.sessionId ? 'session' : 'rental');
+    if (formResult.error) return res.status(400).json(formResult);
+    var form = formResult.values;
+    if (body.sessionId) return await createSessionCheckout(body, rink, form, res);
+    var name = form.name;
+    var email = form.email;
+    var purpose = form.purpose;
 
-        if (email) {
-          const id1 = await sendBookingEmail({ to: email, whenText, amountText });
-          console.log('[MAIL] Confirmation sent to', email, 'id:', id1);
-        } else {
-          console.warn('[MAIL] No customer email in session metadata.');
-        }
+    var parsed = parseSegments(body, rink.id);
+    if (parsed.error) return res.status(400).json(parsed);
+    var segments = parsed.segments;
+    var mode = body.mode === 'custom' ? 'custom' : 'segments';
+    var portionResult = parsePortion(body, rink);
+    if (portionResult.error) return res.status(400).json(portionResult);
+    var portion = portionResult.portion;
+    if (mode === 'custom' && portion !== 'full') {
+      return res.status(400).json({ error: 'Custom-length bookings are full ice only', code: 'bad_portion' });
+    }
+    var addonResult = priceAddons(ADDONS, body.addons);
+    if (addonResult.error) return res.status(400).json(addonResult);
+    var addons = addonResult.addons;
 
-        if (ADMIN_EMAIL) {
-          const id2 = await sendBookingEmail({ to: ADMIN_EMAIL, whenText, amountText });
-          console.log('[MAIL] Admin copy sent to', ADMIN_EMAIL, 'id:', id2);
-        }
-      } catch (mailErr) {
-        console.error('[MAIL] Failed to send confirmation:', mailErr?.message || mailErr);
+    // Member rate or promo code; a code that can't be used is a form error
+    var picked = await pickDiscount(rink, segments, portion, email, body.promoCode);
+    if (picked.promo_error) {
+      return res.status(400).json({ error: 'Please fix the highlighted fields', code: 'invalid_fields', fields: { promoCode: picked.promo_error } });
+    }
+    var discount = picked.rule ? discountSnapshot(picked.rule, picked.line) : null;
+
+    // Claiming a waitlist offer: the ice is held for the customer, and that hold
+    // is handed to this checkout (claim_waitlist_offer, db/migrations/017)
+    var claim = null;
+    if (body.waitlistClaim) {
+      claim = await waitlistOfferFor(body.waitlistClaim);
+      if (!claim.error && (mode !== 'segments' || segments.length !== 1 ||
+          claim.entry.rink_id !== rink.id || claim.entry.offer_slot_id !== segments[0].slot_id)) {
+        claim = { status: 400, code: 'claim_mismatch', error: 'This waitlist offer is for a different time' };
       }
-    } catch (dbErr) {
-      console.error('[WEBHOOK] DB error:', dbErr);
+      if (claim.error) return res.status(claim.status).json({ error: claim.error, code: claim.code });
     }
-  }
 
-  res.json({ received: true });
-});
+    // Never trust the client's times: re-check them against what is offered right now
+    var unbookable;
+    try {
+      unbookable = await checkSegmentsBookable(rink, segments, mode);
+    } catch (e) {
+      console.error('[CHECKOUT] ICS fetch failed:', (e && e.message) ? e.message : e);
+      return res.status(502).json({ error: 'Could not verify availability right now', code: 'availability_unavailable' });
+    }
+    if (unbookable) {
+      console.warn('[CHECKOUT] Rejected', unbookable.code, segments[0].start.toISOString());
+      return res.status(unbookable.status).json({ error: unbookable.error, code: unbookable.code });
+    }
 
-app.listen(PORT, function () {
-  console.log('API listening on http://localhost:' + PORT);
+    // Bookings + live holds on this sheet around the requested time (resurfacing buffer included)
+    var pad = rink.segmentation.buffer_minutes * 60 * 1000;
+    var busyScope = {
+      rinkId: rink.id,
+      from: new Date(segments[0].start.getTime() - pad),
+      until: new Date(segments[segments.length - 1].end.getTime() + pad),
+      excludeHoldGroup: claim ? claim.entry.offer_hold_group : undefined
+    };
+
+    // Custom-length: one range, checked against the open windows + rules
+    if (mode === 'custom') {
+      if (segments.length !== 1) return res.status(400).json({ error: 'A custom booking covers one time range', code: 'bad_range' });
+      var openWindows;
+      try {
+        openWindows = subtractIntervals((await fetchAvailabilityWindows(rink)).windows, busyIntervalsFor(await fetchBusy(busyScope), rink));
+      } catch (e) {
+        console.error('[CHECKOUT] ICS fetch failed:', (e && e.message) ? e.message : e);
+        return res.status(502).json({ error: 'Could not verify availability right now', code: 'availability_unavailable' });
+      }
+      var problem = validateCustomRange(segments[0], openWindows, CUSTOM_RULES, TIMEZONE);
+      if (problem) {
+        console.warn('[CHECKOUT] Custom range rejected', problem.code);
+        return res.status(problem.code === 'not_available' ? 409 : 400).json(problem);
+      }
+    } else {
+      // Segments: no booking, live hold or resurfacing buffer may overlap the halves being taken
+      var rinkBusy = busyIntervalsFor(await fetchBusy(busyScope), rink);
+      var clash = segments.find(function (seg) {
+        return takenHalves(seg, rinkBusy).some(function (h) { return portionHalves(portion).indexOf(h) !== -1; });
+      });
+      if (clash) {
+        console.warn('[CHECKOUT] Overlaps a booking or hold', clash.start.toISOString());
+        return res.status(409).json({ error: 'Slot already booked', code: 'slot_taken' });
+      }
+    }
+
+    var ids = segments.map(function (seg) { return seg.slot_id; });
+    var start = segments[0].start.toISOString();
+    var end = segments[segments.length - 1].end.toISOString();
+    // One hold row per half being taken
+    var unitIds = segments.reduce(function (acc, seg) { return acc.concat(unitSlotIds(seg.slot_id, portion)); }, []);
+
+    console.log('[CHECKOUT] Start', { rink: rink.id, ids: ids, portion: portion, start: start, end: end, email: email });
+
+    var expiresAt = checkoutHoldExpiry();
+
+    // PRICE: every segment must be billable; one itemized quote for the cart
+    var unbillable = segments.some(function (seg) { return rink.pricing.priceIntervalCents(seg.start, seg.end) <= 0; });
+    var quote = rink.pricing.quoteRanges(segments, addonQuoteItems(addons).concat(picked.line ? [picked.line] : []), { portion: portion });
+    if (unbillable || !quote || quote.ice_cents <= 0) {
+      return res.status(400).json({ error: 'Selected slot is not billable.', code: 'not_billable' });
+    }
+
+    // HOLD: taken atomically before Stripe sees the order. acquire_slot_hold
+    // locks the sheet, re-checks every half against live holds and sold spans
+    // (buffer included) and add-on stock, and inserts all rows, or nothing
+    // (db/migrations/008, 014).
+    var holdGroup = crypto.randomUUID();
+    var holdArgs = {
+      p_rink_id: rink.id,
+      p_hold_group: holdGroup,
+      p_rows: iceHoldRows(segments, portion),
+      p_buffer_minutes: rink.segmentation.buffer_minutes,
+      p_customer_name: name,
+      p_customer_email: email,
+      p_expires_at: expiresAt,
+      p_addons: addons,
+      p_addon_limits: addonHoldLimits(ADDONS, addons)
+    };
+    var holdResp = claim
+      ? await supabase.rpc('claim_waitlist_offer', Object.assign({ p_offer_hold_group: claim.entry.offer_hold_group }, holdArgs))
+      : await supabase.rpc('acquire_slot_hold', holdArgs);
+    var soldOut = addonUnavailable(holdResp.error);
+    if (soldOut) {
+      console.warn('[CHECKOUT] Add-on refused', soldOut.error);
+      return res.status(409).json(soldOut);
+    }
+    if (holdResp.error) throw new Error((claim ? 'claim_waitlist_offer: ' : 'acquire_slot_hold: ') + holdResp.error.message);
+    if (!holdResp.data && claim) {
+      console.warn('[CHECKOUT] Waitlist claim refused', claim.entry.id);
+      return res.status(409).json({ error: 'This waitlist offer has expired or was claimed by someone else', code: 'offer_expired' });
+    }
+    if (!holdResp.data) {
+      console.warn('[CHECKOUT] Hold refused', ids);
+      return res.status(409).json({ error: 'One or more selected slots were just taken', code: 'slot_taken' });
+    }
+    // Gives the ice back when checkout can't go ahead; a claimed waitlist offer
+    // keeps it (the claim is settled only once the Stripe session exists)
+    function releaseHold() {
+      return claim
+        ? restoreWaitlistOffer(claim.entry, holdGroup)
+        : supabase.from('slot_holds').delete().eq('hold_group', holdGroup);
+    }
+
+    // Promo codes with a usage limit: one use is reserved for this checkout
+    if (discount && discount.source === 'code') {
+      var reserved;
+      try {
+        reserved = await reserveDiscountCode(picked.rule, email, holdGroup, discount.discount_cents, expiresAt);
+      } catch (e) {
+        await releaseHold();
+        throw e;
+      }
+      if (!reserved) {
+        await releaseHold();
+        return res.status(409).json({ error: 'Please fix the highlighted fields', code: 'invalid_fields', fields: { promoCode: 'That promo code has been used up' } });
+      }
+    }
+
+    var description = rink.name + ' • ' + fmtPortion(portion) + ' • ' + purpose + ' • ' + mergeSegments(segments).map(function (r) {
+      return new Date(r.start).toLocaleString() + ' – ' + new Date(r.end).toLocaleTimeString();
+    }).join('; ');
+
+    var session;
+    var coupon = null;
+    try {
+      // Stripe line items can't be negative: the discount is a single-use coupon
+      coupon = discount
+        ? await stripe.coupons.create({
+          amount_off: discount.discount_cents,
+          currency: quote.currency,
+          duration: 'once',
+          max_redemptions: 1,
+          name: discount.label.slice(0, 40)
+        })
+        : null;
+      session = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        payment_method_types: ['card'],
+        success_url: SUCCESS_URL + '?session_id={CHECKOUT_SESSION_ID}',
+        cancel_url: CANCEL_URL + '?hold=' + holdGroup,
+        expires_at: stripeExpiresAt(expiresAt),
+        customer_email: email,
+        line_items: quoteToStripeLineItems(quote, description),
+        discounts: coupon ? [{ coupon: coupon.id }] : undefined,
+        metadata: {
+          hold_group: holdGroup,
+          mode: mode,
+          rink_id: rink.id,
+          portion: portion,
+          slot_id: unitIds[0],
+          slot_ids: ids.join(','),
+          start: start,
+          end: end,
+          name: name,
+          email: email,
+          phone: form.phone,
+          purpose: purpose,
+          purpose_details: form.purpose_details || '',
+          group_size: String(form.group_size),
+          addons: addonsToMetadata(addons),
+          discount: discount ? JSON.stringify(discount) : ''
+        }
+      });
+    } catch (stripeErr) {
+      await discardCoupon(coupon);
+      await releaseHold();
+      await releaseDiscountReservation(holdGroup);
+      throw stripeErr;
+    }
+
+    await supabase.from('slot_holds').update({
+      checkout_session_id: session.id,
+      customer_phone: form.phone,
+      purpose: purpose,
+      purpose_details: form.purpose_details,
+      group_size: form.group_size
+    }).eq('hold_group', holdGroup);
+    if (claim) await settleWaitlistClaim(claim.entry);
+    offerWhenHoldLapses(rink, start, end, expiresAt);
+
+    console.log('[CHECKOUT] Session created', session.id, 'segments:', ids.length, discount ? 'discount: ' + discount.code : '');
+    res.json({ url: session.url });
+  } catch (err) {
+    console.error('[CHECKOUT] Error:', err);
+    res.status(500).json({ error: 'Failed to create checkout session' });
+  }
+});
+
+// Ticketed-session checkout: `quantity` seats at the per-person price. Seats
+// are reserved by hold_session_seats() (capacity checked under a row lock)
+// and count as sold once the webhook confirms payment. form: validated contact fields.
+async function createSessionCheckout(body, rink, form, res) {
+  var session;
+  try {
+    session = await findSession(rink, body.sessionId);
+  } catch (e) {
+    console.error('[CHECKOUT] ICS fetch failed:', (e && e.message) ? e.message : e);
+    return res.status(502).json({ error: 'Could not verify availability right now' });
+  }
+  if (!session || session.start <= new Date()) {
+    return res.status(404).json({ error: 'Session not found or already started', code: 'unknown_session' });
+  }
+  if (session.closure) {
+    return res.status(409).json({ error: 'The rink is closed at that time (' + session.closure.rule.label + ')', code: 'blacked_out' });
+  }
+  var qty = parseQuantity(body.quantity, session.type);
+  if (qty.error) return res.status(400).json(qty);
+  var quantity = qty.quantity;
+
+  console.log('[CHECKOUT] Session start', { rink: rink.id, session: session.id, type: session.type.id, quantity: quantity, email: form.email });
+
+  var expiresAt = checkoutHoldExpiry();
+
+  var holdResp = await supabase.rpc('hold_session_seats', {
+    p_session_id: session.id,
+    p_rink_id: rink.id,
+    p_session_type: session.type.id,
+    p_start: session.start.toISOString(),
+    p_end: session.end.toISOString(),
+    p_capacity: session.type.capacity,
+    p_quantity: quantity,
+    p_customer_name: form.name,
+    p_customer_email: form.email,
+    p_expires_at: expiresAt
+  });
+  if (holdResp.error) throw new Error('hold_session_seats: ' + holdResp.error.message);
+  if (!holdResp.data) {
+    console.warn('[CHECKOUT] Not enough seats', session.id, quantity);
+    return res.status(409).json({ error: 'Not enough spots left in this session', code: 'sold_out' });
+  }
+  var holdId = holdResp.data;
+
+  var checkout;
+  try {
+    checkout = await stripe.checkout.sessions.create({
+      mode: 'payment',
+      payment_method_types: ['card'],
+      success_url: SUCCESS_URL + '?session_id={CHECKOUT_SESSION_ID}',
+      cancel_url: CANCEL_URL + '?hold=' + holdId,
+      expires_at: stripeExpiresAt(expiresAt),
+      customer_email: form.email,
+      line_items: [{
+        price_data: {
+          currency: 'usd',
+          product_data: {
+            name: session.type.name,
+            description: rink.name + ' • ' + fmtWhen(session.start, session.end)
+          },
+          unit_amount: session.type.price_cents
+        },
+        quantity: quantity
+      }],
+      metadata: {
+        kind: 'session',
+        session_id: session.id,
+        session_hold: holdId,
+        session_type: session.type.id,
+        rink_id: rink.id,
+        quantity: String(quantity),
+        start: session.start.toISOString(),
+        end: session.end.toISOString(),
+        name: form.name,
+        email: form.email,
+        phone: form.phone
+      }
+    });
+  } catch (stripeErr) {
+    await supabase.from('session_holds').delete().eq('id', holdId);
+    throw stripeErr;
+  }
+
+  await supabase.from('session_holds').update({ checkout_session_id: checkout.id, customer_phone: form.phone }).eq('id', holdId);
+
+  console.log('[CHECKOUT] Session created', checkout.id, 'seats:', quantity);
+  res.json({ url: checkout.url });
+}
+
+// Confirmation-style email (customer + admin copy) about a booking row.
+// options: { subject, heading, closing, adminOnly } — see sendBookingEmail —
+// plus calendar (attach an .ics of the booking) and amountCents (shown instead of amount_cents).
+async function sendBookingNotice(booking, options) {
+  var opts = options || {};
+  try {
+    var rink = findRink(booking.rink_id);
+    var rinkName = rink ? rink.name : booking.rink_id;
+    var whenText;
+    var whereText;
+    var ranges;
+    if (booking.kind === 'session') {
+      var type = SESSION_TYPES.find(function (t) { return t.id === booking.session_type; });
+      ranges = [{ start: booking.start_ts, end: booking.end_ts }];
+      whenText = fmtWhen(booking.start_ts, booking.end_ts);
+      whereText = 'Wings Arena — ' + rinkName + ', ' + (type ? type.name : 'Session') + ' × ' + booking.quantity;
+    } else {
+      var parts = (booking.segments && booking.segments.length) ? booking.segments : [{ start: booking.start_ts, end: booking.end_ts }];
+      ranges = mergeSegments(parts);
+      whenText = ranges.map(function (r) { return fmtWhen(r.start, r.end); }).join('; ');
+      whereText = 'Wings Arena — ' + rinkName + ', ' + fmtPortion(booking.ice_portion);
+      if (booking.addons && booking.addons.length) whereText += ' (with ' + describeAddons(booking.addons) + ')';
+    }
+    var mail = {
+      whenText: whenText,
+      whereText: whereText,
+      amountText: fmtUSDFromCents(opts.amountCents !== undefined ? opts.amountCents : (booking.amount_cents || 0)),
+      subject: opts.subject,
+      heading: opts.heading,
+      closing: opts.closing,
+      calendar: opts.calendar && booking.id
+        ? bookingCalendar({ uid: 'booking-' + booking.id, ranges: ranges, summary: 'Wings Arena — Ice Time', description: whereText, location: 'Wings Arena' })
+        : undefined
+    };
+
+    if (booking.customer_email && !opts.adminOnly) {
+      // Paid bookings can be managed (cancelled/rescheduled) by the customer from the email
+      var manageUrl = (manageLinks && booking.id && booking.status === 'confirmed') ? manageLinks.urlFor(booking.id) : undefined;
+      var id1 = await sendBookingEmail(Object.assign({ to: booking.customer_email, manageUrl: manageUrl }, mail));
+      console.log('[MAIL] ' + (opts.subject || 'Confirmation') + ' sent to', booking.customer_email, 'id:', id1);
+    } else if (!opts.adminOnly) {
+      console.warn('[MAIL] No customer email on booking.');
+    }
+    if (ADMIN_EMAIL) {
+      var id2 = await sendBookingEmail(Object.assign({ to: ADMIN_EMAIL }, mail));
+      console.log('[MAIL] Admin copy sent to', ADMIN_EMAIL, 'id:', id2);
+    }
+  } catch (mailErr) {
+    console.error('[MAIL] Failed to send:', mailErr?.message || mailErr);
+  }
+}
+
+// Delayed payment methods (bank debits) complete checkout unpaid; the booking
+// holds its ice/seats as pending until async_payment_succeeded/failed.
+function statusForCheckout(session) {
+  return session.payment_status === 'unpaid' ? 'pending' : 'confirmed';
+}
+
+// Completed ticketed-session checkout: held seats become sold, booking recorded,
+// emails sent once paid
+async function completeSessionCheckout(session, md, ctx) {
+  var booking = {
+    kind: 'session',
+    status: statusForCheckout(session),
+    rink_id: md.rink_id || DEFAULT_RINK_ID,
+    session_id: md.session_id,
+    session_type: md.session_type,
+    quantity: Number(md.quantity) || 1,
+    slot_id: 'session:' + md.session_hold,
+    slot_ids: [],
+    start_ts: new Date(md.start).toISOString(),
+    end_ts: new Date(md.end).toISOString(),
+    customer_name: md.name,
+    customer_email: md.email,
+    customer_phone: md.phone || null,
+    amount_cents: session.amount_total || 0,
+    currency: session.currency || 'usd',
+    stripe_payment_intent: session.payment_intent
+  };
+
+  if (supabase) {
+    var existing = await supabase.from('bookings').select('id').eq('slot_id', booking.slot_id).maybeSingle();
+    if (existing.error) throw new Error('bookings lookup: ' + existing.error.message);
+    if (existing.data) {
+      console.log('[WEBHOOK] Session booking already exists for hold', md.session_hold);
+      return;
+    }
+    // null = a previous attempt already moved the seats; the booking row still needs writing
+    var confirmed = await supabase.rpc('confirm_session_seats', { p_hold_id: md.session_hold });
+    if (confirmed.error) throw new Error('confirm_session_seats: ' + confirmed.error.message);
+    if (confirmed.data === null) console.log('[WEBHOOK] Seats already confirmed for hold', md.session_hold);
+    var ins = await supabase.from('bookings').insert(booking).select('*').single();
+    if (ins.error) throw new Error('bookings insert: ' + ins.error.message);
+    await lifecycle.recordCreated(ins.data, ctx);
+    booking = ins.data;
+    console.log('[WEBHOOK] Session booking inserted for', md.session_id, 'seats:', booking.quantity, booking.status);
+  }
+
+  if (booking.status === 'confirmed') await sendBookingNotice(booking);
+}
+
+// Discount snapshot from checkout metadata (see lib/discounts.js), or null
+function parseDiscountMetadata(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.warn('[WEBHOOK] Unreadable discount metadata', value);
+    return null;
+  }
+}
+
+// Completed ice checkout: booking recorded from the held rows, holds cleared,
+// emails sent once paid
+async function completeRentalCheckout(session, md, ctx) {
+  var sid = md.slot_id;
+  var portion = md.portion || 'full';
+  var segments = [{ slot_id: baseSlotId(sid), start: md.start, end: md.end }];
+  // sessions from before half ice hold the bare segment id
+  var ids = md.portion ? unitSlotIds(baseSlotId(sid), portion) : [sid];
+  // Priced at checkout; repriced from the catalog only if the holds are gone
+  var addons = addonsFromMetadata(ADDONS, md.addons);
+
+  // Cart checkouts: the held rows (one per half) carry each segment's times
+  if (supabase && md.hold_group) {
+    var heldResp = await supabase
+      .from('slot_holds')
+      .select('slot_id, start_ts, end_ts, addons')
+      .eq('hold_group', md.hold_group)
+      .order('start_ts', { ascending: true });
+    if (heldResp.data && heldResp.data.length) {
+      ids = heldResp.data.map(function (h) { return h.slot_id; });
+      addons = heldResp.data[0].addons || addons;
+      segments = [];
+      heldResp.data.forEach(function (h) {
+        var base = baseSlotId(h.slot_id);
+        if (!segments.some(function (seg) { return seg.slot_id === base; })) {
+          segments.push({ slot_id: base, start: h.start_ts, end: h.end_ts });
+        }
+      });
+    } else if (md.slot_ids && md.slot_ids.indexOf(',') !== -1) {
+      console.warn('[WEBHOOK] Holds for', md.hold_group, 'are gone; recording overall range only');
+    }
+  }
+
+  var booking = {
+    kind: 'rental',
+    status: statusForCheckout(session),
+    rink_id: md.rink_id || DEFAULT_RINK_ID,
+    ice_portion: portion,
+    slot_id: sid,
+    slot_ids: ids,
+    segments: segments.map(function (seg) {
+      return { slot_id: seg.slot_id, start: new Date(seg.start).toISOString(), end: new Date(seg.end).toISOString() };
+    }),
+    start_ts: new Date(md.start).toISOString(),
+    end_ts: new Date(md.end).toISOString(),
+    customer_name: md.name,
+    customer_email: md.email,
+    customer_phone: md.phone || null,
+    purpose: md.purpose || null,
+    purpose_details: md.purpose_details || null,
+    group_size: md.group_size ? Number(md.group_size) : null,
+    addons: addons,
+    discount: parseDiscountMetadata(md.discount),
+    amount_cents: session.amount_total || 0,
+    currency: session.currency || 'usd',
+    stripe_payment_intent: session.payment_intent
+  };
+
+  if (supabase) {
+    // Same slot + same payment = a redelivery; a cancelled booking's slot may be sold again
+    var existing = await supabase.from('bookings').select('slot_id')
+      .eq('slot_id', sid)
+      .eq('stripe_payment_intent', session.payment_intent)
+      .maybeSingle();
+    if (existing.error) throw new Error('bookings lookup: ' + existing.error.message);
+    if (existing.data) {
+      console.log('[WEBHOOK] Booking already exists for', sid);
+      booking = null;
+    } else {
+      var ins = await supabase.from('bookings').insert(booking).select('*').single();
+      if (ins.error && ins.error.code === '23P01') {
+        // booking_spans exclusion constraint: the time was sold to someone else meanwhile
+        console.error('[WEBHOOK] Booking overlaps an existing one; refunding', sid, session.payment_intent);
+        var refunded = true;
+        try {
+          await stripe.refunds.create({ payment_intent: session.payment_intent }, { idempotencyKey: 'overlap-refund-' + session.id });
+        } catch (err) {
+          refunded = false;
+          console.error('[WEBHOOK] Overlap refund failed for', session.payment_intent, err && err.message ? err.message : err);
+          await sendBookingNotice(booking, {
+            adminOnly: true,
+            subject: 'Wings Arena — Overlap Refund Failed',
+            heading: 'This time was already booked when the payment came in, but refunding ' + fmtUSDFromCents(booking.amount_cents) +
+              ' (' + session.payment_intent + ') failed. Please refund it by hand.',
+            closing: ''
+          });
+        }
+        if (md.hold_group) await releaseDiscountReservation(md.hold_group);
+        await sendBookingNotice(booking, {
+          subject: 'Wings Arena — Booking Not Completed',
+          heading: 'Someone else booked this time just before your payment went through, so we could not confirm it. ' +
+            (refunded ? 'The ' + fmtUSDFromCents(booking.amount_cents) + ' you paid has been refunded.' : 'We will refund the ' + fmtUSDFromCents(booking.amount_cents) + ' you paid.'),
+          closing: 'Please contact us if you still need ice time.'
+        });
+        booking = null;
+      } else if (ins.error) {
+        throw new Error('bookings insert: ' + ins.error.message);
+      } else {
+        await lifecycle.recordCreated(ins.data, ctx);
+        booking = ins.data;
+        console.log('[WEBHOOK] Booking inserted for', sid, 'segments:', ids.length, booking.status);
+        if (booking.discount && booking.discount.source === 'code' && md.hold_group) {
+          // The reserved promo code use is now spent
+          var redeemed = await supabase.from('discount_redemptions')
+            .update({ booking_id: String(booking.id), expires_at: null })
+            .eq('hold_group', md.hold_group);
+          if (redeemed.error) throw new Error('discount_redemptions: ' + redeemed.error.message);
+        }
+      }
+    }
+    if (md.hold_group) {
+      await supabase.from('slot_holds').delete().eq('hold_group', md.hold_group);
+    } else {
+      await supabase.from('slot_holds').delete().eq('slot_id', sid);
+    }
+    console.log('[WEBHOOK] Hold cleared for', sid);
+  }
+
+  if (booking && booking.status === 'confirmed') await sendBookingNotice(booking);
+}
+
+// Paid reschedule difference: move the booking to the held time. If that is no
+// longer possible (the booking changed meanwhile, the time was lost) the
+// payment is refunded in full and the booking stays as it was.
+async function completeRescheduleCheckout(session, md, ctx) {
+  if (!lifecycle) return;
+  var payment = { payment_intent: session.payment_intent, amount_cents: session.amount_total || 0 };
+  var done = await supabase.from('bookings').select('id')
+    .eq('rescheduled_from', md.booking_id)
+    .contains('extra_payments', [{ payment_intent: payment.payment_intent }])
+    .limit(1);
+  if (done.error) throw new Error('bookings lookup: ' + done.error.message);
+  if (done.data && done.data.length) {
+    console.log('[WEBHOOK] Booking', md.booking_id, 'already rescheduled as', done.data[0].id);
+    return;
+  }
+
+  var found = await supabase.from('bookings').select('*').eq('id', md.booking_id).maybeSingle();
+  if (found.error) throw new Error('bookings lookup: ' + found.error.message);
+  var heldResp = await supabase
+    .from('slot_holds')
+    .select('slot_id, start_ts, end_ts')
+    .eq('hold_group', md.hold_group)
+    .order('start_ts', { ascending: true });
+  var segments = [];
+  (heldResp.data || []).forEach(function (h) {
+    var base = baseSlotId(h.slot_id);
+    if (!segments.some(function (seg) { return seg.slot_id === base; })) segments.push({ slot_id: base, start: h.start_ts, end: h.end_ts });
+  });
+  if (!segments.length) {
+    console.warn('[WEBHOOK] Holds for', md.hold_group, 'are gone; moving to the overall range');
+    segments = [{ slot_id: slotId(new Date(md.start), new Date(md.end), md.rink_id), start: md.start, end: md.end }];
+  }
+
+  var result = found.data
+    ? await moveBooking(found.data, segments, md.portion || 'full', md.hold_group, Object.assign({ reason: 'customer_rescheduled' }, ctx), payment, 0)
+    : { error: 'Booking not found', code: 'not_found' };
+  if (!result.error) {
+    console.log('[WEBHOOK] Booking', md.booking_id, 'rescheduled as', result.booking.id);
+    return;
+  }
+
+  console.error('[WEBHOOK] Reschedule of', md.booking_id, 'failed (' + result.code + '); refunding', payment.payment_intent);
+  await stripe.refunds.create({ payment_intent: payment.payment_intent }, { idempotencyKey: 'reschedule-void-' + session.id });
+  await supabase.from('slot_holds').delete().eq('hold_group', md.hold_group);
+  if (found.data) {
+    await sendBookingNotice(found.data, {
+      subject: 'Wings Arena — Reschedule Not Completed',
+      heading: 'We could not move your booking to the new time, so the ' + fmtUSDFromCents(payment.amount_cents) + ' you just paid has been refunded.',
+      closing: 'Please contact us if you still need a different time.',
+      amountCents: payment.amount_cents
+    });
+  }
+}
+
+// Move the bookings paid by a PaymentIntent to `to` (those that may); returns the moved rows
+async function transitionPayment(paymentIntent, to, ctx, patch) {
+  if (!lifecycle) return [];
+  var rows = await lifecycle.transitionByPaymentIntent(paymentIntent, to, ctx, patch);
+  console.log('[WEBHOOK] ' + rows.length + ' booking(s) → ' + to + ' for', paymentIntent);
+  return rows;
+}
+
+// checkout.session.expired: the customer never paid; free the hold now
+async function releaseExpiredCheckout(session) {
+  var md = session.metadata || {};
+  if (!supabase) return;
+  if (md.kind === 'session') {
+    await supabase.from('session_holds').delete().eq('id', md.session_hold);
+  } else if (md.hold_group) {
+    await releaseIceHold(md.hold_group);
+    await releaseDiscountReservation(md.hold_group);
+    if (md.kind === 'series') {
+      await supabase.from('booking_series')
+        .update({ status: 'expired', updated_at: new Date().toISOString() })
+        .eq('id', md.series_id)
+        .eq('status', 'pending');
+    }
+  } else if (md.slot_id) {
+    await supabase.from('slot_holds').delete().eq('slot_id', md.slot_id);
+  }
+  console.log('[WEBHOOK] Expired checkout released', session.id);
+}
+
+// checkout.session.async_payment_succeeded / _failed for a pending booking
+async function settleAsyncPayment(session, succeeded, ctx) {
+  if (succeeded) {
+    var paid = await transitionPayment(session.payment_intent, 'confirmed', ctx);
+    for (var i = 0; i < paid.length; i++) await sendBookingNotice(paid[i]);
+    return;
+  }
+  var failed = await transitionPayment(session.payment_intent, 'cancelled', Object.assign({ reason: 'payment_failed' }, ctx));
+  for (var k = 0; k < failed.length; k++) {
+    await sendBookingNotice(failed[k], {
+      subject: 'Wings Arena — Payment Failed',
+      heading: 'Your payment did not go through, so this booking has been released.',
+      closing: 'You are welcome to book again at any time.'
+    });
+  }
+}
+
+// Live bookings a PaymentIntent paid for, as their original payment or a
+// reschedule top-up (extra_payments); rows rescheduled away are left out
+async function bookingsPaidBy(paymentIntent) {
+  var primary = await supabase.from('bookings').select('*').eq('stripe_payment_intent', paymentIntent);
+  if (primary.error) throw new Error('bookings: ' + primary.error.message);
+  var topUps = await supabase.from('bookings').select('*').contains('extra_payments', [{ payment_intent: paymentIntent }]);
+  if (topUps.error) throw new Error('bookings: ' + topUps.error.message);
+  var seen = new Set();
+  return primary.data.concat(topUps.data).filter(function (b) {
+    if (seen.has(b.id) || b.status === 'rescheduled') return false;
+    seen.add(b.id);
+    return true;
+  });
+}
+
+// charge.refunded: the refund is recorded against the payment it came from; a
+// booking whose payments are refunded in full is released
+async function handleChargeRefunded(charge, ctx) {
+  if (!supabase) return;
+  var latestRefund = charge.refunds && charge.refunds.data && charge.refunds.data[0];
+  var refundCtx = Object.assign({
+    reason: 'charge_refunded',
+    stripe_payment_intent: charge.payment_intent,
+    stripe_refund_id: latestRefund ? latestRefund.id : null
+  }, ctx);
+  var bookings = await bookingsPaidBy(charge.payment_intent);
+  var refunded = [];
+  for (var i = 0; i < bookings.length; i++) {
+    var b = bookings[i];
+    if (b.series_id) {
+      // Series occurrences share one payment: a partial refund is recorded by
+      // whoever issued it; a full one refunds every date
+      if (!charge.refunded || !canTransition(b.status, 'refunded')) continue;
+      var whole = await lifecycle.transition(b.id, 'refunded', refundCtx, { refunded_cents: b.amount_cents });
+      if (whole.booking) refunded.push(whole.booking);
+      continue;
+    }
+    // This payment's refunded total; fully refunded once all its payments add up
+    var rec = await supabase.rpc('record_payment_refund', {
+      p_booking_id: String(b.id),
+      p_payment_intent: charge.payment_intent,
+      p_refunded_cents: charge.amount_refunded
+    });
+    if (rec.error) throw new Error('record_payment_refund: ' + rec.error.message);
+    var row = (rec.data || [])[0];
+    if (!row) continue;
+    console.log('[WEBHOOK] Refund recorded for booking', row.id, charge.payment_intent, charge.amount_refunded, 'total', row.refunded_cents);
+    if (row.refunded_cents < (row.amount_cents || 0) || !canTransition(row.status, 'refunded')) continue;
+    var moved = await lifecycle.transition(row.id, 'refunded', refundCtx);
+    if (moved.booking) refunded.push(moved.booking);
+  }
+  for (var k = 0; k < refunded.length; k++) {
+    await sendBookingNotice(refunded[k], {
+      subject: 'Wings Arena — Booking Refunded',
+      heading: 'Your booking has been cancelled and refunded.',
+      closing: 'Refunds usually reach your account within 5–10 business days.'
+    });
+  }
+}
+
+// charge.dispute.created: flag the booking and tell the front desk; the ice stays booked
+async function handleDisputeCreated(dispute, ctx) {
+  if (!lifecycle || !dispute.payment_intent) return;
+  // The disputed payment may be the booking's original one or a reschedule top-up
+  var paidBy = await bookingsPaidBy(dispute.payment_intent);
+  var disputeCtx = Object.assign({ reason: dispute.reason || null, stripe_payment_intent: dispute.payment_intent }, ctx);
+  for (var i = 0; i < paidBy.length; i++) {
+    if (!canTransition(paidBy[i].status, 'disputed')) continue;
+    var result = await lifecycle.transition(paidBy[i].id, 'disputed', disputeCtx);
+    if (!result.booking) continue;
+    var topUp = paidBy[i].stripe_payment_intent !== dispute.payment_intent;
+    console.log('[WEBHOOK] Booking', result.booking.id, '→ disputed for', dispute.payment_intent, topUp ? '(top-up)' : '');
+    await sendBookingNotice(result.booking, {
+      adminOnly: true,
+      subject: 'Wings Arena — Payment Disputed',
+      heading: 'A customer opened a dispute (' + (dispute.reason || 'no reason given') + ') for ' +
+        (topUp ? 'a reschedule top-up payment on ' : '') + 'this booking.',
+      closing: ''
+    });
+  }
+}
+
+// Delete an ice hold group and offer the ice it frees to the waitlist at once
+async function releaseIceHold(holdGroup) {
+  var rows = await supabase.from('slot_holds').select('rink_id, start_ts, end_ts').eq('hold_group', holdGroup);
+  if (rows.error) throw new Error('slot_holds: ' + rows.error.message);
+  await supabase.from('slot_holds').delete().eq('hold_group', holdGroup);
+  if (!rows.data.length) return;
+  var rink = findRink(rows.data[0].rink_id || DEFAULT_RINK_ID);
+  if (!rink) return;
+  var from = new Date(Math.min.apply(null, rows.data.map(function (r) { return new Date(r.start_ts).getTime(); })));
+  var until = new Date(Math.max.apply(null, rows.data.map(function (r) { return new Date(r.end_ts).getTime(); })));
+  await offerOpenIce(rink, from, until);
+}
+
+// DELETE /api/holds/:id — release an abandoned checkout right away (the cancel page
+// calls this with the ?hold= Stripe sends back). :id is an ice hold group or a
+// session seat hold. The Stripe session is expired first so it can't be paid later.
+app.delete('/api/holds/:id', async function (req, res) {
+  if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+  var id = String(req.params.id || '');
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+    return res.status(400).json({ error: 'Invalid hold id', code: 'bad_hold' });
+  }
+  try {
+    var iceResp = await supabase.from('slot_holds').select('checkout_session_id').eq('hold_group', id).limit(1);
+    var seatResp = await supabase.from('session_holds').select('checkout_session_id').eq('id', id).limit(1);
+    if (iceResp.error || seatResp.error) throw new Error((iceResp.error || seatResp.error).message);
+    var held = (iceResp.data || []).concat(seatResp.data || [])[0];
+    if (!held) return res.status(404).json({ error: 'Hold not found or already released', code: 'unknown_hold' });
+
+    if (held.checkout_session_id && stripe) {
+      var checkout = await stripe.checkout.sessions.retrieve(held.checkout_session_id);
+      if (checkout.status === 'complete') {
+        return res.status(409).json({ error: 'This checkout has already been paid', code: 'already_paid' });
+      }
+      if (checkout.status === 'open') await stripe.checkout.sessions.expire(checkout.id);
+    }
+
+    if ((iceResp.data || []).length) {
+      await releaseIceHold(id);
+      await releaseDiscountReservation(id);
+    } else {
+      await supabase.from('session_holds').delete().eq('id', id);
+    }
+    console.log('[HOLD] Released', id);
+    res.json({ released: true });
+  } catch (err) {
+    console.error('[HOLD] Release failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Failed to release hold' });
+  }
+});
+
+/* =========================
+   MANAGE BOOKING (customer self-service)
+   =========================
+   Reached through the signed link in the confirmation email (lib/manageLinks.js).
+   Cancelling applies REFUND_POLICY (config/refund_policy.json), refunds through
+   Stripe and gives the ice/seats back via the booking lifecycle. Rescheduling
+   moves a rental to another open time on its sheet; the price difference is
+   charged (Stripe Checkout) or refunded.
+*/
+
+// Refund `cents` of a booking through Stripe, split over its payments (see
+// refundAllocation); keyPrefix keeps a retried refund from being issued twice.
+// Returns the Stripe refund ids.
+async function refundBooking(booking, cents, keyPrefix) {
+  var parts = refundAllocation(booking, cents);
+  var ids = [];
+  for (var i = 0; i < parts.length; i++) {
+    var refund = await stripe.refunds.create(
+      { payment_intent: parts[i].payment_intent, amount: parts[i].amount_cents, metadata: { booking_id: String(booking.id) } },
+      { idempotencyKey: keyPrefix + '-' + parts[i].payment_intent }
+    );
+    ids.push(refund.id);
+  }
+  return ids;
+}
+
+// Booking a manage token points at; otherwise answers the request and returns null
+async function bookingForToken(req, res) {
+  if (!lifecycle || !manageLinks) {
+    res.status(503).json({ error: 'Online booking management is not available', code: 'manage_disabled' });
+    return null;
+  }
+  var id = manageLinks.verify(req.params.token);
+  var found = id ? await supabase.from('bookings').select('*').eq('id', id).maybeSingle() : { data: null };
+  if (found.error) throw new Error('bookings: ' + found.error.message);
+  if (!found.data) {
+    res.status(404).json({ error: 'This link is not valid', code: 'bad_token' });
+    return null;
+  }
+  return found.data;
+}
+
+// Whether the customer may cancel now, and what it would refund
+function cancellationFor(booking, now) {
+  if (booking.status !== 'confirmed') {
+    return { allowed: false, code: 'not_cancellable', error: 'This booking is ' + booking.status.replace('_', ' ') };
+  }
+  if (new Date(booking.start_ts) <= now) {
+    return { allowed: false, code: 'already_started', error: 'This booking has already started' };
+  }
+  // Paid by a series payment plan: there is no payment of its own to refund
+  if (booking.series_id && !booking.stripe_payment_intent) {
+    return { allowed: false, code: 'series_payment_plan', error: 'This date is part of a series on a payment plan; please call us to cancel' };
+  }
+  return Object.assign({ allowed: true }, refundForCancellation(REFUND_POLICY, booking, now));
+}
+
+// What the manage page shows (no payment ids)
+function manageView(booking) {
+  var rink = findRink(booking.rink_id);
+  var type = booking.kind === 'session'
+    ? SESSION_TYPES.find(function (t) { return t.id === booking.session_type; })
+    : null;
+  return {
+    id: booking.id,
+    kind: booking.kind,
+    status: booking.status,
+    rink_id: booking.rink_id,
+    rink_name: rink ? rink.name : booking.rink_id,
+    ice_portion: booking.ice_portion || null,
+    session_name: type ? type.name : null,
+    quantity: booking.quantity || null,
+    start: booking.start_ts,
+    end: booking.end_ts,
+    segments: booking.segments || [],
+    customer_name: booking.customer_name,
+    purpose: booking.purpose || null,
+    group_size: booking.group_size || null,
+    addons: booking.addons || [],
+    discount: booking.discount ? { label: booking.discount.label, discount_cents: booking.discount.discount_cents } : null,
+    amount_cents: booking.amount_cents || 0,
+    refunded_cents: booking.refunded_cents || 0,
+    currency: booking.currency || 'usd'
+  };
+}
+
+// GET /api/manage/:token — the booking, what cancelling it now would refund and
+// whether it can be rescheduled
+app.get('/api/manage/:token', async function (req, res) {
+  try {
+    var booking = await bookingForToken(req, res);
+    if (!booking) return;
+    var blocker = rescheduleBlocker(booking, new Date());
+    // A rescheduled booking points the customer at its replacement
+    var replacement = null;
+    if (booking.status === 'rescheduled') {
+      var next = await supabase.from('bookings').select('id').eq('rescheduled_from', String(booking.id)).limit(1);
+      if (next.error) throw new Error('bookings: ' + next.error.message);
+      if (next.data && next.data.length) replacement = manageLinks.tokenFor(next.data[0].id);
+    }
+    res.json({
+      booking: manageView(booking),
+      cancellation: cancellationFor(booking, new Date()),
+      reschedule: blocker ? Object.assign({ allowed: false }, blocker) : { allowed: true },
+      replacement_token: replacement,
+      refund_policy: REFUND_POLICY
+    });
+  } catch (err) {
+    console.error('[MANAGE] Lookup failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Could not load booking' });
+  }
+});
+
+// POST /api/manage/:token/cancel — cancel under the refund policy
+app.post('/api/manage/:token/cancel', async function (req, res) {
+  try {
+    var booking = await bookingForToken(req, res);
+    if (!booking) return;
+    var policy = cancellationFor(booking, new Date());
+    if (!policy.allowed) return res.status(409).json({ error: policy.error, code: policy.code });
+
+    var ctx = { actor: 'customer', reason: 'customer_cancelled' };
+    var refunding = policy.refund_cents > 0 && booking.stripe_payment_intent;
+    if (refunding && !stripe) return res.status(500).json({ error: 'Stripe not configured' });
+    // Cancelled first: money only goes back for a cancellation that took effect
+    var result = await lifecycle.transition(booking.id, 'cancelled', ctx);
+    if (result.error) return res.status(409).json(result);
+
+    var refundFailed = false;
+    if (refunding) {
+      try {
+        var refundIds = await refundBooking(booking, policy.refund_cents, 'cancel-refund-' + booking.id);
+        var refundedCents = (booking.refunded_cents || 0) + policy.refund_cents;
+        // Nothing left of the payment → refunded (charge.refunded then has nothing to move)
+        var full = booking.amount_cents > 0 && refundedCents >= booking.amount_cents
+          ? await lifecycle.transition(booking.id, 'refunded', Object.assign({}, ctx, { stripe_refund_id: refundIds.join(',') }), { refunded_cents: refundedCents })
+          : {};
+        if (full.booking) {
+          result = full;
+        } else {
+          // charge.refunded may have recorded it already; the total only goes up
+          var upd = await supabase.from('bookings').update({ refunded_cents: refundedCents })
+            .eq('id', booking.id).lt('refunded_cents', refundedCents).select('*');
+          if (upd.error) throw new Error('bookings refund: ' + upd.error.message);
+          if (upd.data.length) result = { booking: upd.data[0] };
+        }
+      } catch (err) {
+        refundFailed = true;
+        console.error('[MANAGE] Cancel refund failed for', booking.id, err && err.message ? err.message : err);
+        await sendBookingNotice(result.booking, {
+          adminOnly: true,
+          subject: 'Wings Arena — Cancellation Refund Failed',
+          heading: 'This booking was cancelled by the customer, but refunding ' + fmtUSDFromCents(policy.refund_cents) + ' failed. Please refund it by hand.',
+          closing: ''
+        });
+      }
+    }
+
+    console.log('[MANAGE] Booking', booking.id, 'cancelled by customer; refund', policy.refund_cents, refundFailed ? '(FAILED)' : '');
+    await sendBookingNotice(result.booking, {
+      subject: 'Wings Arena — Booking Cancelled',
+      heading: 'Your booking has been cancelled.',
+      closing: policy.refund_cents > 0
+        ? (refundFailed
+          ? 'Your refund of ' + fmtUSDFromCents(policy.refund_cents) + ' could not be sent automatically; our staff will issue it shortly.'
+          : 'A refund of ' + fmtUSDFromCents(policy.refund_cents) + ' is on its way; it usually reaches your account within 5–10 business days.')
+        : 'Under our cancellation policy this cancellation is not eligible for a refund.'
+    });
+    res.json({ booking: manageView(result.booking), refund_cents: policy.refund_cents });
+  } catch (err) {
+    console.error('[MANAGE] Cancel failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Could not cancel booking' });
+  }
+});
+
+// Why a booking can't be moved online right now, or null
+function rescheduleBlocker(booking, now) {
+  if (booking.kind === 'session') {
+    return { code: 'not_reschedulable', error: 'Ticketed sessions cannot be moved online; please call us' };
+  }
+  if (booking.series_id) {
+    return { code: 'not_reschedulable', error: 'Dates in a series are moved by our staff; please call us' };
+  }
+  if (booking.status !== 'confirmed') {
+    return { code: 'not_reschedulable', error: 'This booking is ' + booking.status.replace('_', ' ') };
+  }
+  if (new Date(booking.start_ts) <= now) {
+    return { code: 'already_started', error: 'This booking has already started' };
+  }
+  return null;
+}
+
+// Check a move of `booking` to body.segments (same sheet and ice portion) and price it.
+// → { rink, segments, portion, quote, paid_cents, difference_cents } or { status, code, error }
+async function planReschedule(booking, body) {
+  var blocker = rescheduleBlocker(booking, new Date());
+  if (blocker) return Object.assign({ status: 409 }, blocker);
+  var rink = findRink(booking.rink_id);
+  if (!rink) return { status: 409, code: 'not_reschedulable', error: 'This rink cannot be booked online right now' };
+
+  var parsed = parseSegments(body, rink.id);
+  if (parsed.error) return Object.assign({ status: 400 }, parsed);
+  var segments = parsed.segments;
+  var portion = booking.ice_portion || 'full';
+  var current = (booking.segments && booking.segments.length) ? booking.segments : [{ start: booking.start_ts, end: booking.end_ts }];
+  var sameTime = current.length === segments.length && segments.every(function (seg, i) {
+    return seg.start.getTime() === new Date(current[i].start).getTime() && seg.end.getTime() === new Date(current[i].end).getTime();
+  });
+  if (sameTime) return { status: 400, code: 'same_time', error: 'Pick a different time than the one booked' };
+
+  // Same checks as a new checkout, except the booking's own ice doesn't count as taken
+  var pad = rink.segmentation.buffer_minutes * 60 * 1000;
+  var rinkBusy;
+  try {
+    var unbookable = await checkSegmentsBookable(rink, segments, 'segments');
+    if (unbookable) return unbookable;
+    rinkBusy = busyIntervalsFor(await fetchBusy({
+      rinkId: rink.id,
+      from: new Date(segments[0].start.getTime() - pad),
+      until: new Date(segments[segments.length - 1].end.getTime() + pad),
+      excludeBookingId: booking.id
+    }), rink);
+  } catch (e) {
+    console.error('[MANAGE] ICS fetch failed:', (e && e.message) ? e.message : e);
+    return { status: 502, code: 'availability_unavailable', error: 'Could not verify availability right now' };
+  }
+  var clash = segments.find(function (seg) {
+    return takenHalves(seg, rinkBusy).some(function (h) { return portionHalves(portion).indexOf(h) !== -1; });
+  });
+  if (clash) return { status: 409, code: 'slot_taken', error: 'Slot already booked' };
+
+  // Add-ons move with the booking at the price paid for them; its discount rule applies to the new time
+  var extras = addonQuoteItems(booking.addons);
+  var discountLine = booking.discount ? discounts.lineFor(booking.discount, rink.pricing, segments, portion) : null;
+  var quote = rink.pricing.quoteRanges(segments, discountLine ? extras.concat([discountLine]) : extras, { portion: portion });
+  if (!quote || quote.ice_cents <= 0) return { status: 400, code: 'not_billable', error: 'Selected slot is not billable.' };
+  var paid = (booking.amount_cents || 0) - (booking.refunded_cents || 0);
+  return { rink: rink, segments: segments, portion: portion, quote: quote, paid_cents: paid, difference_cents: quote.total_cents - paid };
+}
+
+// The booking's discount rule re-applied at its new time (see planReschedule)
+function rescheduledDiscount(booking, segments, portion) {
+  if (!booking.discount) return null;
+  var rink = findRink(booking.rink_id);
+  var line = rink ? discounts.lineFor(booking.discount, rink.pricing, segments, portion) : null;
+  return Object.assign({}, booking.discount, { discount_cents: line ? -line.amount_cents : 0 });
+}
+
+// bookings columns for `booking` moved to `segments` ([{ slot_id, start, end }]).
+// extraPayment: the paid difference { payment_intent, amount_cents }, if any.
+function rescheduledRow(booking, segments, portion, extraPayment) {
+  var unitIds = segments.reduce(function (acc, seg) { return acc.concat(unitSlotIds(seg.slot_id, portion)); }, []);
+  return {
+    kind: 'rental',
+    rink_id: booking.rink_id,
+    ice_portion: portion,
+    slot_id: unitIds[0],
+    slot_ids: unitIds,
+    segments: segments.map(function (seg) {
+      return { slot_id: seg.slot_id, start: new Date(seg.start).toISOString(), end: new Date(seg.end).toISOString() };
+    }),
+    start_ts: new Date(segments[0].start).toISOString(),
+    end_ts: new Date(segments[segments.length - 1].end).toISOString(),
+    customer_name: booking.customer_name,
+    customer_email: booking.customer_email,
+    customer_phone: booking.customer_phone || null,
+    purpose: booking.purpose || null,
+    purpose_details: booking.purpose_details || null,
+    group_size: booking.group_size || null,
+    addons: booking.addons || [],
+    discount: rescheduledDiscount(booking, segments, portion),
+    currency: booking.currency || 'usd',
+    amount_cents: (booking.amount_cents || 0) + (extraPayment ? extraPayment.amount_cents : 0),
+    refunded_cents: booking.refunded_cents || 0,
+    stripe_payment_intent: booking.stripe_payment_intent,
+    extra_payments: (booking.extra_payments || []).concat(extraPayment ? [extraPayment] : []),
+    series_id: booking.series_id || null
+  };
+}
+
+// Move `booking` to the time held under holdGroup, refund overageCents and send
+// the updated confirmation (with a new calendar file). → { booking, refund_cents } or { error, code }
+async function moveBooking(booking, segments, portion, holdGroup, ctx, extraPayment, overageCents) {
+  var result = await lifecycle.reschedule(booking, rescheduledRow(booking, segments, portion, extraPayment), holdGroup, ctx);
+  if (result.error) return result;
+  var moved = result.booking;
+
+  var refunded = 0;
+  if (overageCents > 0 && moved.stripe_payment_intent && stripe) {
+    try {
+      await refundBooking(moved, overageCents, 'reschedule-refund-' + moved.id);
+      moved.refunded_cents = (moved.refunded_cents || 0) + overageCents;
+      var upd = await supabase.from('bookings').update({ refunded_cents: moved.refunded_cents }).eq('id', moved.id);
+      if (upd.error) throw new Error('bookings refund: ' + upd.error.message);
+      refunded = overageCents;
+    } catch (err) {
+      console.error('[MANAGE] Overage refund failed for', moved.id, err && err.message ? err.message : err);
+      await sendBookingNotice(moved, {
+        adminOnly: true,
+        subject: 'Wings Arena — Reschedule Refund Failed',
+        heading: 'Refunding ' + fmtUSDFromCents(overageCents) + ' after this booking was rescheduled failed. Please refund it by hand.',
+        closing: ''
+      });
+    }
+  }
+
+  await sendBookingNotice(moved, {
+    subject: 'Wings Arena — Booking Rescheduled',
+    heading: 'Your booking has been moved to a new time.',
+    closing: refunded > 0
+      ? 'The price difference of ' + fmtUSDFromCents(refunded) + ' is being refunded; it usually reaches your account within 5–10 business days.'
+      : 'See you at the rink!',
+    amountCents: (moved.amount_cents || 0) - (moved.refunded_cents || 0),
+    calendar: true
+  });
+  return { booking: moved, refund_cents: refunded };
+}
+
+// POST /api/manage/:token/reschedule/quote { segments } — price of moving to another time
+app.post('/api/manage/:token/reschedule/quote', async function (req, res) {
+  try {
+    var booking = await bookingForToken(req, res);
+    if (!booking) return;
+    var plan = await planReschedule(booking, req.body || {});
+    if (plan.error) return res.status(plan.status).json({ error: plan.error, code: plan.code });
+    res.json({ quote: plan.quote, paid_cents: plan.paid_cents, difference_cents: plan.difference_cents });
+  } catch (err) {
+    console.error('[MANAGE] Reschedule quote failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Could not price the new time' });
+  }
+});
+
+// POST /api/manage/:token/reschedule { segments } — move the booking. The new time
+// is held first; if it costs the same or less the booking moves now and the
+// overage is refunded → { booking, refund_cents, token }. If it costs more the
+// customer pays the difference in Stripe Checkout → { url }, and the webhook moves it.
+app.post('/api/manage/:token/reschedule', async function (req, res) {
+  try {
+    var booking = await bookingForToken(req, res);
+    if (!booking) return;
+    var plan = await planReschedule(booking, req.body || {});
+    if (plan.error) return res.status(plan.status).json({ error: plan.error, code: plan.code });
+    if (plan.difference_cents > 0 && !stripe) return res.status(500).json({ error: 'Stripe not configured' });
+
+    var holdGroup = crypto.randomUUID();
+    var expiresAt = checkoutHoldExpiry();
+    var holdResp = await supabase.rpc('acquire_slot_hold', {
+      p_rink_id: plan.rink.id,
+      p_hold_group: holdGroup,
+      p_rows: iceHoldRows(plan.segments, plan.portion),
+      p_buffer_minutes: plan.rink.segmentation.buffer_minutes,
+      p_customer_name: booking.customer_name,
+      p_customer_email: booking.customer_email,
+      p_expires_at: expiresAt,
+      p_ignore_booking_id: String(booking.id),
+      p_addons: booking.addons || [],
+      p_addon_limits: addonHoldLimits(ADDONS, booking.addons)
+    });
+    var soldOut = addonUnavailable(holdResp.error);
+    if (soldOut) return res.status(409).json(soldOut);
+    if (holdResp.error) throw new Error('acquire_slot_hold: ' + holdResp.error.message);
+    if (!holdResp.data) return res.status(409).json({ error: 'That time was just taken', code: 'slot_taken' });
+
+    if (plan.difference_cents <= 0) {
+      var moved = await moveBooking(booking, plan.segments, plan.portion, holdGroup,
+        { actor: 'customer', reason: 'customer_rescheduled' }, null, -plan.difference_cents);
+      if (moved.error) {
+        await supabase.from('slot_holds').delete().eq('hold_group', holdGroup);
+        return res.status(409).json(moved);
+      }
+      return res.json({ booking: manageView(moved.booking), refund_cents: moved.refund_cents, token: manageLinks.tokenFor(moved.booking.id) });
+    }
+
+    var start = plan.segments[0].start.toISOString();
+    var end = plan.segments[plan.segments.length - 1].end.toISOString();
+    var checkout;
+    try {
+      checkout = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        payment_method_types: ['card'],
+        success_url: manageLinks.urlFor(booking.id) + '&paid=1',
+        cancel_url: manageLinks.urlFor(booking.id) + '&hold=' + holdGroup,
+        expires_at: stripeExpiresAt(expiresAt),
+        customer_email: booking.customer_email,
+        line_items: [{
+          price_data: {
+            currency: plan.quote.currency,
+            product_data: {
+              name: 'Reschedule — price difference',
+              description: plan.rink.name + ' • ' + fmtPortion(plan.portion) + ' • ' + mergeSegments(plan.segments).map(function (r) {
+                return fmtWhen(r.start, r.end);
+              }).join('; ')
+            },
+            unit_amount: plan.difference_cents
+          },
+          quantity: 1
+        }],
+        metadata: {
+          kind: 'reschedule',
+          booking_id: String(booking.id),
+          hold_group: holdGroup,
+          rink_id: plan.rink.id,
+          portion: plan.portion,
+          start: start,
+          end: end
+        }
+      });
+    } catch (stripeErr) {
+      await supabase.from('slot_holds').delete().eq('hold_group', holdGroup);
+      throw stripeErr;
+    }
+    await supabase.from('slot_holds').update({ checkout_session_id: checkout.id }).eq('hold_group', holdGroup);
+    offerWhenHoldLapses(plan.rink, start, end, expiresAt);
+    console.log('[MANAGE] Reschedule checkout', checkout.id, 'for booking', booking.id, 'difference', plan.difference_cents);
+    res.json({ url: checkout.url });
+  } catch (err) {
+    console.error('[MANAGE] Reschedule failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Could not reschedule booking' });
+  }
+});
+
+/* =========================
+   SERIES BOOKINGS (recurring ice, see lib/series.js)
+   =========================
+   One picked rental slot repeated weekly or every other week. The preview
+   lists every occurrence and whether it can be booked; checkout books the
+   available ones under one hold group, paid in full or through a Stripe
+   subscription (installments / per session). Each occurrence becomes an
+   ordinary rental booking pointing at its booking_series row
+   (db/migrations/016), which staff cancel or move as a whole.
+*/
+
+// Every occurrence ([{ index, start, end }]) with whether it can be booked
+// right now → [{ index, slot_id, start, end, available, code?, reason? }]
+async function seriesAvailability(rink, occurrences, portion) {
+  var now = new Date();
+  var horizonEnd = bookingHorizonEnd(now);
+  var pad = rink.segmentation.buffer_minutes * 60 * 1000;
+  var offered = await offeredSlotIds(rink);
+  var rinkBusy = busyIntervalsFor(await fetchBusy({
+    rinkId: rink.id,
+    from: new Date(occurrences[0].start.getTime() - pad),
+    until: new Date(occurrences[occurrences.length - 1].end.getTime() + pad)
+  }), rink);
+
+  return occurrences.map(function (occ) {
+    var seg = { slot_id: slotId(occ.start, occ.end, rink.id), start: occ.start, end: occ.end };
+    var out = { index: occ.index, slot_id: seg.slot_id, start: occ.start.toISOString(), end: occ.end.toISOString(), available: false };
+    var closed = blackouts.firstOverlap([seg], rink.id);
+    if (seg.start <= now) return Object.assign(out, { code: 'slot_in_past', reason: 'Already started' });
+    if (seg.end > horizonEnd) return Object.assign(out, { code: 'beyond_horizon', reason: 'Bookings open ' + BOOKING_HORIZON_DAYS + ' days in advance' });
+    if (closed) return Object.assign(out, { code: 'blacked_out', reason: 'Rink closed (' + closed.rule.label + ')' });
+    if (!offered.has(seg.slot_id)) return Object.assign(out, { code: 'slot_unavailable', reason: 'Not offered at this time' });
+    if (rink.pricing.priceIntervalCents(seg.start, seg.end, portion) <= 0) {
+      return Object.assign(out, { code: 'not_billable', reason: 'Not bookable online' });
+    }
+    if (takenHalves(seg, rinkBusy).some(function (h) { return portionHalves(portion).indexOf(h) !== -1; })) {
+      return Object.assign(out, { code: 'slot_taken', reason: 'Already booked' });
+    }
+    return Object.assign(out, { available: true });
+  });
+}
+
+// A per-occurrence add-on selection as quote lines for `count` occurrences
+function seriesAddonItems(addons, count) {
+  return addonQuoteItems(addons).map(function (li) {
+    return Object.assign({}, li, {
+      quantity: li.quantity * count,
+      free_quantity: li.free_quantity * count,
+      amount_cents: li.amount_cents * count
+    });
+  });
+}
+
+// Check and price a series request (the first occurrence as `segments`/`slotId`,
+// plus portion, repeat, addons, promoCode).
+// → { rink, portion, repeat, occurrences, addons, picked, quote, plans } or { status, code, error }
+// Available occurrences carry their share of the total (amount_cents); quote is
+// null when none is available.
+async function planSeries(body, email) {
+  var rink = findRink(body.rinkId);
+  if (!rink) return { status: 400, code: 'unknown_rink', error: 'Unknown rink' };
+  var parsed = parseSegments(body, rink.id);
+  if (parsed.error) return Object.assign({ status: 400 }, parsed);
+  if (parsed.segments.length !== 1) return { status: 400, code: 'bad_range', error: 'A series repeats a single slot' };
+  var portionResult = parsePortion(body, rink);
+  if (portionResult.error) return Object.assign({ status: 400 }, portionResult);
+  var portion = portionResult.portion;
+  var repeatResult = parseRepeat(body.repeat);
+  if (repeatResult.error) return Object.assign({ status: 400 }, repeatResult);
+  var addonResult = priceAddons(ADDONS, body.addons);
+  if (addonResult.error) return Object.assign({ status: 400 }, addonResult);
+
+  var occurrences;
+  try {
+    occurrences = await seriesAvailability(rink, expandOccurrences(parsed.segments[0], repeatResult.repeat, TIMEZONE), portion);
+  } catch (e) {
+    console.error('[SERIES] ICS fetch failed:', (e && e.message) ? e.message : e);
+    return { status: 502, code: 'availability_unavailable', error: 'Could not verify availability right now' };
+  }
+  var result = {
+    rink: rink,
+    portion: portion,
+    repeat: repeatResult.repeat,
+    occurrences: occurrences,
+    addons: addonResult.addons,
+    picked: { rule: null, line: null, promo_error: null },
+    quote: null,
+    plans: []
+  };
+  var available = occurrences.filter(function (o) { return o.available; });
+  if (!available.length) return result;
+
+  // One quote (and one discount) for all available dates; each date's share follows its ice price
+  var segments = available.map(function (o) { return { slot_id: o.slot_id, start: new Date(o.start), end: new Date(o.end) }; });
+  result.picked = await pickDiscount(rink, segments, portion, email, body.promoCode);
+  var extras = seriesAddonItems(result.addons, segments.length).concat(result.picked.line ? [result.picked.line] : []);
+  result.quote = rink.pricing.quoteRanges(segments, extras, { portion: portion });
+  var shares = allocateCents(result.quote.total_cents, segments.map(function (seg) {
+    return rink.pricing.priceIntervalCents(seg.start, seg.end, portion);
+  }));
+  available.forEach(function (o, i) { o.amount_cents = shares[i]; });
+  result.plans = paymentPlans(result.quote.total_cents, available.length, {
+    frequency: result.repeat.frequency,
+    installments: SERIES_INSTALLMENTS
+  });
+  return result;
+}
+
+// "Weekly, 12 dates: Tue, Oct 20, 2026, 6:00 PM – 7:00 PM to Jan 5, 2027"
+function describeSeries(repeat, occurrences) {
+  var first = occurrences[0];
+  var last = occurrences[occurrences.length - 1];
+  return (repeat.frequency === 'biweekly' ? 'Every 2 weeks' : 'Weekly') + ', ' + occurrences.length + ' dates: ' +
+    fmtWhen(first.start, first.end) +
+    (occurrences.length > 1
+      ? ' to ' + new Date(last.start).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: TIMEZONE || undefined })
+      : '');
+}
+
+// POST /api/series/preview { rinkId, segments | slotId/start/end, portion, repeat, addons, email, promoCode }
+// → every occurrence (available or why not), the quote for the available ones and the payment plans
+app.post('/api/series/preview', async function (req, res) {
+  var body = req.body || {};
+  try {
+    var plan = await planSeries(body, body.email);
+    if (plan.error) return res.status(plan.status).json({ error: plan.error, code: plan.code });
+    res.json({
+      repeat: plan.repeat,
+      occurrences: plan.occurrences,
+      available_count: plan.occurrences.filter(function (o) { return o.available; }).length,
+      quote: plan.quote,
+      discount: plan.picked.rule ? discountSnapshot(plan.picked.rule, plan.picked.line) : null,
+      promo_error: plan.picked.promo_error,
+      plans: plan.plans
+    });
+  } catch (err) {
+    console.error('[SERIES] Preview failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Could not check the series' });
+  }
+});
+
+// Stripe Checkout line items for a split plan: the recurring payment, plus the
+// leftover cents as a one-time item on the first invoice
+function seriesSubscriptionItems(payment, quote, description) {
+  var items = [{
+    price_data: {
+      currency: quote.currency,
+      product_data: { name: 'Ice Rental Series — ' + payment.label, description: description },
+      unit_amount: payment.recurring_cents,
+      recurring: { interval: payment.interval, interval_count: payment.interval_count }
+    },
+    quantity: 1
+  }];
+  if (payment.first_cents > payment.recurring_cents) {
+    items.push({
+      price_data: {
+        currency: quote.currency,
+        product_data: { name: 'Ice Rental Series — rounding on first payment' },
+        unit_amount: payment.first_cents - payment.recurring_cents
+      },
+      quantity: 1
+    });
+  }
+  return items;
+}
+
+// POST /api/series/checkout — preview body + booking form fields + plan ('full' |
+// 'installments' | 'subscription'). Holds every available date, records the
+// series (pending) and answers { url } for Stripe Checkout; the webhook books it.
+app.post('/api/series/checkout', async function (req, res) {
+  try {
+    if (!stripe) return res.status(500).json({ error: 'Stripe not configured (STRIPE_SECRET_KEY missing)' });
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+
+    var body = req.body || {};
+    var formResult = validateBookingForm(BOOKING_FORM, body, 'rental');
+    if (formResult.error) return res.status(400).json(formResult);
+    var form = formResult.values;
+
+    var plan = await planSeries(body, form.email);
+    if (plan.error) return res.status(plan.status).json({ error: plan.error, code: plan.code });
+    if (plan.picked.promo_error) {
+      return res.status(400).json({ error: 'Please fix the highlighted fields', code: 'invalid_fields', fields: { promoCode: plan.picked.promo_error } });
+    }
+    var available = plan.occurrences.filter(function (o) { return o.available; });
+    if (!available.length) return res.status(409).json({ error: 'None of these dates can be booked', code: 'series_unavailable' });
+    var payment = plan.plans.find(function (p) { return p.id === (body.plan || 'full'); });
+    if (!payment) return res.status(400).json({ error: 'That payment plan is not offered for this series', code: 'bad_plan' });
+
+    var rink = plan.rink;
+    var segments = available.map(function (o) { return { slot_id: o.slot_id, start: new Date(o.start), end: new Date(o.end) }; });
+    var discount = plan.picked.rule ? discountSnapshot(plan.picked.rule, plan.picked.line) : null;
+
+    // Every date is held in one go, or none (see /api/create-checkout-session)
+    var holdGroup = crypto.randomUUID();
+    var expiresAt = checkoutHoldExpiry();
+    var holdResp = await supabase.rpc('acquire_slot_hold', {
+      p_rink_id: rink.id,
+      p_hold_group: holdGroup,
+      p_rows: iceHoldRows(segments, plan.portion),
+      p_buffer_minutes: rink.segmentation.buffer_minutes,
+      p_customer_name: form.name,
+      p_customer_email: form.email,
+      p_expires_at: expiresAt,
+      p_addons: plan.addons,
+      p_addon_limits: addonHoldLimits(ADDONS, plan.addons)
+    });
+    var soldOut = addonUnavailable(holdResp.error);
+    if (soldOut) return res.status(409).json(soldOut);
+    if (holdResp.error) throw new Error('acquire_slot_hold: ' + holdResp.error.message);
+    if (!holdResp.data) {
+      console.warn('[SERIES] Hold refused', rink.id, segments[0].start.toISOString());
+      return res.status(409).json({ error: 'One or more dates were just taken; please check the series again', code: 'slot_taken' });
+    }
+
+    async function releaseHold() {
+      await supabase.from('slot_holds').delete().eq('hold_group', holdGroup);
+      await releaseDiscountReservation(holdGroup);
+    }
+
+    if (discount && discount.source === 'code' && !(await reserveDiscountCode(plan.picked.rule, form.email, holdGroup, discount.discount_cents, expiresAt))) {
+      await releaseHold();
+      return res.status(409).json({ error: 'Please fix the highlighted fields', code: 'invalid_fields', fields: { promoCode: 'That promo code has been used up' } });
+    }
+
+    var created = await supabase.from('booking_series').insert({
+      rink_id: rink.id,
+      ice_portion: plan.portion,
+      repeat: plan.repeat,
+      occurrences: available.map(function (o) { return { slot_id: o.slot_id, start: o.start, end: o.end, amount_cents: o.amount_cents }; }),
+      skipped: plan.occurrences.filter(function (o) { return !o.available; }).map(function (o) {
+        return { start: o.start, end: o.end, code: o.code, reason: o.reason };
+      }),
+      customer_name: form.name,
+      customer_email: form.email,
+      customer_phone: form.phone,
+      purpose: form.purpose,
+      purpose_details: form.purpose_details || null,
+      group_size: form.group_size,
+      addons: plan.addons,
+      discount: discount,
+      plan: payment.id,
+      payments: payment.payments,
+      total_cents: plan.quote.total_cents,
+      currency: plan.quote.currency,
+      hold_group: holdGroup
+    }).select('id').single();
+    if (created.error) {
+      await releaseHold();
+      throw new Error('booking_series insert: ' + created.error.message);
+    }
+    var seriesId = created.data.id;
+
+    var description = rink.name + ' • ' + fmtPortion(plan.portion) + ' • ' + form.purpose + ' • ' + describeSeries(plan.repeat, available);
+    var metadata = { kind: 'series', series_id: seriesId, hold_group: holdGroup, rink_id: rink.id };
+    var session;
+    var coupon = null;
+    try {
+      if (payment.id === 'full') {
+        // Same as a single booking: itemized, the discount as a single-use coupon
+        coupon = discount
+          ? await stripe.coupons.create({
+            amount_off: discount.discount_cents,
+            currency: plan.quote.currency,
+            duration: 'once',
+            max_redemptions: 1,
+            name: discount.label.slice(0, 40)
+          })
+          : null;
+        session = await stripe.checkout.sessions.create({
+          mode: 'payment',
+          payment_method_types: ['card'],
+          success_url: SUCCESS_URL + '?session_id={CHECKOUT_SESSION_ID}',
+          cancel_url: CANCEL_URL + '?hold=' + holdGroup,
+          expires_at: stripeExpiresAt(expiresAt),
+          customer_email: form.email,
+          line_items: quoteToStripeLineItems(plan.quote, description),
+          discounts: coupon ? [{ coupon: coupon.id }] : undefined,
+          metadata: metadata
+        });
+      } else {
+        // Split plans: the discounted total spread over the payments (no coupon)
+        session = await stripe.checkout.sessions.create({
+          mode: 'subscription',
+          payment_method_types: ['card'],
+          success_url: SUCCESS_URL + '?session_id={CHECKOUT_SESSION_ID}',
+          cancel_url: CANCEL_URL + '?hold=' + holdGroup,
+          expires_at: stripeExpiresAt(expiresAt),
+          customer_email: form.email,
+          line_items: seriesSubscriptionItems(payment, plan.quote, description),
+          subscription_data: { description: description.slice(0, 500), metadata: { series_id: seriesId } },
+          metadata: metadata
+        });
+      }
+    } catch (stripeErr) {
+      await discardCoupon(coupon);
+      await releaseHold();
+      await supabase.from('booking_series').delete().eq('id', seriesId);
+      throw stripeErr;
+    }
+
+    await supabase.from('slot_holds').update({
+      checkout_session_id: session.id,
+      customer_phone: form.phone,
+      purpose: form.purpose,
+      purpose_details: form.purpose_details,
+      group_size: form.group_size
+    }).eq('hold_group', holdGroup);
+    await supabase.from('booking_series').update({ checkout_session_id: session.id }).eq('id', seriesId);
+    offerWhenHoldLapses(rink, segments[0].start, segments[segments.length - 1].end, expiresAt);
+
+    console.log('[SERIES] Checkout', session.id, 'series', seriesId, 'dates:', available.length, 'plan:', payment.id);
+    res.json({ url: session.url });
+  } catch (err) {
+    console.error('[SERIES] Checkout error:', err);
+    res.status(500).json({ error: 'Failed to create checkout session' });
+  }
+});
+
+// A series' dates as one booking-shaped object for sendBookingNotice (no id,
+// so no manage link or calendar file)
+function seriesNoticeBooking(series, segments) {
+  return {
+    kind: 'rental',
+    status: 'confirmed',
+    rink_id: series.rink_id,
+    ice_portion: series.ice_portion,
+    segments: segments,
+    customer_email: series.customer_email,
+    addons: series.addons
+  };
+}
+
+// The split plan a series pays by, in the shape planEndsAt() takes
+function seriesPaymentPlan(series) {
+  return Object.assign({ payments: series.payments }, planCadence(series.plan, series.repeat.frequency));
+}
+
+// Completed series checkout: one rental booking per held date, holds cleared,
+// one summary email. A date sold to someone else meanwhile is skipped (its
+// share refunded when paid in full; staff are told for payment plans).
+async function completeSeriesCheckout(session, md, ctx) {
+  if (!supabase) return;
+  var found = await supabase.from('booking_series').select('*').eq('id', md.series_id).maybeSingle();
+  if (found.error) throw new Error('booking_series lookup: ' + found.error.message);
+  var series = found.data;
+  if (!series) {
+    console.warn('[WEBHOOK] Series', md.series_id, 'not found');
+    return;
+  }
+  if (series.status !== 'pending') {
+    console.log('[WEBHOOK] Series', series.id, 'already', series.status);
+    return;
+  }
+
+  var full = series.plan === 'full';
+  var existing = await supabase.from('bookings').select('slot_id').eq('series_id', series.id);
+  if (existing.error) throw new Error('bookings lookup: ' + existing.error.message);
+  var done = new Set((existing.data || []).map(function (r) { return r.slot_id; }));
+
+  var booked = [];
+  var lost = [];
+  for (var i = 0; i < series.occurrences.length; i++) {
+    var occ = series.occurrences[i];
+    var unitIds = unitSlotIds(occ.slot_id, series.ice_portion);
+    if (done.has(unitIds[0])) continue; // a previous attempt got this far
+    var ins = await supabase.from('bookings').insert({
+      kind: 'rental',
+      status: full ? statusForCheckout(session) : 'confirmed',
+      rink_id: series.rink_id,
+      ice_portion: series.ice_portion,
+      slot_id: unitIds[0],
+      slot_ids: unitIds,
+      segments: [{ slot_id: occ.slot_id, start: occ.start, end: occ.end }],
+      start_ts: occ.start,
+      end_ts: occ.end,
+      customer_name: series.customer_name,
+      customer_email: series.customer_email,
+      customer_phone: series.customer_phone,
+      purpose: series.purpose,
+      purpose_details: series.purpose_details,
+      group_size: series.group_size,
+      addons: series.addons,
+      amount_cents: occ.amount_cents,
+      currency: series.currency,
+      stripe_payment_intent: full ? session.payment_intent : null,
+      series_id: series.id
+    }).select('*').single();
+    if (ins.error && ins.error.code === '23P01') {
+      console.error('[WEBHOOK] Series', series.id, 'date overlaps an existing booking', occ.start);
+      lost.push(occ);
+      continue;
+    }
+    if (ins.error) throw new Error('bookings insert: ' + ins.error.message);
+    await lifecycle.recordCreated(ins.data, ctx);
+    booked.push(ins.data);
+  }
+
+  var lostCents = lost.reduce(function (sum, occ) { return sum + occ.amount_cents; }, 0);
+  if (lost.length && full) {
+    await stripe.refunds.create({ payment_intent: session.payment_intent, amount: lostCents }, { idempotencyKey: 'series-overlap-refund-' + session.id });
+  } else if (lost.length) {
+    await sendBookingNotice(seriesNoticeBooking(series, lost), {
+      adminOnly: true,
+      subject: 'Wings Arena — Series Date Lost',
+      heading: 'Series ' + series.id + ' (' + series.customer_email + ') is on a payment plan, but these dates were sold to someone else before it was paid. Please adjust the plan by hand.',
+      closing: '',
+      amountCents: lostCents
+    });
+  }
+
+  await supabase.from('slot_holds').delete().eq('hold_group', md.hold_group);
+  if (series.discount && series.discount.source === 'code') {
+    var redeemed = await supabase.from('discount_redemptions')
+      .update({ booking_id: 'series:' + series.id, expires_at: null })
+      .eq('hold_group', md.hold_group);
+    if (redeemed.error) throw new Error('discount_redemptions: ' + redeemed.error.message);
+  }
+
+  // Split plans stop by themselves after the last payment
+  if (!full && session.subscription) {
+    var endsAt = planEndsAt(seriesPaymentPlan(series), new Date(session.created * 1000));
+    await stripe.subscriptions.update(session.subscription, {
+      cancel_at: Math.floor(endsAt.getTime() / 1000),
+      proration_behavior: 'none'
+    });
+  }
+
+  var lostIds = lost.map(function (occ) { return occ.slot_id; });
+  var upd = await supabase.from('booking_series').update({
+    status: 'active',
+    occurrences: series.occurrences.filter(function (occ) { return lostIds.indexOf(occ.slot_id) === -1; }),
+    skipped: (series.skipped || []).concat(lost.map(function (occ) {
+      return { start: occ.start, end: occ.end, code: 'slot_taken', reason: 'Booked by someone else during checkout' };
+    })),
+    stripe_payment_intent: full ? session.payment_intent : null,
+    stripe_subscription_id: session.subscription || null,
+    payment_status: full ? null : 'active',
+    paid_cents: full ? (session.amount_total || 0) - lostCents : series.paid_cents,
+    updated_at: new Date().toISOString()
+  }).eq('id', series.id);
+  if (upd.error) throw new Error('booking_series update: ' + upd.error.message);
+  console.log('[WEBHOOK] Series', series.id, 'booked:', booked.length, 'lost:', lost.length, 'plan:', series.plan);
+
+  var confirmed = booked.filter(function (b) { return b.status === 'confirmed'; });
+  if (!confirmed.length) return;
+  var cadence = seriesPaymentPlan(series);
+  await sendBookingNotice(seriesNoticeBooking(series, confirmed.map(function (b) { return b.segments[0]; })), {
+    subject: 'Wings Arena — Series Booking Confirmation',
+    heading: 'Thank you! Your ' + confirmed.length + ' dates are booked.',
+    closing: (full
+      ? ''
+      : 'The remaining ' + (series.payments - 1) + ' payments of ' + fmtUSDFromCents(Math.floor(series.total_cents / series.payments)) +
+        ' are charged ' + (cadence.interval === 'month' ? 'monthly' : cadence.interval_count === 1 ? 'weekly' : 'every ' + cadence.interval_count + ' weeks') + ' to the same card. ') +
+      (lost.length ? lost.length + ' date(s) were taken by someone else during checkout' + (full ? ' and have been refunded. ' : '; we will be in touch. ') : '') +
+      'See you at the rink!',
+    amountCents: session.amount_total || 0
+  });
+}
+
+// invoice.paid / invoice.payment_failed on a series payment plan: keep what has
+// been paid and the plan's standing on the series; staff hear about failures
+async function handleSeriesInvoice(invoice, paid) {
+  if (!supabase || !invoice.subscription) return;
+  var details = invoice.subscription_details || {};
+  var seriesId = details.metadata && details.metadata.series_id;
+  var query = supabase.from('booking_series').select('*');
+  var found = await (seriesId ? query.eq('id', seriesId) : query.eq('stripe_subscription_id', invoice.subscription)).maybeSingle();
+  if (found.error) throw new Error('booking_series lookup: ' + found.error.message);
+  if (!found.data) {
+    console.log('[WEBHOOK] Invoice', invoice.id, 'is not for a series');
+    return;
+  }
+  var series = found.data;
+
+  var patch = { payment_status: paid ? 'active' : 'past_due', updated_at: new Date().toISOString() };
+  if (paid) {
+    // Recounted from Stripe, so redeliveries and out-of-order events can't double count
+    var invoices = await stripe.invoices.list({ subscription: invoice.subscription, status: 'paid', limit: 100 });
+    patch.paid_cents = invoices.data.reduce(function (sum, inv) { return sum + inv.amount_paid; }, 0);
+  }
+  var upd = await supabase.from('booking_series').update(patch).eq('id', series.id);
+  if (upd.error) throw new Error('booking_series update: ' + upd.error.message);
+  console.log('[WEBHOOK] Series', series.id, 'invoice', invoice.id, paid ? 'paid' : 'failed');
+
+  if (!paid) {
+    await sendBookingNotice(seriesNoticeBooking(series, series.occurrences), {
+      adminOnly: true,
+      subject: 'Wings Arena — Series Payment Failed',
+      heading: 'A payment of ' + fmtUSDFromCents(invoice.amount_due) + ' for series ' + series.id + ' (' + series.customer_email + ') failed. Stripe will retry it; the dates stay booked.',
+      closing: '',
+      amountCents: invoice.amount_due
+    });
+  }
+}
+
+// A series' bookings, oldest first
+async function seriesBookings(seriesId) {
+  var resp = await supabase.from('bookings').select('*').eq('series_id', seriesId).order('start_ts', { ascending: true });
+  if (resp.error) throw new Error('bookings: ' + resp.error.message);
+  return resp.data || [];
+}
+
+// GET /api/admin/series/:id — a series with all its bookings
+app.get('/api/admin/series/:id', requireAdmin, async function (req, res) {
+  if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+  try {
+    var found = await supabase.from('booking_series').select('*').eq('id', req.params.id).maybeSingle();
+    if (found.error) throw new Error(found.error.message);
+    if (!found.data) return res.status(404).json({ error: 'Series not found', code: 'not_found' });
+    res.json({ series: found.data, bookings: await seriesBookings(found.data.id) });
+  } catch (err) {
+    console.error('[ADMIN] Series lookup failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Series lookup failed' });
+  }
+});
+
+// POST /api/admin/series/:id/cancel { reason, refund } — cancel every date still
+// to come and stop a payment plan. refund: true refunds those dates' shares
+// when the series was paid in full (payment plan refunds are done in Stripe).
+app.post('/api/admin/series/:id/cancel', requireAdmin, async function (req, res) {
+  if (!lifecycle) return res.status(500).json({ error: 'Supabase not configured' });
+  var body = req.body || {};
+  var ctx = { actor: 'admin', reason: (body.reason && String(body.reason).slice(0, 500)) || 'series_cancelled' };
+  try {
+    var found = await supabase.from('booking_series').select('*').eq('id', req.params.id).maybeSingle();
+    if (found.error) throw new Error(found.error.message);
+    var series = found.data;
+    if (!series) return res.status(404).json({ error: 'Series not found', code: 'not_found' });
+    if (series.status !== 'active') {
+      return res.status(409).json({ error: 'A ' + series.status + ' series cannot be cancelled', code: 'invalid_transition' });
+    }
+    if ((body.refund || series.stripe_subscription_id) && !stripe) return res.status(500).json({ error: 'Stripe not configured' });
+
+    var now = new Date();
+    var upcoming = (await seriesBookings(series.id)).filter(function (b) {
+      return (b.status === 'confirmed' || b.status === 'pending') && new Date(b.start_ts) > now;
+    });
+    var cancelled = [];
+    var refundedCents = 0;
+    for (var i = 0; i < upcoming.length; i++) {
+      var b = upcoming[i];
+      var left = (b.amount_cents || 0) - (b.refunded_cents || 0);
+      var bookingCtx = Object.assign({}, ctx);
+      var patch = {};
+      if (body.refund && b.stripe_payment_intent && b.status === 'confirmed' && left > 0) {
+        bookingCtx.stripe_refund_id = (await refundBooking(b, left, 'series-cancel-' + b.id)).join(',');
+        patch.refunded_cents = b.amount_cents;
+        refundedCents += left;
+      }
+      var result = await lifecycle.transition(b.id, patch.refunded_cents ? 'refunded' : 'cancelled', bookingCtx, patch);
+      if (result.error) {
+        console.warn('[ADMIN] Series', series.id, 'booking', b.id, 'not cancelled:', result.code);
+        continue;
+      }
+      cancelled.push(result.booking);
+    }
+
+    if (series.stripe_subscription_id && series.payment_status !== 'canceled') {
+      await stripe.subscriptions.cancel(series.stripe_subscription_id);
+    }
+    var upd = await supabase.from('booking_series').update({
+      status: 'cancelled',
+      cancel_reason: ctx.reason,
+      payment_status: series.stripe_subscription_id ? 'canceled' : series.payment_status,
+      updated_at: new Date().toISOString()
+    }).eq('id', series.id).select('*').single();
+    if (upd.error) throw new Error('booking_series update: ' + upd.error.message);
+
+    console.log('[ADMIN] Series', series.id, 'cancelled;', cancelled.length, 'dates, refund', refundedCents);
+    if (cancelled.length) {
+      await sendBookingNotice(seriesNoticeBooking(series, cancelled.map(function (b) { return b.segments[0]; })), {
+        subject: 'Wings Arena — Series Cancelled',
+        heading: 'The remaining dates of your series have been cancelled.',
+        closing: (refundedCents > 0
+          ? 'A refund of ' + fmtUSDFromCents(refundedCents) + ' is on its way; it usually reaches your account within 5–10 business days. '
+          : '') + (series.stripe_subscription_id ? 'No further payments will be taken. ' : '') + 'Please contact us with any questions.',
+        amountCents: refundedCents
+      });
+    }
+    res.json({ series: upd.data, cancelled: cancelled.map(function (b) { return b.id; }), refunded_cents: refundedCents });
+  } catch (err) {
+    console.error('[ADMIN] Series cancel failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Series cancel failed' });
+  }
+});
+
+// POST /api/admin/series/:id/change { shift_minutes } — move every date still to
+// come by the same amount (e.g. 60 = an hour later, 1440 = the next day), at
+// the price already paid. Dates that can't move stay put and are reported.
+app.post('/api/admin/series/:id/change', requireAdmin, async function (req, res) {
+  if (!lifecycle) return res.status(500).json({ error: 'Supabase not configured' });
+  var shift = Number(req.body && req.body.shift_minutes);
+  if (!Number.isInteger(shift) || shift === 0 || Math.abs(shift) > 7 * 24 * 60) {
+    return res.status(400).json({ error: 'shift_minutes must be a whole number of minutes, at most a week either way', code: 'bad_shift' });
+  }
+  var ctx = { actor: 'admin', reason: 'series_changed' };
+  try {
+    var found = await supabase.from('booking_series').select('*').eq('id', req.params.id).maybeSingle();
+    if (found.error) throw new Error(found.error.message);
+    var series = found.data;
+    if (!series) return res.status(404).json({ error: 'Series not found', code: 'not_found' });
+    if (series.status !== 'active') {
+      return res.status(409).json({ error: 'A ' + series.status + ' series cannot be changed', code: 'invalid_transition' });
+    }
+    var rink = findRink(series.rink_id);
+    if (!rink) return res.status(409).json({ error: 'This rink cannot be booked online right now', code: 'unknown_rink' });
+
+    var now = new Date();
+    var upcoming = (await seriesBookings(series.id)).filter(function (b) {
+      return b.status === 'confirmed' && new Date(b.start_ts) > now;
+    });
+    var moved = [];
+    var conflicts = [];
+    for (var i = 0; i < upcoming.length; i++) {
+      var b = upcoming[i];
+      var portion = b.ice_portion || 'full';
+      // Rows without segments span start_ts..end_ts; the series' occurrence has that slot id
+      var current = (b.segments && b.segments.length)
+        ? b.segments
+        : [{ slot_id: slotId(new Date(b.start_ts), new Date(b.end_ts), rink.id), start: b.start_ts, end: b.end_ts }];
+      var segments = current.map(function (seg) {
+        var s = new Date(new Date(seg.start).getTime() + shift * 60000);
+        var e = new Date(new Date(seg.end).getTime() + shift * 60000);
+        return { slot_id: slotId(s, e, rink.id), start: s, end: e };
+      });
+      var unbookable = await checkSegmentsBookable(rink, segments, 'segments');
+      if (unbookable) {
+        conflicts.push({ booking_id: b.id, start: b.start_ts, code: unbookable.code, error: unbookable.error });
+        continue;
+      }
+      var holdGroup = crypto.randomUUID();
+      var holdResp = await supabase.rpc('acquire_slot_hold', {
+        p_rink_id: rink.id,
+        p_hold_group: holdGroup,
+        p_rows: iceHoldRows(segments, portion),
+        p_buffer_minutes: rink.segmentation.buffer_minutes,
+        p_customer_name: b.customer_name,
+        p_customer_email: b.customer_email,
+        p_expires_at: checkoutHoldExpiry(),
+        p_ignore_booking_id: String(b.id),
+        p_addons: b.addons || [],
+        p_addon_limits: addonHoldLimits(ADDONS, b.addons)
+      });
+      var soldOut = addonUnavailable(holdResp.error);
+      if (soldOut || !holdResp.data) {
+        if (holdResp.error && !soldOut) throw new Error('acquire_slot_hold: ' + holdResp.error.message);
+        conflicts.push({ booking_id: b.id, start: b.start_ts, code: soldOut ? soldOut.code : 'slot_taken', error: soldOut ? soldOut.error : 'Slot already booked' });
+        continue;
+      }
+      var result = await lifecycle.reschedule(b, rescheduledRow(b, segments, portion, null), holdGroup, ctx);
+      if (result.error) {
+        await supabase.from('slot_holds').delete().eq('hold_group', holdGroup);
+        conflicts.push({ booking_id: b.id, start: b.start_ts, code: result.code, error: result.error });
+        continue;
+      }
+      moved.push({ from: b, fromSlotId: current[0].slot_id, to: result.booking });
+    }
+
+    var occurrences = series.occurrences.map(function (occ) {
+      var m = moved.find(function (pair) { return pair.fromSlotId === occ.slot_id; });
+      if (!m) return occ;
+      var seg = m.to.segments[0];
+      return { slot_id: seg.slot_id, start: seg.start, end: seg.end, amount_cents: occ.amount_cents };
+    });
+    var upd = await supabase.from('booking_series')
+      .update({ occurrences: occurrences, updated_at: new Date().toISOString() })
+      .eq('id', series.id)
+      .select('*')
+      .single();
+    if (upd.error) throw new Error('booking_series update: ' + upd.error.message);
+
+    console.log('[ADMIN] Series', series.id, 'shifted', shift, 'min; moved', moved.length, 'conflicts', conflicts.length);
+    if (moved.length) {
+      await sendBookingNotice(seriesNoticeBooking(series, moved.map(function (pair) { return pair.to.segments[0]; })), {
+        subject: 'Wings Arena — Series Updated',
+        heading: moved.length + ' of your series dates have been moved to these new times.',
+        closing: conflicts.length
+          ? conflicts.length + ' date(s) could not be moved and stay at their original time; we will be in touch.'
+          : 'See you at the rink!',
+        amountCents: moved.reduce(function (sum, pair) { return sum + (pair.to.amount_cents || 0) - (pair.to.refunded_cents || 0); }, 0)
+      });
+    }
+    res.json({
+      series: upd.data,
+      moved: moved.map(function (pair) { return { booking_id: pair.from.id, new_booking_id: pair.to.id, start: pair.to.start_ts, end: pair.to.end_ts }; }),
+      conflicts: conflicts
+    });
+  } catch (err) {
+    console.error('[ADMIN] Series change failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Series change failed' });
+  }
+});
+
+/* =========================
+   WAITLIST (taken slots and sold-out windows, see lib/waitlist.js)
+   =========================
+   Customers join for one taken segment or for any segment in a time window.
+   Ice that opens up again is held for the next WAITLIST_NOTIFY_COUNT entries
+   in line before anyone else can book it, and each gets a claim link
+   (WAITLIST_URL): a cancelled, refunded or rescheduled booking's ice is held
+   before its status changes (the lifecycle's beforeIceRelease hook), a
+   released checkout hold's right after it is deleted, a lapsed one's when
+   it expires. The sweep every WAITLIST_SWEEP_SECONDS only catches what those
+   missed. An offer's hold lasts WAITLIST_CLAIM_MINUTES;
+   the first of them to check out takes it over (claim_waitlist_offer,
+   db/migrations/017) and the others go back to waiting. Entries whose offer
+   lapses unclaimed leave the list, and the ice goes to the next entries
+   still waiting, or back on sale.
+*/
+var waitlistSweeping = false;
+
+// Entry a waitlist token points at → { entry } or { status, code, error }
+async function waitlistEntryFor(token) {
+  if (!supabase || !waitlistLinks) {
+    return { status: 503, code: 'waitlist_disabled', error: 'The waitlist is not available' };
+  }
+  var id = waitlistLinks.verify(token);
+  var found = id ? await supabase.from('waitlist_entries').select('*').eq('id', id).maybeSingle() : { data: null };
+  if (found.error) throw new Error('waitlist_entries: ' + found.error.message);
+  if (!found.data) return { status: 404, code: 'bad_token', error: 'This link is not valid' };
+  return { entry: found.data };
+}
+
+// Like waitlistEntryFor, but only while the entry's offer can still be claimed
+async function waitlistOfferFor(token) {
+  var found = await waitlistEntryFor(token);
+  if (found.error) return found;
+  if (found.entry.status !== 'offered' || new Date(found.entry.offer_expires_at) <= new Date()) {
+    return { status: 409, code: 'offer_expired', error: 'This waitlist offer has expired or was claimed by someone else' };
+  }
+  return found;
+}
+
+// The claimer's checkout holds the ice now: close their entry, and put the
+// others offered the same ice back in line. Failures are logged, not thrown;
+// the checkout goes ahead either way.
+async function settleWaitlistClaim(entry) {
+  var nowISO = new Date().toISOString();
+  var claimed = await supabase.from('waitlist_entries').update({ status: 'claimed', updated_at: nowISO }).eq('id', entry.id);
+  if (claimed.error) console.error('[WAITLIST] Could not mark claimed:', entry.id, claimed.error.message);
+  var others = await supabase.from('waitlist_entries').update({
+    status: 'waiting',
+    offer_hold_group: null,
+    offer_slot_id: null,
+    offer_start: null,
+    offer_end: null,
+    offer_expires_at: null,
+    updated_at: nowISO
+  }).eq('offer_hold_group', entry.offer_hold_group).eq('status', 'offered');
+  if (others.error) console.error('[WAITLIST] Could not re-queue others:', entry.offer_hold_group, others.error.message);
+  console.log('[WAITLIST] Offer claimed', entry.id, entry.offer_slot_id);
+}
+
+// A claim's checkout failed before Stripe had it: its hold becomes the offer's
+// hold again, so the entries offered can still claim it until the offer lapses
+async function restoreWaitlistOffer(entry, holdGroup) {
+  var back = await supabase.from('slot_holds').update({
+    hold_group: entry.offer_hold_group,
+    expires_at: entry.offer_expires_at,
+    customer_name: 'Waitlist offer',
+    addons: []
+  }).eq('hold_group', holdGroup);
+  if (back.error) console.error('[WAITLIST] Could not restore offer hold:', entry.offer_hold_group, back.error.message);
+}
+
+// A sheet's segments overlapping [from, until), with the halves free right now
+// (ignoreBookingId: a booking whose ice counts as free)
+async function segmentsBetween(rink, from, until, ignoreBookingId) {
+  var now = new Date();
+  var pad = rink.segmentation.buffer_minutes * 60 * 1000;
+  var avail = await fetchAvailabilityWindows(rink);
+  var rinkBusy = busyIntervalsFor(await fetchBusy({
+    rinkId: rink.id,
+    from: new Date(from.getTime() - pad),
+    until: new Date(until.getTime() + pad),
+    excludeBookingId: ignoreBookingId
+  }), rink);
+  return rinkSegments(rink, avail.windows, rinkBusy, now, avail.horizonEnd).filter(function (seg) {
+    return seg.start < until && from < seg.end;
+  });
+}
+
+// What the customer sees of their entry
+function waitlistView(entry) {
+  var rink = findRink(entry.rink_id);
+  return {
+    id: entry.id,
+    status: entry.status,
+    rink_id: entry.rink_id,
+    rink_name: rink ? rink.name : entry.rink_id,
+    portion: entry.ice_portion,
+    portion_label: fmtPortion(entry.ice_portion),
+    slot_id: entry.slot_id,
+    window_start: entry.window_start,
+    window_end: entry.window_end,
+    name: entry.customer_name,
+    email: entry.customer_email,
+    offer: entry.status === 'offered'
+      ? { slot_id: entry.offer_slot_id, start: entry.offer_start, end: entry.offer_end, expires_at: entry.offer_expires_at }
+      : null
+  };
+}
+
+// POST /api/waitlist — join for one taken segment ({ slotId, start, end }) or
+// any segment in { windowStart, windowEnd }, plus rinkId, portion, name, email, phone
+app.post('/api/waitlist', async function (req, res) {
+  try {
+    if (!supabase || !waitlistLinks) return res.status(503).json({ error: 'The waitlist is not available', code: 'waitlist_disabled' });
+    var body = req.body || {};
+    var rink = findRink(body.rinkId);
+    if (!rink) return res.status(400).json({ error: 'Unknown rink', code: 'unknown_rink' });
+
+    // Contact fields only (the 'session' kind of the booking form)
+    var formResult = validateBookingForm(BOOKING_FORM, body, 'session');
+    if (formResult.error) return res.status(400).json(formResult);
+    var form = formResult.values;
+    var portionResult = parsePortion(body, rink);
+    if (portionResult.error) return res.status(400).json(portionResult);
+
+    var target;
+    if (body.windowStart || body.windowEnd) {
+      var win = parseWaitlistWindow(body);
+      if (win.error) return res.status(400).json(win);
+      target = { slot_id: null, start: win.window.start, end: win.window.end };
+    } else {
+      var parsed = parseSegments(body, rink.id);
+      if (parsed.error) return res.status(400).json(parsed);
+      if (parsed.segments.length !== 1) return res.status(400).json({ error: 'Join the waitlist for one slot at a time', code: 'too_many_segments' });
+      target = parsed.segments[0];
+    }
+    var now = new Date();
+    if (target.end <= now) return res.status(400).json({ error: 'That time has already passed', code: 'slot_in_past' });
+    if (target.start >= bookingHorizonEnd(now)) {
+      return res.status(400).json({ error: 'Bookings open ' + BOOKING_HORIZON_DAYS + ' days ahead', code: 'beyond_horizon' });
+    }
+
+    var candidate = {
+      slot_id: target.slot_id,
+      window_start: target.start,
+      window_end: target.end,
+      ice_portion: portionResult.portion
+    };
+    var segments;
+    try {
+      segments = await segmentsBetween(rink, target.start, target.end);
+    } catch (e) {
+      console.error('[WAITLIST] ICS fetch failed:', (e && e.message) ? e.message : e);
+      return res.status(502).json({ error: 'Could not verify availability right now', code: 'availability_unavailable' });
+    }
+    if (target.slot_id && !segments.some(function (seg) { return seg.id === target.slot_id; })) {
+      return res.status(404).json({ error: 'That slot is not offered', code: 'slot_unavailable' });
+    }
+    // Nothing to wait for when the ice can be booked right now
+    if (segments.some(function (seg) { return seg.start > now && entryWants(candidate, seg); })) {
+      return res.status(409).json({ error: 'There is open ice at that time; book it instead', code: 'slots_open' });
+    }
+
+    var dupe = await supabase.from('waitlist_entries').select('id')
+      .eq('rink_id', rink.id)
+      .eq('customer_email', form.email)
+      .eq('ice_portion', portionResult.portion)
+      .eq('window_start', target.start.toISOString())
+      .eq('window_end', target.end.toISOString())
+      .in('status', ['waiting', 'offered'])
+      .limit(1);
+    if (dupe.error) throw new Error('waitlist_entries: ' + dupe.error.message);
+    if (dupe.data.length) return res.status(409).json({ error: 'You are already on this waitlist', code: 'already_waiting' });
+
+    var ins = await supabase.from('waitlist_entries').insert({
+      rink_id: rink.id,
+      ice_portion: portionResult.portion,
+      slot_id: target.slot_id,
+      window_start: target.start.toISOString(),
+      window_end: target.end.toISOString(),
+      customer_name: form.name,
+      customer_email: form.email,
+      customer_phone: form.phone
+    }).select('*').single();
+    if (ins.error) throw new Error('waitlist_entries: ' + ins.error.message);
+
+    console.log('[WAITLIST] Joined', ins.data.id, rink.id, target.slot_id || 'window', target.start.toISOString());
+    res.status(201).json({ entry: waitlistView(ins.data), token: waitlistLinks.tokenFor(ins.data.id) });
+  } catch (err) {
+    console.error('[WAITLIST] Join failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Could not join the waitlist' });
+  }
+});
+
+// GET /api/waitlist/:token — the entry; while an offer is open, the held slot
+// in the shape /api/slots uses, for the booking modal
+app.get('/api/waitlist/:token', async function (req, res) {
+  try {
+    var found = await waitlistEntryFor(req.params.token);
+    if (found.error) return res.status(found.status).json({ error: found.error, code: found.code });
+    var entry = found.entry;
+    var rink = findRink(entry.rink_id);
+    var live = entry.status === 'offered' && new Date(entry.offer_expires_at) > new Date() && rink;
+    var slot = null;
+    if (live) {
+      var start = new Date(entry.offer_start);
+      var end = new Date(entry.offer_end);
+      slot = {
+        id: entry.offer_slot_id,
+        rink_id: rink.id,
+        title: rink.name,
+        start: start,
+        end: end,
+        price_cents: rink.pricing.priceIntervalCents(start, end),
+        half_price_cents: rink.pricing.halfIceFraction ? rink.pricing.priceIntervalCents(start, end, 'half_a') : null,
+        free_halves: portionHalves(entry.ice_portion)
+      };
+    }
+    res.json({ entry: waitlistView(entry), slot: slot });
+  } catch (err) {
+    console.error('[WAITLIST] Lookup failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Could not load the waitlist entry' });
+  }
+});
+
+// DELETE /api/waitlist/:token — leave the waitlist (an open offer is passed on)
+app.delete('/api/waitlist/:token', async function (req, res) {
+  try {
+    var found = await waitlistEntryFor(req.params.token);
+    if (found.error) return res.status(found.status).json({ error: found.error, code: found.code });
+    if (['waiting', 'offered'].indexOf(found.entry.status) === -1) {
+      return res.status(409).json({ error: 'This waitlist request is no longer active', code: 'not_waiting' });
+    }
+    var upd = await supabase.from('waitlist_entries')
+      .update({ status: 'removed', updated_at: new Date().toISOString() })
+      .eq('id', found.entry.id)
+      .select('*')
+      .single();
+    if (upd.error) throw new Error('waitlist_entries: ' + upd.error.message);
+    console.log('[WAITLIST] Left', found.entry.id);
+    res.json({ entry: waitlistView(upd.data) });
+  } catch (err) {
+    console.error('[WAITLIST] Leave failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Could not leave the waitlist' });
+  }
+});
+
+// Email one offered entry its claim link
+async function sendWaitlistOffer(rink, entry, sharedWith) {
+  var until = new Intl.DateTimeFormat('en-US', { hour: 'numeric', minute: '2-digit', timeZone: TIMEZONE || undefined })
+    .format(new Date(entry.offer_expires_at));
+  try {
+    var mailId = await sendBookingEmail({
+      to: entry.customer_email,
+      whenText: fmtWhen(entry.offer_start, entry.offer_end),
+      whereText: 'Wings Arena — ' + rink.name + ', ' + fmtPortion(entry.ice_portion),
+      amountText: fmtUSDFromCents(rink.pricing.priceIntervalCents(new Date(entry.offer_start), new Date(entry.offer_end), entry.ice_portion)),
+      subject: 'Wings Arena — Ice Opened Up From Your Waitlist',
+      heading: 'Good news: ice you were waiting for is open. It is held for you' +
+        (sharedWith > 1 ? ' and ' + (sharedWith - 1) + ' other' + (sharedWith > 2 ? 's' : '') + ' on the waitlist' : '') +
+        ' until ' + until + (sharedWith > 1 ? '; the first to book it gets it' : '') +
+        '. Claim it here: ' + waitlistLinks.urlFor(entry.id),
+      closing: 'If it is not booked by then, it goes back on sale and this waitlist request ends.'
+    });
+    console.log('[MAIL] Waitlist offer sent to', entry.customer_email, 'id:', mailId);
+  } catch (mailErr) {
+    console.error('[MAIL] Failed to send:', mailErr && mailErr.message ? mailErr.message : mailErr);
+  }
+}
+
+// Hold the open ice on a sheet in [from, until) for the entries waiting on it,
+// next in line first (planOffers). ignoreBookingId: a booking about to give its
+// ice back, whose ice counts as open. → [{ offer, holdGroup, expiresAt }], not yet notified
+async function holdWaitlistOffers(rink, from, until, ignoreBookingId) {
+  var now = new Date();
+  var waiting = await supabase.from('waitlist_entries').select('*')
+    .eq('status', 'waiting')
+    .eq('rink_id', rink.id)
+    .lt('window_start', until.toISOString())
+    .gt('window_end', from.toISOString())
+    .order('created_at', { ascending: true });
+  if (waiting.error) throw new Error('waitlist_entries: ' + waiting.error.message);
+  if (!waiting.data.length) return [];
+
+  var open = (await segmentsBetween(rink, from, until, ignoreBookingId)).filter(function (seg) { return seg.start > now; });
+  var offers = planOffers(waiting.data, open, WAITLIST_NOTIFY_COUNT);
+  var held = [];
+  for (var i = 0; i < offers.length; i++) {
+    var seg = offers[i].segment;
+    var holdGroup = crypto.randomUUID();
+    var expiresAt = new Date(Date.now() + WAITLIST_CLAIM_MINUTES * 60 * 1000).toISOString();
+    var holdResp = await supabase.rpc('acquire_slot_hold', {
+      p_rink_id: rink.id,
+      p_hold_group: holdGroup,
+      p_rows: iceHoldRows([{ slot_id: seg.id, start: seg.start, end: seg.end }],
+        offers[i].halves.length === HALVES.length ? 'full' : 'half_' + offers[i].halves[0]),
+      p_buffer_minutes: rink.segmentation.buffer_minutes,
+      p_customer_name: 'Waitlist offer',
+      p_customer_email: offers[i].entries[0].customer_email,
+      p_expires_at: expiresAt,
+      p_ignore_booking_id: ignoreBookingId ? String(ignoreBookingId) : null
+    });
+    if (holdResp.error) throw new Error('acquire_slot_hold: ' + holdResp.error.message);
+    if (!holdResp.data) {
+      console.log('[WAITLIST] Taken before it could be offered', seg.id);
+      continue;
+    }
+    held.push({ offer: offers[i], holdGroup: holdGroup, expiresAt: expiresAt });
+  }
+  return held;
+}
+
+// Tell the entries of one held offer (holdWaitlistOffers) about it; the hold is
+// dropped when none of them is still waiting
+async function notifyWaitlistOffer(rink, held) {
+  var seg = held.offer.segment;
+  var notified = 0;
+  for (var i = 0; i < held.offer.entries.length; i++) {
+    var entry = held.offer.entries[i];
+    var upd = await supabase.from('waitlist_entries').update({
+      status: 'offered',
+      offer_hold_group: held.holdGroup,
+      offer_slot_id: seg.id,
+      offer_start: seg.start.toISOString(),
+      offer_end: seg.end.toISOString(),
+      offer_expires_at: held.expiresAt,
+      offers_made: entry.offers_made + 1,
+      updated_at: new Date().toISOString()
+    }).eq('id', entry.id).eq('status', 'waiting').select('*');
+    if (upd.error) throw new Error('waitlist_entries: ' + upd.error.message);
+    if (!upd.data.length) continue; // left the list (or got another offer) meanwhile
+    await sendWaitlistOffer(rink, upd.data[0], held.offer.entries.length);
+    notified++;
+  }
+  if (!notified) {
+    await supabase.from('slot_holds').delete().eq('hold_group', held.holdGroup);
+    return;
+  }
+  offerWhenHoldLapses(rink, seg.start, seg.end, held.expiresAt);
+  console.log('[WAITLIST] Offered', seg.id, 'to', notified, 'until', held.expiresAt);
+}
+
+// Offer the open ice on a sheet in [from, until) to whoever waits on it
+async function offerOpenIce(rink, from, until) {
+  if (!supabase || !waitlistLinks) return;
+  var held = await holdWaitlistOffers(rink, from, until, null);
+  for (var i = 0; i < held.length; i++) await notifyWaitlistOffer(rink, held[i]);
+}
+
+// Entries whose offer lapsed unclaimed leave the list
+async function expireLapsedOffers() {
+  var nowISO = new Date().toISOString();
+  var lapsed = await supabase.from('waitlist_entries').update({ status: 'expired', updated_at: nowISO })
+    .eq('status', 'offered').lte('offer_expires_at', nowISO);
+  if (lapsed.error) throw new Error('waitlist_entries: ' + lapsed.error.message);
+}
+
+// When a hold on [from, until) lapses (an unpaid checkout, an unclaimed offer),
+// offer the ice to the waitlist straight away instead of at the next sweep
+function offerWhenHoldLapses(rink, from, until, expiresAt) {
+  if (!supabase || !waitlistLinks) return;
+  setTimeout(function () {
+    expireLapsedOffers()
+      .then(function () { return offerOpenIce(rink, new Date(from), new Date(until)); })
+      .catch(function (err) { console.error('[WAITLIST] Offer after hold expiry failed:', err && err.message ? err.message : err); });
+  }, Math.max(0, new Date(expiresAt).getTime() - Date.now()));
+}
+
+// Before a rental gives its ice back (bookingLifecycle's beforeIceRelease): what
+// the waitlist wants of it is held for the next entries in line while the booking
+// still has it, so it never shows as open to everyone first. Returns
+// finish(released): tells those entries, or drops the holds if the release failed.
+async function holdReleasedIceForWaitlist(booking) {
+  if (!supabase || !waitlistLinks || booking.kind === 'session') return null;
+  var rink = findRink(booking.rink_id || DEFAULT_RINK_ID);
+  if (!rink) return null;
+  var held;
+  try {
+    held = await holdWaitlistOffers(rink, new Date(booking.start_ts), new Date(booking.end_ts), booking.id);
+  } catch (err) {
+    console.error('[WAITLIST] Could not hold released ice:', booking.id, err && err.message ? err.message : err);
+    return null;
+  }
+  if (!held.length) return null;
+  return async function (released) {
+    try {
+      for (var i = 0; i < held.length; i++) {
+        if (released) await notifyWaitlistOffer(rink, held[i]);
+        else await supabase.from('slot_holds').delete().eq('hold_group', held[i].holdGroup);
+      }
+    } catch (err) {
+      console.error('[WAITLIST] Offer of released ice failed:', booking.id, err && err.message ? err.message : err);
+    }
+  };
+}
+
+// Backstop for offers missed above (e.g. holds that lapsed while the server was
+// down): expire lapsed offers and past entries, then offer open ice to whoever waits
+async function sweepWaitlist() {
+  if (waitlistSweeping) return;
+  waitlistSweeping = true;
+  try {
+    var now = new Date();
+    await expireLapsedOffers();
+    var past = await supabase.from('waitlist_entries').update({ status: 'expired', updated_at: now.toISOString() })
+      .eq('status', 'waiting').lte('window_end', now.toISOString());
+    if (past.error) throw new Error('waitlist_entries: ' + past.error.message);
+
+    var waiting = await supabase.from('waitlist_entries').select('rink_id, window_start, window_end').eq('status', 'waiting');
+    if (waiting.error) throw new Error('waitlist_entries: ' + waiting.error.message);
+
+    for (var i = 0; i < rinks.length; i++) {
+      var rink = rinks[i];
+      var entries = waiting.data.filter(function (e) { return e.rink_id === rink.id; });
+      if (!entries.length) continue;
+      var from = new Date(Math.max(now.getTime(), Math.min.apply(null, entries.map(function (e) { return new Date(e.window_start).getTime(); }))));
+      var until = new Date(Math.max.apply(null, entries.map(function (e) { return new Date(e.window_end).getTime(); })));
+      await offerOpenIce(rink, from, until);
+    }
+  } catch (err) {
+    console.error('[WAITLIST] Sweep failed:', err && err.message ? err.message : err);
+  } finally {
+    waitlistSweeping = false;
+  }
+}
+
+/* =========================
+   STRIPE WEBHOOK
+   =========================
+   Every verified event is logged in stripe_events (db/migrations/010) and
+   processed at most once per event id. A failure answers 500 so Stripe
+   retries; failed events can also be replayed from the admin API.
+*/
+var EVENT_CLAIM_TIMEOUT_MS = 5 * 60 * 1000; // a 'processing' row older than this is from a crashed run
+
+// Run one event through its handler → 'processed' | 'ignored'; throws on failure
+async function processStripeEvent(event) {
+  var obj = event.data.object;
+  var md = (obj && obj.metadata) ? obj.metadata : {};
+  var ctx = { actor: 'stripe', stripe_event_id: event.id }; // booking_events audit context
+  if (event.type === 'checkout.session.completed' && md.kind === 'session') {
+    await completeSessionCheckout(obj, md, ctx);
+  } else if (event.type === 'checkout.session.completed' && md.kind === 'reschedule') {
+    await completeRescheduleCheckout(obj, md, ctx);
+  } else if (event.type === 'checkout.session.completed' && md.kind === 'series') {
+    await completeSeriesCheckout(obj, md, ctx);
+  } else if (event.type === 'checkout.session.completed') {
+    await completeRentalCheckout(obj, md, ctx);
+  } else if (event.type === 'checkout.session.async_payment_succeeded') {
+    await settleAsyncPayment(obj, true, ctx);
+  } else if (event.type === 'checkout.session.async_payment_failed') {
+    await settleAsyncPayment(obj, false, ctx);
+  } else if (event.type === 'checkout.session.expired') {
+    await releaseExpiredCheckout(obj);
+  } else if (event.type === 'charge.refunded') {
+    await handleChargeRefunded(obj, ctx);
+  } else if (event.type === 'charge.dispute.created') {
+    await handleDisputeCreated(obj, ctx);
+  } else if (event.type === 'invoice.paid' || event.type === 'invoice.payment_failed') {
+    await handleSeriesInvoice(obj, event.type === 'invoice.paid');
+  } else {
+    return 'ignored';
+  }
+  return 'processed';
+}
+
+// Take an event row for processing. Only rows not yet done (or abandoned
+// mid-run) can be claimed, so concurrent deliveries/replays run it once.
+async function claimStripeEvent(id) {
+  var staleISO = new Date(Date.now() - EVENT_CLAIM_TIMEOUT_MS).toISOString();
+  var resp = await supabase
+    .from('stripe_events')
+    .update({ status: 'processing', claimed_at: new Date().toISOString() })
+    .eq('id', id)
+    .or('status.in.(received,failed),and(status.eq.processing,claimed_at.lt."' + staleISO + '")')
+    .select('id, type, payload, attempts');
+  if (resp.error) throw new Error('stripe_events claim: ' + resp.error.message);
+  return (resp.data || [])[0] || null;
+}
+
+// Process a claimed row and record the outcome → { status, error? }
+async function runClaimedEvent(row) {
+  var outcome;
+  var failure = null;
+  try {
+    outcome = await processStripeEvent(row.payload);
+  } catch (err) {
+    failure = err;
+  }
+  var done = await supabase
+    .from('stripe_events')
+    .update({
+      status: failure ? 'failed' : outcome,
+      attempts: (row.attempts || 0) + 1,
+      last_error: failure ? String(failure.message || failure) : null,
+      processed_at: failure ? null : new Date().toISOString()
+    })
+    .eq('id', row.id);
+  if (done.error) console.error('[WEBHOOK] Could not record outcome for', row.id, done.error.message);
+  if (failure) {
+    console.error('[WEBHOOK] ' + row.type + ' ' + row.id + ' failed:', failure);
+    return { status: 'failed', error: String(failure.message || failure) };
+  }
+  console.log('[WEBHOOK] ' + row.type + ' ' + row.id + ' ' + outcome);
+  return { status: outcome };
+}
+
+// Log + process a verified event → { status: processed|ignored|duplicate|busy|failed }
+async function handleStripeEvent(event) {
+  if (!supabase) {
+    try {
+      return { status: await processStripeEvent(event) };
+    } catch (err) {
+      console.error('[WEBHOOK] ' + event.type + ' ' + event.id + ' failed:', err);
+      return { status: 'failed', error: String(err.message || err) };
+    }
+  }
+
+  var logged = await supabase
+    .from('stripe_events')
+    .upsert({ id: event.id, type: event.type, payload: event }, { onConflict: 'id', ignoreDuplicates: true });
+  if (logged.error) throw new Error('stripe_events insert: ' + logged.error.message);
+
+  var row = await claimStripeEvent(event.id);
+  if (row) return runClaimedEvent(row);
+
+  var seen = await supabase.from('stripe_events').select('status').eq('id', event.id).maybeSingle();
+  if (seen.data && seen.data.status === 'processing') return { status: 'busy' };
+  return { status: 'duplicate' };
+}
+
+app.post('/api/stripe/webhook', bodyParser.raw({ type: 'application/json' }), async function (req, res) {
+  if (!stripe || !STRIPE_WEBHOOK_SECRET) {
+    console.error('[WEBHOOK] Not configured: hasStripe?', !!stripe, 'hasSecret?', !!STRIPE_WEBHOOK_SECRET);
+    return res.status(500).json({ error: 'Webhook not configured' });
+  }
+  var sig = req.headers['stripe-signature'];
+  var event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    console.error('[WEBHOOK] Signature verify failed:', err && err.message ? err.message : err);
+    return res.status(400).send('Webhook Error: ' + (err && err.message ? err.message : err));
+  }
+
+  console.log('[WEBHOOK] Event:', event.type, event.id);
+
+  var result;
+  try {
+    result = await handleStripeEvent(event);
+  } catch (err) {
+    console.error('[WEBHOOK] Event log error:', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Could not record event' });
+  }
+  // non-2xx makes Stripe retry: failed runs, and deliveries racing one still in progress
+  if (result.status === 'failed') return res.status(500).json({ error: 'Event processing failed' });
+  if (result.status === 'busy') return res.status(409).json({ error: 'Event is being processed' });
+  res.json({ received: true, status: result.status });
+});
+
+// GET /api/admin/stripe-events?status=failed — logged events (newest first, default: failed)
+app.get('/api/admin/stripe-events', requireAdmin, async function (req, res) {
+  if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+  var status = req.query.status || 'failed';
+  var list = await supabase
+    .from('stripe_events')
+    .select('id, type, status, attempts, last_error, received_at, processed_at')
+    .eq('status', status)
+    .order('received_at', { ascending: false })
+    .limit(Math.min(Number(req.query.limit) || 50, 200));
+  if (list.error) return res.status(500).json({ error: list.error.message });
+  res.json({ events: list.data || [] });
+});
+
+// POST /api/admin/stripe-events/:id/replay — re-run one failed (or abandoned) event
+app.post('/api/admin/stripe-events/:id/replay', requireAdmin, async function (req, res) {
+  if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+  try {
+    var row = await claimStripeEvent(req.params.id);
+    if (!row) {
+      var seen = await supabase.from('stripe_events').select('status').eq('id', req.params.id).maybeSingle();
+      if (!seen.data) return res.status(404).json({ error: 'Event not found' });
+      return res.status(409).json({ error: 'Event is ' + seen.data.status + ', not failed', code: 'not_replayable' });
+    }
+    console.log('[ADMIN] Replaying', row.type, row.id);
+    var result = await runClaimedEvent(row);
+    res.status(result.status === 'failed' ? 500 : 200).json(Object.assign({ id: row.id }, result));
+  } catch (err) {
+    console.error('[ADMIN] Replay failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Replay failed' });
+  }
+});
+
+// POST /api/admin/stripe-events/replay — re-run every failed event, oldest first
+app.post('/api/admin/stripe-events/replay', requireAdmin, async function (_req, res) {
+  if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+  try {
+    var failed = await supabase
+      .from('stripe_events')
+      .select('id')
+      .eq('status', 'failed')
+      .order('received_at', { ascending: true })
+      .limit(100);
+    if (failed.error) throw new Error(failed.error.message);
+    var results = [];
+    for (var i = 0; i < (failed.data || []).length; i++) {
+      var row = await claimStripeEvent(failed.data[i].id);
+      if (row) results.push(Object.assign({ id: row.id }, await runClaimedEvent(row)));
+    }
+    console.log('[ADMIN] Replayed ' + results.length + ' failed events');
+    res.json({ replayed: results });
+  } catch (err) {
+    console.error('[ADMIN] Replay failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Replay failed' });
+  }
+});
+
+/* =========================
+   ADMIN: BOOKINGS
+   ========================= */
+var ADMIN_STATUS_CODES = { not_found: 404, invalid_transition: 409, conflict: 409 };
+
+// GET /api/admin/bookings/:id — one booking with its audit trail
+app.get('/api/admin/bookings/:id', requireAdmin, async function (req, res) {
+  if (!lifecycle) return res.status(500).json({ error: 'Supabase not configured' });
+  try {
+    var found = await supabase.from('bookings').select('*').eq('id', req.params.id).maybeSingle();
+    if (found.error) throw new Error(found.error.message);
+    if (!found.data) return res.status(404).json({ error: 'Booking not found', code: 'not_found' });
+    res.json({ booking: found.data, history: await lifecycle.history(found.data.id) });
+  } catch (err) {
+    console.error('[ADMIN] Booking lookup failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Booking lookup failed' });
+  }
+});
+
+// POST /api/admin/bookings/:id/transition { to, reason } — move a booking by hand.
+// Moving to refunded refunds whatever is left of the payment through Stripe first.
+app.post('/api/admin/bookings/:id/transition', requireAdmin, async function (req, res) {
+  if (!lifecycle) return res.status(500).json({ error: 'Supabase not configured' });
+  var to = req.body && req.body.to;
+  if (BOOKING_STATES.indexOf(to) === -1) {
+    return res.status(400).json({ error: 'to must be one of: ' + BOOKING_STATES.join(', '), code: 'bad_status' });
+  }
+  var ctx = { actor: 'admin', reason: (req.body.reason && String(req.body.reason).slice(0, 500)) || null };
+  try {
+    var patch = {};
+    if (to === 'refunded') {
+      var found = await supabase.from('bookings').select('*').eq('id', req.params.id).maybeSingle();
+      if (found.error) throw new Error(found.error.message);
+      if (!found.data) return res.status(404).json({ error: 'Booking not found', code: 'not_found' });
+      var current = found.data;
+      if (!canTransition(current.status, to)) {
+        return res.status(409).json({ error: 'A ' + current.status + ' booking cannot become ' + to, code: 'invalid_transition' });
+      }
+      if (current.stripe_payment_intent && current.amount_cents > (current.refunded_cents || 0)) {
+        if (!stripe) return res.status(500).json({ error: 'Stripe not configured' });
+        var refundIds = await refundBooking(current, current.amount_cents - (current.refunded_cents || 0), 'admin-refund-' + current.id);
+        ctx.stripe_refund_id = refundIds.join(',');
+      }
+      patch.refunded_cents = current.amount_cents;
+    }
+    var result = await lifecycle.transition(req.params.id, to, ctx, patch);
+    if (result.error) return res.status(ADMIN_STATUS_CODES[result.code] || 400).json(result);
+    res.json({ booking: result.booking });
+  } catch (err) {
+    console.error('[ADMIN] Booking transition failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Booking transition failed' });
+  }
+});
+
+/* =========================
+   ADMIN: CUSTOMER TAGS (member rates, see lib/discounts.js)
+   ========================= */
+
+// GET /api/admin/customers/:email/tags — tags and the member rates they unlock
+app.get('/api/admin/customers/:email/tags', requireAdmin, async function (req, res) {
+  if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+  try {
+    var tags = await customerTags(req.params.email);
+    res.json({ email: req.params.email.toLowerCase(), tags: tags, member_rates: discounts.membersFor(req.params.email, tags) });
+  } catch (err) {
+    console.error('[ADMIN] Customer tags lookup failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Customer tags lookup failed' });
+  }
+});
+
+// PUT /api/admin/customers/:email/tags { tags: [...] } — replace a customer's tags
+app.put('/api/admin/customers/:email/tags', requireAdmin, async function (req, res) {
+  if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+  var email = String(req.params.email || '').trim().toLowerCase();
+  var tags = req.body && req.body.tags;
+  if (!/^[^\s@]+@[^\s@]+$/.test(email)) return res.status(400).json({ error: 'Invalid email', code: 'bad_email' });
+  if (!Array.isArray(tags) || tags.some(function (t) { return typeof t !== 'string' || !t.trim(); })) {
+    return res.status(400).json({ error: 'tags must be a list of names', code: 'bad_tags' });
+  }
+  tags = Array.from(new Set(tags.map(function (t) { return t.trim(); })));
+  try {
+    var del = await supabase.from('customer_tags').delete().eq('email', email);
+    if (del.error) throw new Error(del.error.message);
+    if (tags.length) {
+      var ins = await supabase.from('customer_tags').insert(tags.map(function (t) { return { email: email, tag: t }; }));
+      if (ins.error) throw new Error(ins.error.message);
+    }
+    console.log('[ADMIN] Tags for', email, 'set to', tags.join(', ') || '(none)');
+    res.json({ email: email, tags: tags, member_rates: discounts.membersFor(email, tags) });
+  } catch (err) {
+    console.error('[ADMIN] Customer tags update failed:', err && err.message ? err.message : err);
+    res.status(500).json({ error: 'Customer tags update failed' });
+  }
+});
+
+app.listen(PORT, function () {
+  console.log('API listening on http://localhost:' + PORT);
+  rinks.forEach(function (rink) {
+    rink.feed.start().then(function () {
+      console.log('[FEED ' + rink.id + '] Refreshing every ' + ICS_REFRESH_SECONDS + 's; snapshots in ' + ICS_SNAPSHOT_DIR);
+    });
+  });
+  if (supabase && waitlistLinks) {
+    setInterval(sweepWaitlist, WAITLIST_SWEEP_SECONDS * 1000);
+    console.log('[WAITLIST] Sweeping every ' + WAITLIST_SWEEP_SECONDS + 's');
+  }
 });
@@ -0,0 +1,37 @@
+// lib/discounts.js lineFor: how much of a rental a discount may take (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDiscounts } from '../lib/discounts.js';
+import { createPricingEngine } from '../lib/pricing.js';
+
+const pricing = createPricingEngine({
+  rules: [
+    { id: 'day', label: 'Daytime Ice', days: [0, 1, 2, 3, 4, 5, 6], start: '06:00', end: '18:00', rate_cents: 6000 },
+    { id: 'late', label: 'Late Ice', days: [0, 1, 2, 3, 4, 5, 6], start: '18:00', end: '23:00', rate_cents: 60 }
+  ]
+}, { timezone: 'UTC' });
+const discounts = createDiscounts({ codes: [], members: [] }, { timezone: 'UTC' });
+
+// An hour of ice at 10:00 (6000¢) or half an hour at 20:00 (30¢)
+const DAY_HOUR = [{ start: '2026-01-05T10:00:00Z', end: '2026-01-05T11:00:00Z' }];
+const LATE_HALF_HOUR = [{ start: '2026-01-05T20:00:00Z', end: '2026-01-05T20:30:00Z' }];
+
+function rule(fields) {
+  return Object.assign({ source: 'code', code: 'TEST', label: 'Test', percent: null, amount_cents: null, tiers: null, days: null }, fields);
+}
+
+test('a partial percentage is taken off the ice', function () {
+  assert.equal(discounts.lineFor(rule({ percent: 25 }), pricing, DAY_HOUR, 'full').amount_cents, -1500);
+});
+
+test('100% off leaves the minimum charge to pay', function () {
+  assert.equal(discounts.lineFor(rule({ percent: 100 }), pricing, DAY_HOUR, 'full').amount_cents, -5950);
+});
+
+test('a fixed amount larger than the ice leaves the minimum charge to pay', function () {
+  assert.equal(discounts.lineFor(rule({ amount_cents: 10000 }), pricing, DAY_HOUR, 'full').amount_cents, -5950);
+});
+
+test('ice already at or below the minimum charge gets no discount', function () {
+  assert.equal(discounts.lineFor(rule({ percent: 100 }), pricing, LATE_HALF_HOUR, 'full'), null);
+});
@@ -0,0 +1,58 @@
+// lib/ics.js against small feeds in test/fixtures (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ical from 'node-ical';
+import { expandCalendar } from '../lib/ics.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Occurrences of a fixture in [from, until) as ISO { start, end } pairs
+function expand(file, from, until, defaultZone) {
+  const data = ical.sync.parseICS(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+  return expandCalendar(data, { from: new Date(from), until: new Date(until), defaultZone: defaultZone || 'UTC' })
+    .map(function (occ) { return { start: occ.start.toISOString(), end: occ.end.toISOString() }; });
+}
+
+test('RRULE: an open-ended weekly event is expanded up to the horizon only', function () {
+  assert.deepEqual(expand('weekly_rrule.ics', '2026-01-01T00:00:00Z', '2026-02-01T00:00:00Z'), [
+    { start: '2026-01-05T18:00:00.000Z', end: '2026-01-05T19:00:00.000Z' },
+    { start: '2026-01-12T18:00:00.000Z', end: '2026-01-12T19:00:00.000Z' },
+    { start: '2026-01-19T18:00:00.000Z', end: '2026-01-19T19:00:00.000Z' },
+    { start: '2026-01-26T18:00:00.000Z', end: '2026-01-26T19:00:00.000Z' }
+  ]);
+});
+
+test('RRULE: occurrences before `from` are left out, one still running is kept', function () {
+  assert.deepEqual(expand('weekly_rrule.ics', '2026-01-19T18:30:00Z', '2026-01-27T00:00:00Z'), [
+    { start: '2026-01-19T18:00:00.000Z', end: '2026-01-19T19:00:00.000Z' },
+    { start: '2026-01-26T18:00:00.000Z', end: '2026-01-26T19:00:00.000Z' }
+  ]);
+});
+
+test('EXDATE: the excluded occurrence is dropped', function () {
+  assert.deepEqual(expand('exdate.ics', '2026-01-01T00:00:00Z', '2026-03-01T00:00:00Z'), [
+    { start: '2026-01-05T18:00:00.000Z', end: '2026-01-05T19:00:00.000Z' },
+    { start: '2026-01-19T18:00:00.000Z', end: '2026-01-19T19:00:00.000Z' },
+    { start: '2026-01-26T18:00:00.000Z', end: '2026-01-26T19:00:00.000Z' }
+  ]);
+});
+
+test('RECURRENCE-ID: an overridden occurrence moves to its new day and time', function () {
+  assert.deepEqual(expand('recurrence_id.ics', '2026-01-01T00:00:00Z', '2026-03-01T00:00:00Z'), [
+    { start: '2026-01-05T18:00:00.000Z', end: '2026-01-05T19:00:00.000Z' },
+    { start: '2026-01-13T20:00:00.000Z', end: '2026-01-13T21:30:00.000Z' },
+    { start: '2026-01-19T18:00:00.000Z', end: '2026-01-19T19:00:00.000Z' }
+  ]);
+});
+
+test('TZID: a weekly 6 pm event stays at 6 pm local across the DST change', function () {
+  // America/New_York springs forward on 2026-03-08: 6 pm is 23:00Z before, 22:00Z after
+  assert.deepEqual(expand('tzid_dst.ics', '2026-03-01T00:00:00Z', '2026-04-01T00:00:00Z', 'UTC'), [
+    { start: '2026-03-02T23:00:00.000Z', end: '2026-03-03T00:30:00.000Z' },
+    { start: '2026-03-09T22:00:00.000Z', end: '2026-03-09T23:30:00.000Z' },
+    { start: '2026-03-16T22:00:00.000Z', end: '2026-03-16T23:30:00.000Z' }
+  ]);
+});
@@ -0,0 +1,93 @@
+// lib/refundPolicy.js: cancellation windows and the per-payment refund split (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_REFUND_POLICY, normalizeRefundPolicy, refundForCancellation, refundAllocation } from '../lib/refundPolicy.js';
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const HOUR_MS = 3600000;
+
+function startsIn(ms) {
+  return new Date(NOW.getTime() + ms).toISOString();
+}
+
+test('refundForCancellation: the default 48-hour window', function () {
+  const policy = normalizeRefundPolicy(DEFAULT_REFUND_POLICY);
+  [
+    { name: 'a week out', start: startsIn(7 * 24 * HOUR_MS), percent: 100, cents: 10000 },
+    { name: 'exactly 48h out', start: startsIn(48 * HOUR_MS), percent: 100, cents: 10000 },
+    { name: 'a minute inside 48h', start: startsIn(48 * HOUR_MS - 60000), percent: 0, cents: 0 },
+    { name: 'already started', start: startsIn(-HOUR_MS), percent: 0, cents: 0 }
+  ].forEach(function (row) {
+    const result = refundForCancellation(policy, { start_ts: row.start, amount_cents: 10000, refunded_cents: 0 }, NOW);
+    assert.equal(result.refund_percent, row.percent, row.name);
+    assert.equal(result.refund_cents, row.cents, row.name);
+  });
+});
+
+test('refundForCancellation: a partial tier refunds its share of what is still unrefunded', function () {
+  const policy = normalizeRefundPolicy({
+    tiers: [
+      { min_hours_before: 0, refund_percent: 0 },
+      { min_hours_before: 72, refund_percent: 100 },
+      { min_hours_before: 24, refund_percent: 50 }
+    ]
+  });
+  [
+    { name: 'inside 72h', booking: { amount_cents: 10000, refunded_cents: 0 }, cents: 5000 },
+    { name: 'rounded to the cent', booking: { amount_cents: 10001, refunded_cents: 0 }, cents: 5001 },
+    { name: 'after an earlier refund', booking: { amount_cents: 10000, refunded_cents: 2000 }, cents: 4000 }
+  ].forEach(function (row) {
+    const result = refundForCancellation(policy, Object.assign({ start_ts: startsIn(30 * HOUR_MS) }, row.booking), NOW);
+    assert.equal(result.refund_percent, 50, row.name);
+    assert.equal(result.refund_cents, row.cents, row.name);
+    assert.equal(result.hours_before, 30, row.name);
+  });
+});
+
+test('refundAllocation: top-ups are refunded newest first and the parts add up to the refund', function () {
+  const booking = {
+    amount_cents: 15000,
+    stripe_payment_intent: 'pi_original',
+    extra_payments: [
+      { payment_intent: 'pi_topup_1', amount_cents: 3000 },
+      { payment_intent: 'pi_topup_2', amount_cents: 2000 }
+    ]
+  };
+  [
+    {
+      name: 'part of the last top-up',
+      refunded: 0,
+      cents: 1500,
+      split: [{ payment_intent: 'pi_topup_2', amount_cents: 1500 }]
+    },
+    {
+      name: 'across every payment',
+      refunded: 0,
+      cents: 12000,
+      split: [
+        { payment_intent: 'pi_topup_2', amount_cents: 2000 },
+        { payment_intent: 'pi_topup_1', amount_cents: 3000 },
+        { payment_intent: 'pi_original', amount_cents: 7000 }
+      ]
+    },
+    {
+      name: 'the rest after an earlier refund',
+      refunded: 2500,
+      cents: 12500,
+      split: [
+        { payment_intent: 'pi_topup_1', amount_cents: 2500 },
+        { payment_intent: 'pi_original', amount_cents: 10000 }
+      ]
+    }
+  ].forEach(function (row) {
+    const split = refundAllocation(Object.assign({ refunded_cents: row.refunded }, booking), row.cents);
+    assert.deepEqual(split, row.split, row.name);
+    assert.equal(split.reduce(function (sum, p) { return sum + p.amount_cents; }, 0), row.cents, row.name);
+  });
+});
+
+test('refundAllocation: a booking without top-ups refunds its one payment', function () {
+  assert.deepEqual(refundAllocation({ amount_cents: 8000, refunded_cents: 0, stripe_payment_intent: 'pi_1' }, 8000), [
+    { payment_intent: 'pi_1', amount_cents: 8000 }
+  ]);
+});
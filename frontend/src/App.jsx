@@ -5,6 +5,7 @@ import dayGridPlugin from '@fullcalendar/daygrid';
 import timeGridPlugin from '@fullcalendar/timegrid';
 import interactionPlugin from '@fullcalendar/interaction';
 import BookingModal from './BookingModal';
+import WaitlistModal from './WaitlistModal';
 import Carousel from "./Carousel";
 import AdditionalInfo from './AdditionalInfo';
 
@@ -12,6 +13,9 @@ import './calendar.css';
 
 const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:8080';
 const LOGO_SRC = '/logo.png';
+const MAX_CART_SEGMENTS = 12; // matches the backend's per-checkout limit
+const DEFAULT_EVENT_COLOR = '#d6001d';
+const TAKEN_EVENT_COLOR = '#64748b';
 
 // ---- format helpers
 function fmtDuration(ms) {
@@ -39,59 +43,35 @@ function toYMD(d) {
   return `${y}-${m}-${da}`;
 }
 
-// ===== HOLIDAY HELPERS (blackout) =====
-
-// Fixed-date holidays: New Year's Day (01-01), New Year's Eve (12-31),
-// Christmas Eve (12-24), Christmas Day (12-25)
-function isFixedHolidayYMD(ymd) {
-  const mmdd = ymd.slice(5);
-  return mmdd === '01-01' || mmdd === '12-31' || mmdd === '12-24' || mmdd === '12-25';
+// "Mon–Fri" / "Sat, Sun" label for a pricing rule's days (0=Sun..6=Sat)
+const DAY_ABBR = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+function fmtRuleDays(days) {
+  const sorted = [...days].sort((a, b) => a - b);
+  const contiguous = sorted.every((d, i) => i === 0 || d === sorted[i - 1] + 1);
+  if (contiguous && sorted.length > 2) return `${DAY_ABBR[sorted[0]]}–${DAY_ABBR[sorted[sorted.length - 1]]}`;
+  return sorted.map((d) => DAY_ABBR[d]).join(', ');
 }
-
-// Thanksgiving (USA): 4th Thursday in November
-function thanksgivingYMD(year) {
-  // Nov 1 UTC noon to avoid DST artifacts
-  const d = new Date(Date.UTC(year, 10, 1, 12, 0, 0));
-  const day = d.getUTCDay(); // 0..6
-  const offsetToThursday = (4 - day + 7) % 7; // Thursday=4
-  const firstThursday = 1 + offsetToThursday;
-  const fourthThursday = firstThursday + 21;
-  const y = d.getUTCFullYear();
-  const m = '11';
-  const dd = String(fourthThursday).padStart(2, '0');
-  return `${y}-${m}-${dd}`;
+function fmtHHMM(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return fmtStartTime(new Date(2000, 0, 1, h, m));
 }
 
-function isHolidayDateLocal(dateLocal) {
-  const ymd = toYMD(dateLocal);
-  if (isFixedHolidayYMD(ymd)) return true;
-  const year = dateLocal.getFullYear();
-  return ymd === thanksgivingYMD(year);
+// ===== HALF ICE =====
+// A segment lists the halves ('a'/'b') still free; a slot with one free half
+// can only be booked as that half. Custom-length picks are full ice only.
+function isHalfOnly(slot) {
+  return Array.isArray(slot.free_halves) && slot.free_halves.length === 1;
 }
-
-// Date helpers for overlap checks
-function startOfLocalDay(d) {
-  const nd = new Date(d);
-  nd.setHours(0, 0, 0, 0);
-  return nd;
+function commonFreeHalves(slots) {
+  return ['a', 'b'].filter((h) => slots.every((s) => !s.free_halves || s.free_halves.includes(h)));
 }
-function addDaysLocal(d, days) {
-  const nd = new Date(d);
-  nd.setDate(nd.getDate() + days);
-  return nd;
+function defaultPortion(slots) {
+  const halves = commonFreeHalves(slots);
+  return halves.length === 1 ? `half_${halves[0]}` : 'full';
 }
-
-// Does [start, end) overlap any holiday local day?
-function overlapsHolidayLocal(start, end) {
-  if (!(start instanceof Date) || !(end instanceof Date) || isNaN(start) || isNaN(end)) return false;
-  if (end <= start) return false;
-  let cursor = startOfLocalDay(start);
-  const endBoundary = startOfLocalDay(end);
-  while (cursor <= endBoundary) {
-    if (isHolidayDateLocal(cursor)) return true;
-    cursor = addDaysLocal(cursor, 1);
-  }
-  return false;
+// Listed price for the cart bar: the half price when only a half is left
+function listedPriceCents(slot) {
+  return (isHalfOnly(slot) ? slot.half_price_cents : slot.price_cents) ?? 0;
 }
 
 // Real hover check (desktop only typically)
@@ -102,8 +82,32 @@ const canHover = () =>
 
 export default function App() {
   const [events, setEvents] = useState([]);
-  const [selected, setSelected] = useState(null);
+  const [sessions, setSessions] = useState([]); // ticketed sessions (per-person seats)
+  const [taken, setTaken] = useState([]); // fully booked slots, shown for their waitlist
+  const [selected, setSelected] = useState(null); // segments being checked out
+  const [icePortion, setIcePortion] = useState('full'); // 'full' | 'half_a' | 'half_b'
+  const [ticketQty, setTicketQty] = useState(1); // seats, when booking a session
+  const [cart, setCart] = useState([]); // segments picked on the calendar
+  const [bookingMode, setBookingMode] = useState('segments'); // 'segments' | 'windows' (custom length)
+  const [openWindows, setOpenWindows] = useState([]);
+  const [customRules, setCustomRules] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState('');
+  const [bookingForm, setBookingForm] = useState(null); // { purposes } from /api/booking-form
+  const [fieldErrors, setFieldErrors] = useState({}); // checkout validation errors by form field
+  const [addonCatalog, setAddonCatalog] = useState([]); // extras from /api/addons
+  const [addonQty, setAddonQty] = useState({}); // add-on id → quantity for the open booking
+  const [pricingFor, setPricingFor] = useState({ email: '', promoCode: '' }); // member rate + promo code the quote uses
+  const [repeat, setRepeat] = useState(null); // { frequency, count } when booking a recurring series
+  const [seriesPreview, setSeriesPreview] = useState(null); // occurrences + payment plans from /api/series/preview
+  const [seriesPlan, setSeriesPlan] = useState('full'); // payment plan id for a series
+  const [waitlistFor, setWaitlistFor] = useState(null); // { slot } (taken slot) or { slot: null } (time window) while joining
+  const [claim, setClaim] = useState(null); // { token, expires_at } while booking a waitlist offer
   const [loading, setLoading] = useState(false);
+  const [rinks, setRinks] = useState([]); // ice sheets: { id, name, color }
+  const [rinkFilter, setRinkFilter] = useState('all');
+  const [pricingByRink, setPricingByRink] = useState([]); // [{ rink, rules }]
+  const [slotsMeta, setSlotsMeta] = useState(null); // horizon + feed freshness from /api/slots
 
   const [calTitle, setCalTitle] = useState('');
   const [currentView, setCurrentView] = useState('timeGridWeek');
@@ -139,22 +143,60 @@ export default function App() {
     if (api) api.gotoDate(mobileDayDate);
   }, [isMobile, mobileDayOpen, mobileDayDate]);
 
+  // Sheets: single-sheet arenas keep the plain "Available Ice" labels
+  const multiRink = rinks.length > 1;
+  const rinkById = useMemo(() => Object.fromEntries(rinks.map((r, i) => [r.id, { ...r, order: i }])), [rinks]);
+  const rinkLabel = (id) => (multiRink && rinkById[id] ? rinkById[id].name : 'Available Ice');
+  const rinkColor = (id) => rinkById[id]?.color || DEFAULT_EVENT_COLOR;
+  // Sessions use their type's color; rentals their sheet's; taken slots are grey
+  const eventColor = (props) => {
+    if (props?.kind === 'taken') return TAKEN_EVENT_COLOR;
+    return props?.kind === 'session' && props.color ? props.color : rinkColor(props?.rink_id);
+  };
+  const inRinkFilter = useCallback((item) => rinkFilter === 'all' || item.rink_id === rinkFilter, [rinkFilter]);
+  const visibleEvents = useMemo(() => events.filter(inRinkFilter), [events, inRinkFilter]);
+  const visibleWindows = useMemo(() => openWindows.filter(inRinkFilter), [openWindows, inRinkFilter]);
+  const visibleSessions = useMemo(() => sessions.filter(inRinkFilter), [sessions, inRinkFilter]);
+  const visibleTaken = useMemo(() => taken.filter(inRinkFilter), [taken, inRinkFilter]);
+
   // Normalize events for FC
+  // Custom-length mode shows open windows as background areas to drag-select within.
+  // rink_order keeps each sheet in the same side-by-side column (see eventOrder below).
+  const cartIds = useMemo(() => new Set(cart.map((s) => s.id)), [cart]);
   const calendarEvents = useMemo(
-    () => events.map((s) => ({ ...s, title: 'Available Ice' })),
-    [events]
+    () => (bookingMode === 'windows'
+      ? visibleWindows.map((w) => ({ ...w, groupId: 'avail', display: 'background' }))
+      : [
+        ...visibleEvents.map((s) => ({
+          ...s,
+          rink_order: rinkById[s.rink_id]?.order ?? 0,
+          classNames: cartIds.has(s.id) ? ['inCart'] : [],
+        })),
+        ...visibleSessions.map((s) => ({
+          ...s,
+          rink_order: rinkById[s.rink_id]?.order ?? 0,
+          classNames: s.remaining ? ['sessionEvent'] : ['sessionEvent', 'soldOut'],
+        })),
+        ...visibleTaken.map((s) => ({
+          ...s,
+          kind: 'taken',
+          rink_order: rinkById[s.rink_id]?.order ?? 0,
+          classNames: ['takenEvent'],
+        })),
+      ]),
+    [bookingMode, visibleWindows, visibleEvents, visibleSessions, visibleTaken, rinkById, cartIds]
   );
 
   // Set of YYYY-MM-DD that have at least one event (for mini-cal coloring)
   const availableDaysSet = useMemo(() => {
     const s = new Set();
-    for (const ev of events) {
+    for (const ev of [...visibleEvents, ...visibleSessions.filter((s) => s.remaining > 0)]) {
       if (!ev?.start) continue;
       const d = new Date(ev.start);
       if (!isNaN(d)) s.add(toYMD(d));
     }
     return s;
-  }, [events]);
+  }, [visibleEvents, visibleSessions]);
 
   // Key to force the mini calendars to remount when availability changes
   const miniAvailKey = useMemo(
@@ -201,22 +243,44 @@ export default function App() {
     numEl.style.color = availableDaysSet.has(ymd) ? '#22c55e' : '#ef4444';
   }, [availableDaysSet]);
 
-  // Fetch slots (filter out holiday overlaps)
+  // Bookable sheets (names + calendar colors)
+  useEffect(() => {
+    axios.get(`${API_BASE}/api/rinks`)
+      .then(({ data }) => setRinks(Array.isArray(data?.rinks) ? data.rinks : []))
+      .catch((e) => console.error(e));
+  }, []);
+
+  // Checkout form purposes + group-size limits (validated again server-side)
+  useEffect(() => {
+    axios.get(`${API_BASE}/api/booking-form`)
+      .then(({ data }) => setBookingForm(data))
+      .catch((e) => console.error(e));
+  }, []);
+
+  // Add-ons a rental can include (skate rentals, party room, referee)
+  useEffect(() => {
+    axios.get(`${API_BASE}/api/addons`)
+      .then(({ data }) => setAddonCatalog(Array.isArray(data?.addons) ? data.addons : []))
+      .catch((e) => console.error(e));
+  }, []);
+
+  // Fetch slots (holidays/closures are already removed server-side). Back from
+  // Stripe's cancel page (?hold=…), release that checkout's hold first.
   useEffect(() => {
     (async () => {
       setLoading(true);
       try {
+        const hold = new URLSearchParams(window.location.search).get('hold');
+        if (hold) {
+          window.history.replaceState(null, '', window.location.pathname);
+          await axios.delete(`${API_BASE}/api/holds/${encodeURIComponent(hold)}`).catch((e) => console.error(e));
+        }
         const { data } = await axios.get(`${API_BASE}/api/slots`);
-        const raw = Array.isArray(data) ? data : [];
-
-        const filtered = raw.filter((s) => {
-          const start = new Date(s.start);
-          const end = new Date(s.end);
-          if (isNaN(start) || isNaN(end)) return false;
-          return !overlapsHolidayLocal(start, end);
-        });
-
-        setEvents(filtered);
+        const raw = Array.isArray(data?.slots) ? data.slots : [];
+        setSlotsMeta(data?.meta || null);
+        setSessions(Array.isArray(data?.sessions) ? data.sessions : []);
+        setTaken(Array.isArray(data?.taken) ? data.taken : []);
+        setEvents(raw.filter((s) => !isNaN(new Date(s.start)) && !isNaN(new Date(s.end))));
       } catch (e) {
         console.error(e);
       } finally {
@@ -225,17 +289,195 @@ export default function App() {
     })();
   }, []);
 
-  // Click on an event (both desktop & mobile day view)
+  // Claim link from a waitlist email (?waitlist=1&token=…): open the held slot
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    if (!params.get('waitlist') || !token) return;
+    window.history.replaceState(null, '', window.location.pathname);
+    axios.get(`${API_BASE}/api/waitlist/${encodeURIComponent(token)}`)
+      .then(({ data }) => {
+        if (!data.slot) {
+          alert(data.entry.status === 'claimed'
+            ? 'You have already claimed this ice.'
+            : 'Sorry, this waitlist offer has expired or was claimed by someone else.');
+          return;
+        }
+        openBooking([data.slot]);
+        setClaim({ token, expires_at: data.entry.offer.expires_at });
+      })
+      .catch((e) => alert(e.response?.data?.error || 'Could not load your waitlist offer'));
+  }, []);
+
+  // Open windows + rules for custom-length booking (loaded on first switch)
+  useEffect(() => {
+    if (bookingMode !== 'windows' || customRules) return;
+    setLoading(true);
+    axios.get(`${API_BASE}/api/slots`, { params: { mode: 'windows' } })
+      .then(({ data }) => {
+        const raw = Array.isArray(data?.windows) ? data.windows : [];
+        setOpenWindows(raw.filter((w) => !isNaN(new Date(w.start)) && !isNaN(new Date(w.end))));
+        setCustomRules(data?.rules || null);
+      })
+      .catch((e) => console.error(e))
+      .finally(() => setLoading(false));
+  }, [bookingMode, customRules]);
+
+  const switchBookingMode = (mode) => {
+    setCart([]);
+    setBookingMode(mode);
+  };
+
+  // Drag-selected range inside an open window (custom-length mode)
+  const handleRangeSelect = (info) => {
+    info.view.calendar.unselect();
+    if (!customRules) return;
+    const sheets = [...new Set(visibleWindows
+      .filter((w) => new Date(w.start) <= info.start && info.end <= new Date(w.end))
+      .map((w) => w.rink_id))];
+    if (!sheets.length) return;
+    if (sheets.length > 1) {
+      alert('That time is open on more than one sheet. Please pick a sheet above first.');
+      return;
+    }
+    const mins = Math.round((info.end - info.start) / 60000);
+    const startMins = info.start.getHours() * 60 + info.start.getMinutes();
+    if (mins < customRules.min_minutes || mins > customRules.max_minutes) {
+      alert(`Please choose between ${fmtDuration(customRules.min_minutes * 60000)} and ${fmtDuration(customRules.max_minutes * 60000)}.`);
+      return;
+    }
+    if (startMins % customRules.start_granularity_minutes !== 0) {
+      alert(`Start times must be on a ${customRules.start_granularity_minutes}-minute mark.`);
+      return;
+    }
+    openBooking([{ id: null, rink_id: sheets[0], start: info.start.toISOString(), end: info.end.toISOString() }]);
+  };
+
+  // Rate table per sheet (shown in Additional Info; same rules the API prices with)
+  useEffect(() => {
+    if (!rinks.length) return;
+    Promise.all(rinks.map((r) => axios.get(`${API_BASE}/api/pricing`, { params: { rink: r.id } })))
+      .then((resps) => setPricingByRink(resps.map(({ data }, i) => ({
+        rink: rinks[i],
+        rules: Array.isArray(data?.rules) ? data.rules : [],
+      }))))
+      .catch((e) => console.error(e));
+  }, [rinks]);
+
+  const openBooking = (slots) => {
+    setIcePortion(defaultPortion(slots));
+    setTicketQty(1);
+    setFieldErrors({});
+    setAddonQty({});
+    setPricingFor({ email: '', promoCode: '' });
+    setRepeat(null);
+    setSeriesPlan('full');
+    setClaim(null);
+    setSelected(slots);
+  };
+
+  // A single fixed rental slot can be repeated as a series (not a claimed waitlist offer)
+  const repeatOffered = !!selected && selected.length === 1 && selected[0].kind !== 'session' && bookingMode === 'segments' && !claim;
+  const planId = seriesPreview?.plans.some((p) => p.id === seriesPlan) ? seriesPlan : 'full';
+
+  // Picked add-ons as the API takes them
+  const addonPicks = Object.entries(addonQty)
+    .filter(([, qty]) => qty > 0)
+    .map(([id, quantity]) => ({ id, quantity }));
+  const addonKey = JSON.stringify(addonPicks);
+
+  // Itemized quote for the selected slot (same line items Stripe will charge);
+  // a series is previewed instead: every date, the quote for the available ones and payment plans
+  useEffect(() => {
+    setQuote(null);
+    setQuoteError('');
+    setSeriesPreview(null);
+    if (!selected) return;
+    let cancelled = false;
+    if (repeat && repeatOffered) {
+      const seriesBody = {
+        rinkId: selected[0].rink_id,
+        portion: icePortion,
+        segments: [{ slotId: selected[0].id, start: selected[0].start, end: selected[0].end }],
+        repeat,
+        addons: JSON.parse(addonKey),
+        email: pricingFor.email,
+        promoCode: pricingFor.promoCode,
+      };
+      axios.post(`${API_BASE}/api/series/preview`, seriesBody)
+        .then(({ data }) => {
+          if (cancelled) return;
+          setSeriesPreview(data);
+          if (data.quote) setQuote({ ...data.quote, discount: data.discount, promo_error: data.promo_error });
+          else setQuoteError('None of these dates can be booked');
+        })
+        .catch((e) => { if (!cancelled) setQuoteError(e.response?.data?.error || 'Could not check the series'); });
+      return () => { cancelled = true; };
+    }
+    const body = selected[0].kind === 'session'
+      ? { rinkId: selected[0].rink_id, sessionId: selected[0].id, quantity: ticketQty }
+      : {
+        rinkId: selected[0].rink_id,
+        portion: icePortion,
+        segments: selected.map((s) => ({ slotId: s.id, start: s.start, end: s.end })),
+        addons: JSON.parse(addonKey),
+        email: pricingFor.email,
+        promoCode: pricingFor.promoCode,
+      };
+    axios.post(`${API_BASE}/api/quote`, body)
+      .then(({ data }) => { if (!cancelled) setQuote(data); })
+      .catch((e) => { if (!cancelled) setQuoteError(e.response?.data?.error || 'Could not load price breakdown'); });
+    return () => { cancelled = true; };
+  }, [selected, icePortion, ticketQty, addonKey, pricingFor, repeat, repeatOffered]);
+
+  // Click on an event (both desktop & mobile day view) toggles it in the cart;
+  // a ticketed session opens the booking modal straight away, a taken slot its waitlist
   const handleEventClick = (info) => {
+    const full = taken.find((s) => s.id === info.event.id);
+    if (full) {
+      setWaitlistFor({ slot: full });
+      return;
+    }
+    const session = sessions.find((s) => s.id === info.event.id);
+    if (session) {
+      if (session.remaining > 0) openBooking([session]);
+      return;
+    }
     const slot = events.find((e) => e.id === info.event.id);
-    if (slot) setSelected(slot);
+    if (!slot) return;
+    setCart((prev) => {
+      if (prev.some((s) => s.id === slot.id)) return prev.filter((s) => s.id !== slot.id);
+      if (prev.length && prev[0].rink_id !== slot.rink_id) {
+        alert(`Your selection is on ${rinkLabel(prev[0].rink_id)}. Book it (or clear it) before choosing times on another sheet.`);
+        return prev;
+      }
+      if (!commonFreeHalves([...prev, slot]).length) {
+        alert('Only the other half of the ice is free at that time. Book your current selection first.');
+        return prev;
+      }
+      if (prev.length >= MAX_CART_SEGMENTS) {
+        alert(`You can book up to ${MAX_CART_SEGMENTS} segments in one checkout.`);
+        return prev;
+      }
+      return [...prev, slot].sort((a, b) => new Date(a.start) - new Date(b.start));
+    });
   };
+  const cartTotalCents = cart.reduce((sum, s) => sum + listedPriceCents(s), 0);
 
   // Event label
   const renderEventContent = (arg) => {
     const start = arg.event.start, end = arg.event.end;
     if (!start || !end) return null;
-    const text = `${fmtStartTime(start)} - Available Ice (${fmtDuration(end - start)})`;
+    if (arg.event.extendedProps?.kind === 'session') {
+      const left = arg.event.extendedProps.remaining;
+      const text = `${fmtStartTime(start)} - ${arg.event.title} · ${left ? `${left} spots left` : 'Sold out'}`;
+      return <div className="eventText">{text}</div>;
+    }
+    if (arg.event.extendedProps?.kind === 'taken') {
+      return <div className="eventText">{`${fmtStartTime(start)} - Full · Join waitlist`}</div>;
+    }
+    const half = isHalfOnly(arg.event.extendedProps) ? ' ½' : '';
+    const text = `${fmtStartTime(start)} - ${rinkLabel(arg.event.extendedProps?.rink_id)}${half} (${fmtDuration(end - start)})`;
     return <div className="eventText">{text}</div>;
   };
 
@@ -246,7 +488,12 @@ export default function App() {
     const start = arg.event.start, end = arg.event.end;
     if (!start || !end) return;
 
-    const priceCents = arg.event.extendedProps?.price_cents ?? 0;
+    const props = arg.event.extendedProps || {};
+    const priceCents = props.price_cents ?? 0;
+    const halfCents = props.half_price_cents;
+    const freeHalves = props.free_halves || [];
+    const isSession = props.kind === 'session';
+    const isTaken = props.kind === 'taken';
     const tip = document.createElement('div');
     tip.className = 'slot-tooltip';
     Object.assign(tip.style, {
@@ -267,11 +514,20 @@ export default function App() {
       transition: 'opacity 160ms ease, transform 160ms ease'
     });
     tip.innerHTML = `
-      <div style="font-weight:700; margin-bottom:4px; color:#f1f5f9">Available Ice</div>
+      <div style="font-weight:700; margin-bottom:4px; color:#f1f5f9">${isSession ? arg.event.title : rinkLabel(props.rink_id)}</div>
       <div><strong>Date:</strong> ${fmtDate(start)}</div>
       <div><strong>Start:</strong> ${fmtStartTime(start)}</div>
       <div><strong>End:</strong> ${fmtEndTime(end)}</div>
-      <div style="margin-top:6px;"><strong>Price:</strong> ${fmtUSD(priceCents / 100)}</div>
+      ${isTaken
+        ? `<div style="margin-top:6px;"><strong>Booked.</strong> Click to join the waitlist; we'll email you if it opens up.</div>`
+        : isSession
+        ? `<div style="margin-top:6px;"><strong>Price:</strong> ${fmtUSD(priceCents / 100)} per person</div>
+           <div><strong>Spots left:</strong> ${props.remaining} of ${props.capacity}</div>`
+        : isHalfOnly(props)
+        ? `<div style="margin-top:6px;"><strong>Half ice only:</strong> side ${freeHalves[0].toUpperCase()} free</div>
+           <div><strong>Price:</strong> ${fmtUSD(halfCents / 100)}</div>`
+        : `<div style="margin-top:6px;"><strong>Price:</strong> ${fmtUSD(priceCents / 100)}</div>
+           ${typeof halfCents === 'number' ? `<div><strong>Half ice:</strong> ${fmtUSD(halfCents / 100)}</div>` : ''}`}
     `;
     document.body.appendChild(tip);
 
@@ -428,10 +684,67 @@ export default function App() {
     }
   };
 
+  // Hourly slots vs. custom length (drag-select inside a window)
+  const modeToggle = (
+    <div className="modeBtns">
+      <button className={'viewBtn ' + (bookingMode === 'segments' ? 'active' : '')} onClick={() => switchBookingMode('segments')}>Hourly Slots</button>
+      <button className={'viewBtn ' + (bookingMode === 'windows' ? 'active' : '')} onClick={() => switchBookingMode('windows')}>Custom Length</button>
+    </div>
+  );
+  const customHint = bookingMode === 'windows' && customRules && (
+    <p className="modeHint">
+      Drag across a shaded window to choose your time — {fmtDuration(customRules.min_minutes * 60000)} to {fmtDuration(customRules.max_minutes * 60000)},
+      starting every {customRules.start_granularity_minutes} minutes.
+      {' '}Nothing fits? <button type="button" className="linkBtn" onClick={() => setWaitlistFor({ slot: null })}>Join the waitlist</button>
+    </p>
+  );
+  // Sheet picker; also the color legend for the calendar
+  const rinkToggle = multiRink && (
+    <div className="rinkBtns" role="group" aria-label="Ice sheet">
+      <button className={'viewBtn ' + (rinkFilter === 'all' ? 'active' : '')} onClick={() => setRinkFilter('all')}>All Sheets</button>
+      {rinks.map((r) => (
+        <button key={r.id} className={'viewBtn ' + (rinkFilter === r.id ? 'active' : '')} onClick={() => setRinkFilter(r.id)}>
+          <span className="rinkSwatch" style={{ background: r.color }} />
+          {r.name}
+        </button>
+      ))}
+    </div>
+  );
+  const bgEventDidMount = (arg) => {
+    arg.el.style.background = `${rinkColor(arg.event.extendedProps?.rink_id)}4d`;
+    arg.el.style.opacity = '1';
+  };
+
+  const horizonDays = slotsMeta?.horizon_days ?? 90;
+  const horizonNote = `The booking calendar reflects available ice times ${horizonDays} days out. If you'd like to inquire about a booking past ${horizonDays} days, please email info@wingsarena.com.`;
+  const staleNotice = slotsMeta?.feed?.stale && (
+    <p className="staleNotice">
+      Availability may be out of date (last updated {new Date(slotsMeta.feed.fetched_at).toLocaleString()}). We'll confirm your time at checkout.
+    </p>
+  );
+
   // Additional Info sections (static)
   const additionalInfoSections = [
     { id: 'policies', title: 'Arena Policies', content: <div><p>Helmets required for all skaters under 18. No outside food in bench area. Please arrive 15 minutes early for check-in.</p></div> },
-    { id: 'cancellations', title: 'Cancellations & Refunds', content: <div><p>Cancellations must be received 48 hours prior to booking start time for a full refund. Inside 48 hours, fees are non-refundable.</p></div> },
+    { id: 'cancellations', title: 'Cancellations & Refunds', content: <div><p>Cancellations must be received 48 hours prior to booking start time for a full refund. Inside 48 hours, fees are non-refundable.</p><p>To cancel, use the “Manage your booking” link in your confirmation email.</p></div> },
+    ...(pricingByRink.some((p) => p.rules.length) ? [{
+      id: 'rates',
+      title: 'Ice Rates',
+      content: (
+        <div>
+          {pricingByRink.map((p) => (
+            <div key={p.rink.id}>
+              {multiRink && <p className="rateSheet">{p.rink.name}</p>}
+              {p.rules.map((r) => (
+                <p key={r.id}>
+                  <strong>{r.label}</strong> — {fmtRuleDays(r.days)}, {fmtHHMM(r.start)}–{fmtHHMM(r.end)}: {fmtUSD(r.rate_cents / 100)}/hr
+                </p>
+              ))}
+            </div>
+          ))}
+        </div>
+      )
+    }] : []),
     { id: 'equipment', title: 'Equipment & Rentals', content: <div><p>Skate rentals available on site. The first 15 rentals are free; additional rentals are $2 each.</p></div> },
     { id: 'parking', title: 'Parking & Entry', content: <div><p>Free parking on the south lot. Use the main entrance; the desk is immediately to your right for wristbands and waivers.</p></div> },
     { id: 'contact', title: 'Contact & Support', content: <div><p>Questions? Call (555) 555-0123 or email support@wingsarena.com. Front desk staffed 7am–10pm daily.</p></div> },
@@ -448,7 +761,7 @@ export default function App() {
           <AdditionalInfo
             sections={additionalInfoSections}
             triggerText="Additional Info"
-            footerNote="The booking calendar reflects available ice times 90 days out. If you'd like to inquire about a booking past 90 days, please email info@wingsarena.com."
+            footerNote={horizonNote}
           />
         )}
 
@@ -584,6 +897,10 @@ export default function App() {
               </div>
               <span className="mobileHeaderSpacer" />
             </div>
+            {modeToggle}
+            {rinkToggle}
+            {customHint}
+            {staleNotice}
 
             <FullCalendar
               key={toYMD(mobileDayDate)}
@@ -602,14 +919,22 @@ export default function App() {
               expandRows={true}
               initialDate={mobileDayDate}
               events={calendarEvents}
+              selectable={bookingMode === 'windows'}
+              selectConstraint="avail"
+              selectLongPressDelay={300}
+              snapDuration={{ minutes: customRules?.duration_step_minutes || 15 }}
+              select={handleRangeSelect}
+              slotEventOverlap={false}
+              eventOrder="rink_order,start"
               eventClick={handleEventClick}
               eventContent={renderEventContent}
               eventMouseEnter={handleMouseEnter}
               eventMouseLeave={handleMouseLeave}
               eventDidMount={(arg) => {
+                if (arg.event.display === 'background') return bgEventDidMount(arg);
                 const el = arg.el;
-                el.style.background = '#d6001d7a';
-                el.style.border = '1px solid #ffffff95';
+                el.style.background = `${eventColor(arg.event.extendedProps)}7a`;
+                el.style.border = isHalfOnly(arg.event.extendedProps) ? '1px dashed #ffffff95' : '1px solid #ffffff95';
                 el.style.color = '#e5e7eb';
                 el.style.borderRadius = '6px';
                 el.style.boxShadow = '0 6px 16px rgba(0,0,0,0.35)';
@@ -631,7 +956,7 @@ export default function App() {
           <AdditionalInfo
             sections={additionalInfoSections}
             triggerText="Additional Info"
-            footerNote="The booking calendar reflects available ice times 90 days out. If you'd like to inquire about a booking past 90 days, please email info@wingsarena.com."
+            footerNote={horizonNote}
           />
 
           <h1 className="title">Ice Reservation Availability</h1>
@@ -645,13 +970,17 @@ export default function App() {
           </div>
 
           <div className="viewRow">
+            {modeToggle}
             <div className="viewBtns">
               <button className={'viewBtn ' + (currentView === 'dayGridMonth' ? 'active' : '')} onClick={() => switchView('dayGridMonth')}>Month</button>
               <button className={'viewBtn ' + (currentView === 'timeGridWeek' ? 'active' : '')} onClick={() => switchView('timeGridWeek')}>Week</button>
               <button className={'viewBtn ' + (currentView === 'timeGridDay' ? 'active' : '')} onClick={() => switchView('timeGridDay')}>Day</button>
             </div>
           </div>
+          {rinkToggle}
 
+          {customHint}
+          {staleNotice}
           {loading && <p className="loading">Loading availability…</p>}
 
           <FullCalendar
@@ -669,6 +998,14 @@ export default function App() {
             contentHeight={620}
             expandRows={true}
             events={calendarEvents}
+            selectable={bookingMode === 'windows' && currentView !== 'dayGridMonth'}
+            selectConstraint="avail"
+            selectMirror={true}
+            snapDuration={{ minutes: customRules?.duration_step_minutes || 15 }}
+            select={handleRangeSelect}
+            /* Concurrent sheets sit side by side in stable columns instead of stacking */
+            slotEventOverlap={false}
+            eventOrder="rink_order,start"
             eventClick={handleEventClick}
             eventContent={renderEventContent}
             eventMouseEnter={handleMouseEnter}
@@ -679,9 +1016,10 @@ export default function App() {
             dayCellDidMount={handleMainDayCellDidMount}
             dayCellWillUnmount={handleMainDayCellWillUnmount}
             eventDidMount={(arg) => {
+              if (arg.event.display === 'background') return bgEventDidMount(arg);
               const el = arg.el;
-              el.style.background = '#d6001d7a';
-              el.style.border = '1px solid #ffffff95';
+              el.style.background = `${eventColor(arg.event.extendedProps)}7a`;
+              el.style.border = isHalfOnly(arg.event.extendedProps) ? '1px dashed #ffffff95' : '1px solid #ffffff95';
               el.style.color = '#e5e7eb';
               el.style.borderRadius = '6px';
               el.style.cursor = 'pointer';
@@ -699,21 +1037,76 @@ export default function App() {
         </main>
       )}
 
+      {/* Cart bar: picked segments, checked out together in one session */}
+      {cart.length > 0 && !selected && (
+        <div className="cartBar" data-testid="cart-bar">
+          <div className="cartSummary">
+            <strong>{cart.length} {cart.length === 1 ? 'slot' : 'slots'} selected</strong>
+            <span>{fmtDuration(cart.reduce((ms, s) => ms + (new Date(s.end) - new Date(s.start)), 0))} · {fmtUSD(cartTotalCents / 100)}</span>
+          </div>
+          <div className="cartActions">
+            <button type="button" className="cartClear" onClick={() => setCart([])}>Clear</button>
+            <button type="button" className="cartBook" onClick={() => openBooking(cart)}>Book</button>
+          </div>
+        </div>
+      )}
+
       {/* Booking modal (both desktop and mobile) */}
       {selected && (
         <BookingModal
-          slot={selected}
-          onClose={() => setSelected(null)}
+          slots={selected}
+          rinkName={multiRink ? rinkById[selected[0].rink_id]?.name : null}
+          portion={icePortion}
+          onPortionChange={setIcePortion}
+          ticketQty={ticketQty}
+          onTicketQtyChange={setTicketQty}
+          quote={quote}
+          quoteError={quoteError}
+          purposes={bookingForm?.purposes}
+          fieldErrors={fieldErrors}
+          addons={addonCatalog}
+          addonQty={addonQty}
+          onAddonQtyChange={(id, qty) => setAddonQty((prev) => ({ ...prev, [id]: qty }))}
+          appliedPromoCode={pricingFor.promoCode}
+          onPricingFor={(email, promoCode) => setPricingFor((prev) => (
+            prev.email === email && prev.promoCode === promoCode ? prev : { email, promoCode }
+          ))}
+          repeat={repeatOffered ? repeat : undefined}
+          onRepeatChange={setRepeat}
+          seriesPreview={seriesPreview}
+          seriesPlan={planId}
+          onSeriesPlanChange={setSeriesPlan}
+          claimUntil={claim?.expires_at}
+          onClose={() => { setSelected(null); setClaim(null); }}
           onCheckout={async (payload) => {
+            setFieldErrors({});
             try {
-              const res = await axios.post(`${API_BASE}/api/create-checkout-session`, payload);
+              const withRink = { ...payload, rinkId: selected[0].rink_id, portion: icePortion, addons: addonPicks };
+              const body = bookingMode === 'windows'
+                ? { ...withRink, mode: 'custom' }
+                : { ...withRink, waitlistClaim: claim?.token };
+              const res = repeat && repeatOffered
+                ? await axios.post(`${API_BASE}/api/series/checkout`, { ...body, repeat, plan: planId })
+                : await axios.post(`${API_BASE}/api/create-checkout-session`, body);
               window.location.href = res.data.url;
             } catch (e) {
-              alert(e.response?.data?.error || 'Failed to start checkout');
+              // Form problems are shown next to their fields; anything else is a blocking error
+              if (e.response?.data?.code === 'invalid_fields') setFieldErrors(e.response.data.fields || {});
+              else alert(e.response?.data?.error || 'Failed to start checkout');
             }
           }}
         />
       )}
+
+      {/* Waitlist: a taken slot, or any open ice in a time window */}
+      {waitlistFor && (
+        <WaitlistModal
+          slot={waitlistFor.slot}
+          rinks={rinks}
+          defaultRinkId={rinkFilter === 'all' ? null : rinkFilter}
+          onClose={() => setWaitlistFor(null)}
+        />
+      )}
     </div>
   );
 }
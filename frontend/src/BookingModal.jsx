@@ -1,80 +1,127 @@
 import React, { useState } from 'react';
 
-export default function BookingModal({ slot, onClose, onCheckout }) {
+// Sort segments and collapse touching ones into continuous { start, end } ranges
+function mergeRanges(slots) {
+  const out = [];
+  [...slots]
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .forEach((s) => {
+      const st = new Date(s.start), en = new Date(s.end);
+      const last = out[out.length - 1];
+      if (last && last.end.getTime() === st.getTime()) last.end = en;
+      else out.push({ start: st, end: en });
+    });
+  return out;
+}
+
+const PORTION_LABELS = { full: 'Full Ice', half_a: 'Half Ice — Side A', half_b: 'Half Ice — Side B' };
+
+// Series limits (the server re-validates)
+const MAX_SERIES_DATES = 26;
+const REPEAT_LABELS = { weekly: 'Every week', biweekly: 'Every 2 weeks' };
+
+// Until /api/booking-form answers (the server re-validates either way)
+const DEFAULT_PURPOSES = [
+  { name: 'Birthday Party', min_group_size: 1, max_group_size: null },
+  { name: 'Private Event', min_group_size: 1, max_group_size: null },
+  { name: 'Team Practice', min_group_size: 1, max_group_size: null },
+  { name: 'Open Ice with Friends', min_group_size: 1, max_group_size: null },
+  { name: 'Other', min_group_size: 1, max_group_size: null, describe: true }
+];
+
+export default function BookingModal({
+  slots, rinkName, portion, onPortionChange, ticketQty, onTicketQtyChange, quote, quoteError,
+  purposes, fieldErrors, addons, addonQty, onAddonQtyChange, appliedPromoCode, onPricingFor,
+  repeat, onRepeatChange, seriesPreview, seriesPlan, onSeriesPlanChange, claimUntil, onClose, onCheckout
+}) {
+  const purposeOptions = purposes?.length ? purposes : DEFAULT_PURPOSES;
+  const errors = fieldErrors || {};
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [phone, setPhone] = useState('');
-  const [purpose, setPurpose] = useState('Birthday Party');
+  const [purpose, setPurpose] = useState(purposeOptions[0].name);
   const [otherPurpose, setOtherPurpose] = useState('');
   const [groupSize, setGroupSize] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  const purposeRule = purposeOptions.find((p) => p.name === purpose) || null;
 
-  const start = new Date(slot.start);
-  const end = new Date(slot.end);
-
-  // ---- Pricing helpers (match backend) ----
-  function isWeekend(d) { const day = d.getDay(); return day === 0 || day === 6; }
-  function rateCentsAt(date) {
-    const h = date.getHours(), m = date.getMinutes(), mins = h * 60 + m, wknd = isWeekend(date);
-    if (!wknd) {
-      if (mins >= (5 * 60 + 35) && mins < (6 * 60 + 35)) return 25000;
-      if (mins >= (6 * 60 + 35) && mins < (15 * 60 + 45)) return 49500;
-      if (mins >= (15 * 60 + 45) && mins < (21 * 60 + 45)) return 94500;
-      if (mins >= (21 * 60 + 45) && mins < (22 * 60 + 45)) return 49500;
-      return 0;
-    }
-    if (mins >= (5 * 60 + 50) && mins < (6 * 60 + 50)) return 25000;
-    if (mins >= (6 * 60 + 50) && mins < (21 * 60 + 45)) return 94500;
-    if (mins >= (21 * 60 + 45) && mins < (22 * 60 + 45)) return 49500;
-    return 0;
-  }
-  function priceIntervalCents(startDate, endDate) {
-    if (!(startDate instanceof Date) || !(endDate instanceof Date) || isNaN(startDate) || isNaN(endDate)) return 0;
-    if (endDate <= startDate) return 0;
-    let total = 0;
-    const cur = new Date(startDate);
-    while (cur < endDate) {
-      const next = new Date(cur.getTime() + 60 * 1000);
-      const activeRate = rateCentsAt(cur);
-      if (activeRate > 0) total += Math.round(activeRate / 60);
-      cur.setTime(next.getTime());
-    }
-    return total;
-  }
-  const priceCents = typeof slot.price_cents === 'number' ? slot.price_cents : priceIntervalCents(start, end);
+  // One or more selected segments (a cart); adjacent ones shown as one range
+  const ranges = mergeRanges(slots);
+  const start = ranges[0].start;
+  const firstSlot = slots[0];
+
+  // Ticketed session: per-person seats instead of a private rental
+  const session = firstSlot.kind === 'session' ? firstSlot : null;
+  const maxQty = session ? Math.min(session.max_per_order, session.remaining) : 0;
+
+  // Full ice or one half: offered when every segment has a half price;
+  // a half is only selectable if it's free in every segment
+  const halfIceOffered = !session && slots.every((s) => typeof s.half_price_cents === 'number');
+  const freeHalves = ['a', 'b'].filter((h) => slots.every((s) => !s.free_halves || s.free_halves.includes(h)));
+  const portionFree = { full: freeHalves.length === 2, half_a: freeHalves.includes('a'), half_b: freeHalves.includes('b') };
+  const sumCents = (key) => slots.reduce((sum, s) => sum + (typeof s[key] === 'number' ? s[key] : 0), 0);
+
+  // Price comes from the API (backend pricing engine); never recomputed here
+  const listedCents = session
+    ? session.price_cents * ticketQty
+    : sumCents(portion === 'full' ? 'price_cents' : 'half_price_cents');
+  const priceCents = quote ? quote.total_cents : listedCents;
   const fmtUSD = (cents) => (cents / 100).toLocaleString(undefined, { style: 'currency', currency: 'USD', minimumFractionDigits: 2 });
+  // repeat: undefined = series not offered for this selection, null = off
+  const seriesOffered = repeat !== undefined;
+  const fmtDate = (iso) => new Date(iso).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
   const normalizePhone = (value) => { let v = value.replace(/[^\d+]/g, ''); if (/^\d{10}$/.test(v)) return `(${v.slice(0, 3)}) ${v.slice(3, 6)}-${v.slice(6)}`; return value; };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    const finalPurpose = purpose === 'Other' ? otherPurpose.trim() : purpose;
-    if (!finalPurpose) { alert('Please enter your purpose.'); return; }
+    if (session) {
+      onCheckout({ sessionId: session.id, quantity: ticketQty, name, email, phone });
+      return;
+    }
+    // A code typed but not applied yet is priced first, so the discount is seen before paying
+    if (promoCode.trim().toUpperCase() !== (appliedPromoCode || '').toUpperCase()) {
+      onPricingFor(email, promoCode.trim());
+      return;
+    }
     onCheckout({
-      slotId: slot.id,
-      start: start.toISOString(),
-      end: end.toISOString(),
+      segments: slots.map((s) => ({
+        slotId: s.id,
+        start: new Date(s.start).toISOString(),
+        end: new Date(s.end).toISOString(),
+      })),
       name,
       email,
       phone,
-      purpose: finalPurpose,
+      purpose,
+      purposeDetails: purposeRule?.describe ? otherPurpose.trim() : '',
       groupSize: Number(groupSize),
+      promoCode: appliedPromoCode,
     });
   };
 
   // ---- Add-to-Calendar helpers ----
-  const safeTitle = `Ice Time Reservation — Wings Arena`;
-  const locationText = slot.location || 'Wings Arena';
-  const detailsText =
-    `Reserved ice slot at Wings Arena.\n` +
-    `Purpose: ${purpose === 'Other' ? (otherPurpose || '—') : purpose}\n` +
+  const safeTitle = session ? `${session.title} — Wings Arena` : `Ice Time Reservation — Wings Arena`;
+  const locationText = firstSlot.location || (rinkName ? `Wings Arena — ${rinkName}` : 'Wings Arena');
+  const detailsText = session
+    ? `${session.title} at Wings Arena.\n` +
+      (name ? `Booked by: ${name}\n` : '') +
+      `Spots: ${ticketQty}\n` +
+      `Quoted price: ${fmtUSD(priceCents)}`
+    : `Reserved ice slot at Wings Arena.\n` +
+    `Ice: ${PORTION_LABELS[portion]}\n` +
+    `Purpose: ${purposeRule?.describe ? (otherPurpose || '—') : purpose}\n` +
     (name ? `Booked by: ${name}\n` : '') +
     `Estimated group size: ${groupSize || '—'}\n` +
+    (quote?.line_items.some((li) => li.kind === 'addon')
+      ? `Add-ons: ${quote.line_items.filter((li) => li.kind === 'addon').map((li) => `${li.label} × ${li.quantity}`).join(', ')}\n`
+      : '') +
     `Quoted price: ${fmtUSD(priceCents)}`;
 
   const toGoogleDate = (d) => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
   const toICSDate = (d) => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
 
   const buildGoogleCalendarUrl = () => {
-    const dates = `${toGoogleDate(start)}/${toGoogleDate(end)}`; // UTC range
+    const dates = `${toGoogleDate(ranges[0].start)}/${toGoogleDate(ranges[0].end)}`; // UTC range
     const params = new URLSearchParams({
       action: 'TEMPLATE',
       text: safeTitle,
@@ -87,22 +134,23 @@ export default function BookingModal({ slot, onClose, onCheckout }) {
   };
 
   const downloadICS = () => {
-    const uid = `${slot.id || 'slot'}-${start.getTime()}@wingsarena`;
+    const vevents = ranges.map((r) =>
+`BEGIN:VEVENT
+UID:${firstSlot.id || 'slot'}-${r.start.getTime()}@wingsarena
+DTSTAMP:${toICSDate(new Date())}
+DTSTART:${toICSDate(r.start)}
+DTEND:${toICSDate(r.end)}
+SUMMARY:${safeTitle}
+DESCRIPTION:${detailsText.replace(/\n/g, '\\n')}
+LOCATION:${locationText}
+END:VEVENT`).join('\n');
     const ics =
 `BEGIN:VCALENDAR
 VERSION:2.0
 PRODID:-//Wings Arena//Bookings//EN
 CALSCALE:GREGORIAN
 METHOD:PUBLISH
-BEGIN:VEVENT
-UID:${uid}
-DTSTAMP:${toICSDate(new Date())}
-DTSTART:${toICSDate(start)}
-DTEND:${toICSDate(end)}
-SUMMARY:${safeTitle}
-DESCRIPTION:${detailsText.replace(/\n/g, '\\n')}
-LOCATION:${locationText}
-END:VEVENT
+${vevents}
 END:VCALENDAR`;
 
     const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
@@ -124,23 +172,210 @@ END:VCALENDAR`;
   return (
     <div style={styles.backdrop} data-testid="booking-modal">
       <div style={styles.modal}>
-        <h2 style={{ marginTop: 0, color: '#E6E8F0' }}>Ice Time Booking - Wings Arena</h2>
+        <h2 style={{ marginTop: 0, color: '#E6E8F0' }}>{session ? session.title : 'Ice Time Booking'} - Wings Arena</h2>
 
-        <p style={{ marginTop: 0, marginBottom: 6, color: '#CBD5E1' }}>
-          <strong>When:</strong> {start.toLocaleString()} – {end.toLocaleTimeString()}
-        </p>
+        {rinkName && (
+          <p style={{ marginTop: 0, marginBottom: 6, color: '#CBD5E1' }}>
+            <strong>Sheet:</strong> {rinkName}
+          </p>
+        )}
+        {ranges.map((r) => (
+          <p key={r.start.getTime()} style={{ marginTop: 0, marginBottom: 6, color: '#CBD5E1' }}>
+            <strong>When:</strong> {r.start.toLocaleString()} – {r.end.toLocaleTimeString()}
+          </p>
+        ))}
+        {claimUntil && (
+          <p style={styles.claimNote} data-testid="waitlist-claim">
+            Held for you from the waitlist until {new Date(claimUntil).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}
+          </p>
+        )}
+        {halfIceOffered && (
+          <div style={styles.portionRow} role="radiogroup" aria-label="Ice" data-testid="ice-portion">
+            {Object.keys(PORTION_LABELS).map((key) => (
+              <label key={key} style={{ ...styles.portionOption, ...(portionFree[key] ? null : styles.portionTaken) }}>
+                <input
+                  type="radio"
+                  name="portion"
+                  value={key}
+                  checked={portion === key}
+                  disabled={!portionFree[key]}
+                  onChange={() => onPortionChange(key)}
+                />
+                {PORTION_LABELS[key]} · {portionFree[key] ? fmtUSD(sumCents(key === 'full' ? 'price_cents' : 'half_price_cents')) : 'taken'}
+              </label>
+            ))}
+          </div>
+        )}
+        {session && (
+          <label style={{ ...styles.label, marginBottom: 8 }}>
+            Spots ({fmtUSD(session.price_cents)} each · {session.remaining} left)
+            <select
+              value={ticketQty}
+              onChange={(e) => onTicketQtyChange(Number(e.target.value))}
+              style={styles.input}
+              data-testid="ticket-qty"
+            >
+              {Array.from({ length: maxQty }, (_, i) => i + 1).map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+        )}
         <p style={{ marginTop: 0, marginBottom: 12, color: '#CBD5E1' }}>
           <strong>Price:</strong> {fmtUSD(priceCents)}
         </p>
 
+        {/* ===== REPEAT (one rental slot as a weekly series; checked by /api/series/preview) ===== */}
+        {seriesOffered && (
+          <div style={styles.seriesBlock} data-testid="series">
+            <label style={styles.portionOption}>
+              <input
+                type="checkbox"
+                checked={!!repeat}
+                onChange={(e) => onRepeatChange(e.target.checked ? { frequency: 'weekly', count: 8 } : null)}
+              />
+              Repeat this booking (team practices, lessons)
+            </label>
+            {repeat && (
+              <div style={styles.seriesRow}>
+                <select
+                  value={repeat.frequency}
+                  onChange={(e) => onRepeatChange({ ...repeat, frequency: e.target.value })}
+                  style={styles.seriesInput}
+                  aria-label="Repeat"
+                >
+                  {Object.keys(REPEAT_LABELS).map((key) => <option key={key} value={key}>{REPEAT_LABELS[key]}</option>)}
+                </select>
+                <span>for</span>
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  min="2"
+                  max={MAX_SERIES_DATES}
+                  step="1"
+                  value={repeat.count}
+                  onChange={(e) => onRepeatChange({ ...repeat, count: Math.min(MAX_SERIES_DATES, Math.max(2, Math.floor(Number(e.target.value) || 2))) })}
+                  style={{ ...styles.seriesInput, width: 64 }}
+                  aria-label="Number of dates"
+                />
+                <span>dates</span>
+              </div>
+            )}
+            {repeat && seriesPreview && (
+              <>
+                <div style={styles.seriesSummary}>
+                  {seriesPreview.available_count} of {seriesPreview.occurrences.length} dates available
+                </div>
+                <ul style={styles.seriesList} data-testid="series-dates">
+                  {seriesPreview.occurrences.map((o) => (
+                    <li key={o.index} style={o.available ? null : styles.seriesConflict}>
+                      {o.available ? '✓' : '✕'} {fmtDate(o.start)}
+                      {o.available ? ` · ${fmtUSD(o.amount_cents)}` : ` · ${o.reason}`}
+                    </li>
+                  ))}
+                </ul>
+                {seriesPreview.plans.length > 0 && (
+                  <div style={styles.portionRow} role="radiogroup" aria-label="Payment plan" data-testid="series-plans">
+                    {seriesPreview.plans.map((p) => (
+                      <label key={p.id} style={styles.portionOption}>
+                        <input
+                          type="radio"
+                          name="seriesPlan"
+                          value={p.id}
+                          checked={seriesPlan === p.id}
+                          onChange={() => onSeriesPlanChange(p.id)}
+                        />
+                        {p.label} · {p.payments === 1
+                          ? fmtUSD(p.first_cents)
+                          : `${fmtUSD(p.first_cents)} today, then ${p.payments - 1} × ${fmtUSD(p.recurring_cents)}`}
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {/* ===== PRICE BREAKDOWN (from /api/quote) ===== */}
+        {quote && (
+          <table style={styles.quoteTable} data-testid="quote-breakdown">
+            <tbody>
+              {quote.line_items.map((li) => (
+                <tr key={`${li.kind}-${li.code}`}>
+                  <td style={styles.quoteCell}>
+                    {li.label}
+                    {li.kind === 'ice' && <span style={styles.quoteDetail}> · {li.minutes} min × {fmtUSD(li.rate_cents)}/hr</span>}
+                    {li.kind === 'ticket' && <span style={styles.quoteDetail}> · {li.quantity} × {fmtUSD(li.unit_cents)}</span>}
+                    {li.kind === 'discount' && quote.discount?.source === 'member' && <span style={styles.quoteDetail}> · member rate</span>}
+                    {li.kind === 'addon' && (
+                      <span style={styles.quoteDetail}>
+                        {' '}· {li.quantity}{li.free_quantity > 0 ? ` (${li.free_quantity} free)` : ''} × {fmtUSD(li.unit_cents)}
+                      </span>
+                    )}
+                  </td>
+                  <td style={styles.quoteAmount}>{fmtUSD(li.amount_cents)}</td>
+                </tr>
+              ))}
+              {(quote.fees.length > 0 || quote.taxes.length > 0) && (
+                <tr>
+                  <td style={styles.quoteCell}>Subtotal</td>
+                  <td style={styles.quoteAmount}>{fmtUSD(quote.subtotal_cents)}</td>
+                </tr>
+              )}
+              {[...quote.fees, ...quote.taxes].map((li) => (
+                <tr key={`${li.kind}-${li.code}`}>
+                  <td style={styles.quoteCell}>{li.label}</td>
+                  <td style={styles.quoteAmount}>{fmtUSD(li.amount_cents)}</td>
+                </tr>
+              ))}
+              <tr>
+                <td style={{ ...styles.quoteCell, ...styles.quoteTotal }}>Total</td>
+                <td style={{ ...styles.quoteAmount, ...styles.quoteTotal }}>{fmtUSD(quote.total_cents)}</td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+        {!quote && quoteError && <p style={styles.quoteError}>{quoteError}</p>}
+
+        {/* ===== ADD-ONS (rentals only; priced by /api/quote) ===== */}
+        {!session && addons?.length > 0 && (
+          <div style={styles.addonList} data-testid="addons">
+            <div style={styles.addonTitle}>Add-ons</div>
+            {addons.map((a) => (
+              <label key={a.id} style={styles.addonRow}>
+                <span>
+                  {a.label}
+                  <span style={styles.quoteDetail}>
+                    {' '}· {fmtUSD(a.unit_price_cents)}/{a.unit}{a.free_quantity > 0 ? ` after ${a.free_quantity} free` : ''}
+                  </span>
+                  {a.description && <span style={styles.addonDescription}>{a.description}</span>}
+                </span>
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  min="0"
+                  max={a.max_per_booking ?? undefined}
+                  step="1"
+                  value={addonQty[a.id] || 0}
+                  onChange={(e) => onAddonQtyChange(a.id, Math.max(0, Math.floor(Number(e.target.value) || 0)))}
+                  style={styles.addonInput}
+                  aria-label={`${a.label} quantity`}
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
         {/* ===== ADD TO CALENDAR (HIGH VISIBILITY) ===== */}
         <div style={styles.rule} />
         <div style={styles.addCalBlock} aria-label="Add to calendar">
           <div style={styles.addCalTitle}>Add this to your calendar</div>
           <div style={styles.addCalRow}>
-            <button type="button" onClick={openGoogleCalendar} style={styles.addCalPrimary} data-testid="btn-google-cal">
-              Google Calendar
-            </button>
+            {/* Google's template link holds a single range; multi-range carts use the .ics */}
+            {ranges.length === 1 && (
+              <button type="button" onClick={openGoogleCalendar} style={styles.addCalPrimary} data-testid="btn-google-cal">
+                Google Calendar
+              </button>
+            )}
             <button type="button" onClick={downloadICS} style={styles.addCalSecondary} data-testid="btn-apple-ics">
               ⤓ iPhone
             </button>
@@ -153,10 +388,20 @@ END:VCALENDAR`;
           <label style={styles.label}>
             Name
             <input value={name} onChange={(e) => setName(e.target.value)} required style={styles.input} placeholder="Jane Doe" />
+            {errors.name && <span style={styles.fieldError}>{errors.name}</span>}
           </label>
           <label style={styles.label}>
             Email
-            <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required style={styles.input} placeholder="jane@example.com" />
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              onBlur={() => !session && onPricingFor(email.trim(), appliedPromoCode)}
+              required
+              style={styles.input}
+              placeholder="jane@example.com"
+            />
+            {errors.email && <span style={styles.fieldError}>{errors.email}</span>}
           </label>
           <label style={styles.label}>
             Phone Number
@@ -170,30 +415,66 @@ END:VCALENDAR`;
               style={styles.input}
               placeholder="(555) 123-4567"
             />
+            {errors.phone && <span style={styles.fieldError}>{errors.phone}</span>}
           </label>
 
-          <label style={styles.label}>
-            Purpose
-            <select value={purpose} onChange={(e) => setPurpose(e.target.value)} style={styles.input}>
-              <option>Birthday Party</option>
-              <option>Private Event</option>
-              <option>Team Practice</option>
-              <option>Open Ice with Friends</option>
-              <option>Other</option>
-            </select>
-          </label>
+          {/* Private rentals only: sessions are sold per person */}
+          {!session && (
+            <>
+              <label style={styles.label}>
+                Purpose
+                <select value={purpose} onChange={(e) => setPurpose(e.target.value)} style={styles.input}>
+                  {purposeOptions.map((p) => <option key={p.name}>{p.name}</option>)}
+                </select>
+                {errors.purpose && <span style={styles.fieldError}>{errors.purpose}</span>}
+              </label>
 
-          {purpose === 'Other' && (
-            <label style={styles.label}>
-              Please describe your purpose
-              <input value={otherPurpose} onChange={(e) => setOtherPurpose(e.target.value)} required style={styles.input} placeholder="Describe your event..." />
-            </label>
-          )}
+              {purposeRule?.describe && (
+                <label style={styles.label}>
+                  Please describe your purpose
+                  <input value={otherPurpose} onChange={(e) => setOtherPurpose(e.target.value)} required maxLength={200} style={styles.input} placeholder="Describe your event..." />
+                  {errors.purposeDetails && <span style={styles.fieldError}>{errors.purposeDetails}</span>}
+                </label>
+              )}
 
-          <label style={styles.label}>
-            Estimated Group/Party Size
-            <input type="number" inputMode="numeric" min="1" step="1" value={groupSize} onChange={(e) => setGroupSize(e.target.value)} required style={styles.input} placeholder="e.g., 12" />
-          </label>
+              <label style={styles.label}>
+                Estimated Group/Party Size
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  min={purposeRule?.min_group_size || 1}
+                  max={purposeRule?.max_group_size || undefined}
+                  step="1"
+                  value={groupSize}
+                  onChange={(e) => setGroupSize(e.target.value)}
+                  required
+                  style={styles.input}
+                  placeholder="e.g., 12"
+                />
+                {errors.groupSize && <span style={styles.fieldError}>{errors.groupSize}</span>}
+              </label>
+
+              <label style={styles.label}>
+                Promo Code
+                <span style={styles.promoRow}>
+                  <input
+                    value={promoCode}
+                    onChange={(e) => setPromoCode(e.target.value)}
+                    style={{ ...styles.input, flex: 1 }}
+                    placeholder="Optional"
+                    autoCapitalize="characters"
+                  />
+                  <button type="button" onClick={() => onPricingFor(email.trim(), promoCode.trim())} style={styles.secondaryBtn}>Apply</button>
+                </span>
+                {(errors.promoCode || quote?.promo_error) && <span style={styles.fieldError}>{errors.promoCode || quote.promo_error}</span>}
+                {quote?.discount && (
+                  <span style={styles.promoApplied}>
+                    {quote.discount.label} applied: −{fmtUSD(quote.discount.discount_cents)}
+                  </span>
+                )}
+              </label>
+            </>
+          )}
 
           <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end', marginTop: 4 }}>
             <button type="button" onClick={onClose} style={styles.secondaryBtn}>Cancel</button>
@@ -214,7 +495,31 @@ const styles = {
   addCalRow: { display: 'flex', gap: 8, flexWrap: 'wrap' },
   addCalPrimary: { marginLeft: 110, appearance: 'none', border: '1px solid #334155', borderRadius: 9999, padding: '8px 14px', fontWeight: 700, cursor: 'pointer', background: 'hsla(142, 76%, 36%, 0.00)', color: '#fff' },
   addCalSecondary: { appearance: 'none', border: '1px solid #334155', borderRadius: 9999, padding: '8px 14px', fontWeight: 700, cursor: 'pointer', background: '#0b1220', color: '#e5e7eb' },
+  portionRow: { display: 'grid', gap: 4, marginBottom: 8, fontSize: 14, color: '#CBD5E1' },
+  portionOption: { display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' },
+  portionTaken: { color: '#64748b', cursor: 'not-allowed', textDecoration: 'line-through' },
+  quoteTable: { width: '100%', borderCollapse: 'collapse', marginBottom: 12, fontSize: 14, color: '#CBD5E1' },
+  quoteCell: { padding: '4px 0', borderBottom: '1px solid #1f2a44' },
+  quoteDetail: { color: '#94a3b8' },
+  quoteAmount: { padding: '4px 0', borderBottom: '1px solid #1f2a44', textAlign: 'right', whiteSpace: 'nowrap' },
+  quoteTotal: { fontWeight: 800, color: '#E6E8F0', borderBottom: 'none' },
+  quoteError: { marginTop: 0, marginBottom: 12, color: '#fca5a5', fontSize: 14 },
+  claimNote: { marginTop: 0, marginBottom: 8, color: '#86efac', fontSize: 14, fontWeight: 700 },
+  addonList: { display: 'grid', gap: 8, marginBottom: 12, fontSize: 14, color: '#CBD5E1' },
+  addonTitle: { fontWeight: 700, color: '#E6E8F0' },
+  addonRow: { display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12 },
+  addonDescription: { display: 'block', fontSize: 12, color: '#94a3b8' },
+  seriesBlock: { display: 'grid', gap: 8, marginBottom: 12, fontSize: 14, color: '#CBD5E1' },
+  seriesRow: { display: 'flex', alignItems: 'center', gap: 8 },
+  seriesInput: { padding: '6px 8px', borderRadius: 8, border: '1px solid #334155', outline: 'none', background: '#0b1220', color: '#E5E7EB' },
+  seriesSummary: { fontWeight: 700, color: '#E6E8F0' },
+  seriesList: { margin: 0, paddingLeft: 0, listStyle: 'none', display: 'grid', gap: 2, maxHeight: 160, overflowY: 'auto' },
+  seriesConflict: { color: '#fca5a5' },
+  addonInput: { width: 64, padding: '6px 8px', borderRadius: 8, border: '1px solid #334155', outline: 'none', background: '#0b1220', color: '#E5E7EB' },
   label: { display: 'grid', gap: 6, fontSize: 14, color: '#E5E7EB' },
+  fieldError: { color: '#fca5a5', fontSize: 13 },
+  promoRow: { display: 'flex', gap: 8, alignItems: 'center' },
+  promoApplied: { color: '#86efac', fontSize: 13 },
   input: { width: '95%', padding: '10px 12px', borderRadius: 10, border: '1px solid #334155', outline: 'none', background: '#0b1220', color: '#E5E7EB' },
   secondaryBtn: { appearance: 'none', border: 'none', borderRadius: 9999, padding: '10px 16px', fontWeight: 600, cursor: 'pointer', background: '#e5e7eb', color: '#111827' },
   primaryBtn: { appearance: 'none', border: 'none', borderRadius: 9999, padding: '10px 16px', fontWeight: 600, cursor: 'pointer', background: '#4f46e5', color: '#fff' }
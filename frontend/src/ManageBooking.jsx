@@ -0,0 +1,285 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:8080';
+
+const PORTION_LABELS = { full: 'Full Ice', half_a: 'Half Ice — Side A', half_b: 'Half Ice — Side B' };
+const STATUS_LABELS = {
+  pending: 'Awaiting payment', confirmed: 'Confirmed', disputed: 'Payment disputed', cancelled: 'Cancelled',
+  refunded: 'Cancelled & refunded', rescheduled: 'Rescheduled', no_show: 'No-show', completed: 'Completed'
+};
+
+const fmtUSD = (cents) => (cents / 100).toLocaleString(undefined, { style: 'currency', currency: 'USD', minimumFractionDigits: 2 });
+
+function fmtRange(startISO, endISO) {
+  const start = new Date(startISO), end = new Date(endISO);
+  const day = start.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  const t = (d) => d.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  return `${day}, ${t(start)} – ${t(end)}`;
+}
+
+function fmtTime(iso) {
+  return new Date(iso).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+}
+
+function toYMD(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Halves a booking's ice portion needs free in a slot
+const PORTION_HALVES = { full: ['a', 'b'], half_a: ['a'], half_b: ['b'] };
+
+// Policy tiers (largest notice first) as one sentence per tier
+function describePolicy(policy) {
+  return policy.tiers.map((t, i) => {
+    const refund = t.refund_percent === 100 ? 'a full refund' : t.refund_percent === 0 ? 'no refund' : `a ${t.refund_percent}% refund`;
+    if (t.min_hours_before === 0) return i === 0 ? `Cancellations get ${refund}.` : `Later cancellations get ${refund}.`;
+    return `Cancel at least ${t.min_hours_before} hours before the start for ${refund}.`;
+  });
+}
+
+// Page behind the "manage booking" link in the confirmation email (/manage?token=…)
+export default function ManageBooking() {
+  const [token, setToken] = useState(() => new URLSearchParams(window.location.search).get('token') || '');
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  // Rescheduling: a day, the open slots on it, the picked ones and their price
+  const [moveDate, setMoveDate] = useState('');
+  const [moveSlots, setMoveSlots] = useState([]);
+  const [movePicked, setMovePicked] = useState([]);
+  const [moveQuote, setMoveQuote] = useState(null);
+  const [moveError, setMoveError] = useState('');
+
+  useEffect(() => {
+    if (!token) { setError('This link is missing its booking token.'); return; }
+    (async () => {
+      // Back from Stripe: release an abandoned reschedule payment's hold, or note the paid one
+      const params = new URLSearchParams(window.location.search);
+      const hold = params.get('hold');
+      if (params.get('paid')) setNotice('Payment received. Your booking moves to the new time in a moment; refresh this page to see it.');
+      if (hold || params.get('paid')) {
+        window.history.replaceState(null, '', `${window.location.pathname}?token=${encodeURIComponent(token)}`);
+      }
+      if (hold) await axios.delete(`${API_BASE}/api/holds/${encodeURIComponent(hold)}`).catch((e) => console.error(e));
+      try {
+        const { data } = await axios.get(`${API_BASE}/api/manage/${encodeURIComponent(token)}`);
+        setData(data);
+      } catch (e) {
+        setError(e.response?.data?.error || 'Could not load your booking.');
+      }
+    })();
+  }, [token]);
+
+  // Open slots on the chosen day with the booking's ice portion free
+  useEffect(() => {
+    setMovePicked([]);
+    setMoveSlots([]);
+    if (!moveDate || !data?.booking) return;
+    const from = new Date(`${moveDate}T00:00:00`);
+    const to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+    const halves = PORTION_HALVES[data.booking.ice_portion] || PORTION_HALVES.full;
+    axios.get(`${API_BASE}/api/slots`, { params: { rink: data.booking.rink_id, from: from.toISOString(), to: to.toISOString() } })
+      .then(({ data: res }) => setMoveSlots((res.slots || []).filter((s) => halves.every((h) => (s.free_halves || halves).includes(h)))))
+      .catch((e) => setMoveError(e.response?.data?.error || 'Could not load open times.'));
+  }, [moveDate, data?.booking]);
+
+  // Price of the picked slots against what was paid
+  useEffect(() => {
+    setMoveQuote(null);
+    setMoveError('');
+    if (!movePicked.length) return;
+    let cancelled = false;
+    const segments = moveSlots.filter((s) => movePicked.includes(s.id)).map((s) => ({ slotId: s.id, start: s.start, end: s.end }));
+    axios.post(`${API_BASE}/api/manage/${encodeURIComponent(token)}/reschedule/quote`, { segments })
+      .then(({ data: res }) => { if (!cancelled) setMoveQuote(res); })
+      .catch((e) => { if (!cancelled) setMoveError(e.response?.data?.error || 'Could not price that time.'); });
+    return () => { cancelled = true; };
+  }, [movePicked, moveSlots, token]);
+
+  const togglePicked = (id) => setMovePicked((p) => (p.includes(id) ? p.filter((x) => x !== id) : [...p, id]));
+
+  const reschedule = async () => {
+    const diff = moveQuote.difference_cents;
+    const msg = diff > 0
+      ? `Move your booking? You'll pay the ${fmtUSD(diff)} difference on the next page.`
+      : diff < 0 ? `Move your booking? ${fmtUSD(-diff)} will be refunded to your card.` : 'Move your booking to the new time?';
+    if (!window.confirm(msg)) return;
+    setBusy(true);
+    try {
+      const segments = moveSlots.filter((s) => movePicked.includes(s.id)).map((s) => ({ slotId: s.id, start: s.start, end: s.end }));
+      const { data: res } = await axios.post(`${API_BASE}/api/manage/${encodeURIComponent(token)}/reschedule`, { segments });
+      if (res.url) { window.location.href = res.url; return; }
+      // Moved: the booking has a new id, so switch to its link
+      window.history.replaceState(null, '', `${window.location.pathname}?token=${encodeURIComponent(res.token)}`);
+      setMoveDate('');
+      setData(null);
+      setToken(res.token);
+      setNotice(res.refund_cents > 0
+        ? `Your booking has been moved. ${fmtUSD(res.refund_cents)} is on its way back to your card.`
+        : 'Your booking has been moved. A new confirmation is on its way to your inbox.');
+    } catch (e) {
+      setMoveError(e.response?.data?.error || 'Could not move your booking. Please call us at 203-357-1055.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancelBooking = async () => {
+    const refund = data.cancellation.refund_cents;
+    const msg = refund > 0
+      ? `Cancel this booking? ${fmtUSD(refund)} will be refunded to your card.`
+      : 'Cancel this booking? It is not eligible for a refund.';
+    if (!window.confirm(msg)) return;
+    setBusy(true);
+    try {
+      const { data: res } = await axios.post(`${API_BASE}/api/manage/${encodeURIComponent(token)}/cancel`);
+      setData({ ...data, booking: res.booking, cancellation: { allowed: false } });
+      setNotice(res.refund_cents > 0
+        ? `Your booking is cancelled. ${fmtUSD(res.refund_cents)} is on its way back to your card.`
+        : 'Your booking is cancelled.');
+    } catch (e) {
+      setError(e.response?.data?.error || 'Could not cancel your booking. Please call us at 203-357-1055.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const booking = data?.booking;
+  const cancellation = data?.cancellation;
+  const canMove = data?.reschedule?.allowed && !notice;
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.card}>
+        <h2 style={styles.title}>Manage Your Booking</h2>
+        {error && <p style={styles.error}>{error}</p>}
+        {!booking && !error && <p style={styles.muted}>Loading…</p>}
+
+        {booking && (
+          <>
+            <table style={styles.table}>
+              <tbody>
+                <tr><td style={styles.cellLabel}>Status</td><td style={styles.cell}>{STATUS_LABELS[booking.status] || booking.status}</td></tr>
+                <tr><td style={styles.cellLabel}>Name</td><td style={styles.cell}>{booking.customer_name}</td></tr>
+                <tr><td style={styles.cellLabel}>When</td><td style={styles.cell}>{fmtRange(booking.start, booking.end)}</td></tr>
+                <tr>
+                  <td style={styles.cellLabel}>Where</td>
+                  <td style={styles.cell}>
+                    {booking.rink_name}, {booking.kind === 'session'
+                      ? `${booking.session_name || 'Session'} × ${booking.quantity}`
+                      : PORTION_LABELS[booking.ice_portion] || 'Full Ice'}
+                  </td>
+                </tr>
+                {booking.addons?.length > 0 && (
+                  <tr>
+                    <td style={styles.cellLabel}>Add-ons</td>
+                    <td style={styles.cell}>{booking.addons.map((a) => `${a.label} × ${a.quantity}`).join(', ')}</td>
+                  </tr>
+                )}
+                {booking.discount && (
+                  <tr>
+                    <td style={styles.cellLabel}>Discount</td>
+                    <td style={styles.cell}>{booking.discount.label} (−{fmtUSD(booking.discount.discount_cents)})</td>
+                  </tr>
+                )}
+                <tr><td style={styles.cellLabel}>Paid</td><td style={styles.cell}>{fmtUSD(booking.amount_cents)}</td></tr>
+                {booking.refunded_cents > 0 && (
+                  <tr><td style={styles.cellLabel}>Refunded</td><td style={styles.cell}>{fmtUSD(booking.refunded_cents)}</td></tr>
+                )}
+              </tbody>
+            </table>
+
+            {notice && <p style={styles.notice}>{notice}</p>}
+            {data.replacement_token && (
+              <p style={styles.muted}>
+                This booking was moved. <a href={`${window.location.pathname}?token=${encodeURIComponent(data.replacement_token)}`}>View the new booking →</a>
+              </p>
+            )}
+
+            {canMove && (
+              <>
+                <div style={styles.rule} />
+                <h3 style={styles.subtitle}>Reschedule</h3>
+                <label style={styles.label}>
+                  New date
+                  <input type="date" value={moveDate} min={toYMD(new Date())} onChange={(e) => setMoveDate(e.target.value)} style={styles.input} />
+                </label>
+                {moveDate && !moveSlots.length && !moveError && <p style={styles.muted}>No open times that day.</p>}
+                {moveSlots.length > 0 && (
+                  <div style={styles.slotList}>
+                    {moveSlots.map((s) => (
+                      <label key={s.id} style={styles.slotOption}>
+                        <input type="checkbox" checked={movePicked.includes(s.id)} onChange={() => togglePicked(s.id)} />
+                        {fmtTime(s.start)} – {fmtTime(s.end)}
+                      </label>
+                    ))}
+                  </div>
+                )}
+                {moveError && <p style={styles.error}>{moveError}</p>}
+                {moveQuote && (
+                  <p style={styles.refundLine}>
+                    New price <b>{fmtUSD(moveQuote.quote.total_cents)}</b> (you paid {fmtUSD(moveQuote.paid_cents)}):{' '}
+                    {moveQuote.difference_cents > 0 && <>you pay <b>{fmtUSD(moveQuote.difference_cents)}</b> more.</>}
+                    {moveQuote.difference_cents < 0 && <>we refund <b>{fmtUSD(-moveQuote.difference_cents)}</b>.</>}
+                    {moveQuote.difference_cents === 0 && <>no difference.</>}
+                  </p>
+                )}
+                <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+                  <button type="button" onClick={reschedule} disabled={busy || !moveQuote} style={styles.primaryBtn}>
+                    {busy ? 'Moving…' : 'Move Booking'}
+                  </button>
+                </div>
+              </>
+            )}
+
+            {cancellation.allowed && !notice && (
+              <>
+                <div style={styles.rule} />
+                <h3 style={styles.subtitle}>Cancel</h3>
+                {describePolicy(data.refund_policy).map((line) => <p key={line} style={styles.muted}>{line}</p>)}
+                <p style={styles.refundLine}>
+                  Cancelling now refunds <b>{fmtUSD(cancellation.refund_cents)}</b>
+                  {cancellation.refund_percent > 0 && cancellation.refund_percent < 100 ? ` (${cancellation.refund_percent}%)` : ''}.
+                </p>
+                <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+                  <button type="button" onClick={cancelBooking} disabled={busy} style={styles.dangerBtn}>
+                    {busy ? 'Cancelling…' : 'Cancel Booking'}
+                  </button>
+                </div>
+              </>
+            )}
+            {!cancellation.allowed && cancellation.error && !notice && <p style={styles.muted}>{cancellation.error}.</p>}
+          </>
+        )}
+
+        <div style={{ marginTop: 16 }}>
+          <a href="/">← Back to the calendar</a>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  page: { width: '100%', minHeight: '100vh', display: 'grid', placeItems: 'center', padding: 16, boxSizing: 'border-box' },
+  card: { width: '100%', maxWidth: 520, background: '#0f172a', border: '1px solid #1f2a44', borderRadius: 12, padding: 20, boxShadow: '0 16px 32px rgba(0,0,0,0.45)' },
+  title: { margin: '0 0 12px', color: '#E6E8F0' },
+  subtitle: { margin: '0 0 8px', color: '#93c5fd', fontSize: 16 },
+  rule: { height: 1, background: '#1f2a44', margin: '14px 0' },
+  table: { width: '100%', borderCollapse: 'collapse', fontSize: 14, color: '#CBD5E1' },
+  cellLabel: { padding: '6px 12px 6px 0', borderBottom: '1px solid #1f2a44', color: '#94a3b8', whiteSpace: 'nowrap', verticalAlign: 'top' },
+  cell: { padding: '6px 0', borderBottom: '1px solid #1f2a44' },
+  muted: { margin: '4px 0', color: '#94a3b8', fontSize: 14 },
+  refundLine: { margin: '10px 0 12px', color: '#E5E7EB', fontSize: 14 },
+  notice: { marginTop: 12, color: '#86efac', fontSize: 14 },
+  error: { marginTop: 0, color: '#fca5a5', fontSize: 14 },
+  label: { display: 'grid', gap: 6, fontSize: 14, color: '#E5E7EB' },
+  input: { width: '95%', padding: '10px 12px', borderRadius: 10, border: '1px solid #334155', outline: 'none', background: '#0b1220', color: '#E5E7EB' },
+  slotList: { display: 'grid', gap: 4, margin: '10px 0', fontSize: 14, color: '#CBD5E1' },
+  slotOption: { display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' },
+  primaryBtn: { appearance: 'none', border: 'none', borderRadius: 9999, padding: '10px 16px', fontWeight: 600, cursor: 'pointer', background: '#4f46e5', color: '#fff' },
+  dangerBtn: { appearance: 'none', border: 'none', borderRadius: 9999, padding: '10px 16px', fontWeight: 600, cursor: 'pointer', background: '#dc2626', color: '#fff' }
+};
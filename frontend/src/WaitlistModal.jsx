@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:8080';
+
+const PORTION_LABELS = { full: 'Full Ice', half_a: 'Half Ice — Side A', half_b: 'Half Ice — Side B' };
+
+function toYMD(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Local date + 'HH:MM' → Date
+function atTime(ymd, hhmm) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const [h, min] = hhmm.split(':').map(Number);
+  return new Date(y, m - 1, d, h, min);
+}
+
+// Join the waitlist for a taken slot (slot) or for any open ice in a time
+// window (no slot: pick a sheet, day and hours). The server emails a claim
+// link when the ice opens up.
+export default function WaitlistModal({ slot, rinks, defaultRinkId, onClose }) {
+  const [rinkId, setRinkId] = useState(slot ? slot.rink_id : defaultRinkId || rinks[0]?.id || '');
+  const [portion, setPortion] = useState('full');
+  const [day, setDay] = useState(toYMD(new Date()));
+  const [from, setFrom] = useState('17:00');
+  const [to, setTo] = useState('21:00');
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [phone, setPhone] = useState('');
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [joined, setJoined] = useState(false);
+
+  const halfIceOffered = !!slot && typeof slot.half_price_cents === 'number';
+  const rinkName = rinks.find((r) => r.id === rinkId)?.name || 'Wings Arena';
+  const fmtWhen = (s, e) => `${new Date(s).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })} – ${new Date(e).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`;
+  const normalizePhone = (value) => { let v = value.replace(/[^\d+]/g, ''); if (/^\d{10}$/.test(v)) return `(${v.slice(0, 3)}) ${v.slice(3, 6)}-${v.slice(6)}`; return value; };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    setError('');
+    const target = slot
+      ? { slotId: slot.id, start: new Date(slot.start).toISOString(), end: new Date(slot.end).toISOString(), portion }
+      : { windowStart: atTime(day, from).toISOString(), windowEnd: atTime(day, to).toISOString() };
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/api/waitlist`, { rinkId, name, email, phone, ...target });
+      setJoined(true);
+    } catch (err) {
+      const data = err.response?.data;
+      if (data?.code === 'invalid_fields') setErrors(data.fields || {});
+      else setError(data?.error || 'Could not join the waitlist');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={styles.backdrop} data-testid="waitlist-modal">
+      <div style={styles.modal}>
+        <h2 style={{ marginTop: 0, color: '#E6E8F0' }}>Join the Waitlist - Wings Arena</h2>
+
+        {joined ? (
+          <>
+            <p style={styles.text}>
+              You're on the list. If this ice opens up we'll email {email} a link to claim it —
+              it is held for you for a short time, so book it when it arrives.
+            </p>
+            <div style={styles.actions}>
+              <button type="button" onClick={onClose} style={styles.primaryBtn}>Done</button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} style={{ display: 'grid', gap: 12 }}>
+            {slot ? (
+              <>
+                <p style={styles.text}><strong>Sheet:</strong> {rinkName}</p>
+                <p style={styles.text}><strong>When:</strong> {fmtWhen(slot.start, slot.end)}</p>
+                {halfIceOffered && (
+                  <label style={styles.label}>
+                    Ice
+                    <select value={portion} onChange={(e) => setPortion(e.target.value)} style={styles.input}>
+                      {Object.keys(PORTION_LABELS).map((key) => <option key={key} value={key}>{PORTION_LABELS[key]}</option>)}
+                    </select>
+                  </label>
+                )}
+              </>
+            ) : (
+              <>
+                <p style={styles.text}>Tell us when you'd like to skate; any open hour in that window counts.</p>
+                {rinks.length > 1 && (
+                  <label style={styles.label}>
+                    Sheet
+                    <select value={rinkId} onChange={(e) => setRinkId(e.target.value)} style={styles.input}>
+                      {rinks.map((r) => <option key={r.id} value={r.id}>{r.name}</option>)}
+                    </select>
+                  </label>
+                )}
+                <div style={styles.row}>
+                  <label style={styles.label}>
+                    Day
+                    <input type="date" value={day} min={toYMD(new Date())} onChange={(e) => setDay(e.target.value)} required style={styles.input} />
+                  </label>
+                  <label style={styles.label}>
+                    From
+                    <input type="time" value={from} step="900" onChange={(e) => setFrom(e.target.value)} required style={styles.input} />
+                  </label>
+                  <label style={styles.label}>
+                    To
+                    <input type="time" value={to} step="900" onChange={(e) => setTo(e.target.value)} required style={styles.input} />
+                  </label>
+                </div>
+              </>
+            )}
+
+            <label style={styles.label}>
+              Full Name
+              <input value={name} onChange={(e) => setName(e.target.value)} required style={styles.input} placeholder="Jane Doe" />
+              {errors.name && <span style={styles.fieldError}>{errors.name}</span>}
+            </label>
+            <label style={styles.label}>
+              Email
+              <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required style={styles.input} placeholder="jane@example.com" />
+              {errors.email && <span style={styles.fieldError}>{errors.email}</span>}
+            </label>
+            <label style={styles.label}>
+              Phone Number
+              <input
+                type="tel"
+                value={phone}
+                onChange={(e) => setPhone(normalizePhone(e.target.value))}
+                pattern="[\d\s()+-]{7,}"
+                title="Enter a valid phone number"
+                required
+                style={styles.input}
+                placeholder="(555) 123-4567"
+              />
+              {errors.phone && <span style={styles.fieldError}>{errors.phone}</span>}
+            </label>
+
+            {error && <p style={styles.error}>{error}</p>}
+            <div style={styles.actions}>
+              <button type="button" onClick={onClose} style={styles.secondaryBtn}>Cancel</button>
+              <button type="submit" disabled={busy} style={styles.primaryBtn}>{busy ? 'Joining…' : 'Join Waitlist'}</button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  backdrop: { position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', display: 'grid', placeItems: 'center', padding: 16, zIndex: 9999 },
+  modal: { width: '100%', maxWidth: 520, background: '#0f172a', border: '1px solid #1f2a44', borderRadius: 12, padding: 20, boxShadow: '0 16px 32px rgba(0,0,0,0.45)' },
+  text: { marginTop: 0, marginBottom: 6, color: '#CBD5E1' },
+  row: { display: 'flex', gap: 8 },
+  label: { display: 'grid', gap: 6, fontSize: 14, color: '#E5E7EB' },
+  fieldError: { color: '#fca5a5', fontSize: 13 },
+  error: { margin: 0, color: '#fca5a5', fontSize: 14 },
+  actions: { display: 'flex', gap: 8, justifyContent: 'flex-end', marginTop: 4 },
+  input: { width: '95%', padding: '10px 12px', borderRadius: 10, border: '1px solid #334155', outline: 'none', background: '#0b1220', color: '#E5E7EB' },
+  secondaryBtn: { appearance: 'none', border: 'none', borderRadius: 9999, padding: '10px 16px', fontWeight: 600, cursor: 'pointer', background: '#e5e7eb', color: '#111827' },
+  primaryBtn: { appearance: 'none', border: 'none', borderRadius: 9999, padding: '10px 16px', fontWeight: 600, cursor: 'pointer', background: '#4f46e5', color: '#fff' }
+};
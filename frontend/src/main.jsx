@@ -2,9 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import ManageBooking from './ManageBooking.jsx'
+
+// /manage?token=… is the self-service page linked from confirmation emails
+const isManagePage = window.location.pathname.replace(/\/+$/, '') === '/manage'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isManagePage ? <ManageBooking /> : <App />}
   </StrictMode>,
 )